@@ -47,6 +47,13 @@ const SCREEN_SHARING_SVC_ENCODINGS =
 
 const EXTERNAL_VIDEO_SRC = '/resources/videos/video-audio-stereo.mp4';
 
+// Delay (in ms) before restarting ICE when a Transport is disconnected. It
+// doubles on each attempt.
+const ICE_RESTART_DELAY = 1000;
+
+// ICE restart attempts before recreating Transports by joining the room again.
+const ICE_RESTART_MAX_ATTEMPTS = 4;
+
 const logger = new Logger('RoomClient');
 
 let store;
@@ -66,19 +73,23 @@ export default class RoomClient
 		{
 			roomId,
 			peerId,
+			token,
+			password,
 			displayName,
 			device,
 			handlerName,
 			useSimulcast,
 			useSharingSimulcast,
 			forceTcp,
+			iceTransportPolicy,
 			produce,
 			consume,
 			forceH264,
 			forceVP9,
 			svc,
 			datachannel,
-			externalVideo
+			externalVideo,
+			onPasswordEntered
 		}
 	)
 	{
@@ -102,6 +113,10 @@ export default class RoomClient
 		// @type {Boolean}
 		this._forceTcp = forceTcp;
 
+		// ICE transport policy ('all' or 'relay' to test TURN servers).
+		// @type {String}
+		this._iceTransportPolicy = iceTransportPolicy;
+
 		// Whether we want to produce audio/video.
 		// @type {Boolean}
 		this._produce = produce;
@@ -161,12 +176,26 @@ export default class RoomClient
 
 		// Protoo URL.
 		// @type {String}
-		this._protooUrl = getProtooUrl({ roomId, peerId });
+		this._protooUrl = getProtooUrl({ roomId, peerId, token, password });
+
+		// Callback called with the password entered by the user if the room has
+		// a password and we didn't provide the right one.
+		// @type {Function}
+		this._onPasswordEntered = onPasswordEntered;
 
 		// protoo-client Peer instance.
 		// @type {protooClient.Peer}
 		this._protoo = null;
 
+		// Token given by the server once joined to resume our session if the
+		// WebSocket drops.
+		// @type {String}
+		this._resumeToken = null;
+
+		// Whether we must wait in the lobby until a host admits us.
+		// @type {Boolean}
+		this._lobby = false;
+
 		// mediasoup-client Device instance.
 		// @type {mediasoupClient.Device}
 		this._mediasoupDevice = null;
@@ -179,6 +208,14 @@ export default class RoomClient
 		// @type {mediasoupClient.Transport}
 		this._recvTransport = null;
 
+		// Timer of the next automatic ICE restart.
+		// @type {Number}
+		this._iceRestartTimer = null;
+
+		// Automatic ICE restarts since Transports got disconnected.
+		// @type {Number}
+		this._iceRestartAttempts = 0;
+
 		// Local mic mediasoup Producer.
 		// @type {mediasoupClient.Producer}
 		this._micProducer = null;
@@ -238,6 +275,16 @@ export default class RoomClient
 
 		logger.debug('close()');
 
+		clearTimeout(this._iceRestartTimer);
+
+		// Tell the server we are leaving so it doesn't wait for us to resume the
+		// session.
+		if (this._protoo.connected)
+		{
+			this._protoo.request('leave')
+				.catch(() => {});
+		}
+
 		// Close protoo Peer
 		this._protoo.close();
 
@@ -261,7 +308,14 @@ export default class RoomClient
 		store.dispatch(
 			stateActions.setRoomState('connecting'));
 
-		this._protoo.on('open', () => this._joinRoom());
+		this._protoo.on('open', () =>
+		{
+			// If reconnected after the WebSocket dropped, try to resume our session.
+			if (this._resumeToken)
+				this._resumeRoom();
+			else
+				this._joinRoom();
+		});
 
 		this._protoo.on('failed', () =>
 		{
@@ -274,24 +328,32 @@ export default class RoomClient
 
 		this._protoo.on('disconnected', () =>
 		{
+			// ICE restarts need signaling.
+			this._stopIceRestarts();
+
+			// If joined, keep our mediasoup Transports (media keeps flowing) while
+			// the server keeps our session, and resume it once reconnected.
+			if (this._resumeToken)
+			{
+				store.dispatch(requestActions.notify(
+					{
+						type : 'error',
+						text : 'WebSocket disconnected, reconnecting...'
+					}));
+
+				store.dispatch(
+					stateActions.setRoomState('reconnecting'));
+
+				return;
+			}
+
 			store.dispatch(requestActions.notify(
 				{
 					type : 'error',
 					text : 'WebSocket disconnected'
 				}));
 
-			// Close mediasoup Transports.
-			if (this._sendTransport)
-			{
-				this._sendTransport.close();
-				this._sendTransport = null;
-			}
-
-			if (this._recvTransport)
-			{
-				this._recvTransport.close();
-				this._recvTransport = null;
-			}
+			this._closeTransports();
 
 			store.dispatch(
 				stateActions.setRoomState('closed'));
@@ -360,6 +422,7 @@ export default class RoomClient
 						store.dispatch(stateActions.addConsumer(
 							{
 								id                     : consumer.id,
+								producerId             : producerId,
 								type                   : type,
 								locallyPaused          : false,
 								remotelyPaused         : producerPaused,
@@ -758,6 +821,255 @@ export default class RoomClient
 					break;
 				}
 
+				case 'recordingStateChanged':
+				{
+					const { recording } = notification.data;
+
+					store.dispatch(
+						stateActions.setRoomRecording(recording));
+
+					store.dispatch(requestActions.notify(
+						{
+							text : recording
+								? 'The room is being recorded'
+								: 'The room is no longer being recorded'
+						}));
+
+					break;
+				}
+
+				case 'producerPausedByModerator':
+				{
+					const { producerId } = notification.data;
+					const producer = this._getLocalProducer(producerId);
+
+					if (!producer || producer.paused)
+						break;
+
+					producer.pause();
+
+					store.dispatch(
+						stateActions.setProducerPaused(producer.id));
+
+					store.dispatch(requestActions.notify(
+						{
+							text : producer.kind === 'audio'
+								? 'A host has muted your microphone'
+								: 'A host has paused your video'
+						}));
+
+					break;
+				}
+
+				case 'producerClosedByModerator':
+				{
+					const { producerId } = notification.data;
+					const producer = this._getLocalProducer(producerId);
+
+					if (!producer)
+						break;
+
+					this._closeLocalProducer(producer);
+
+					store.dispatch(requestActions.notify(
+						{
+							text : producer.kind === 'audio'
+								? 'A host has closed your microphone'
+								: 'A host has stopped your video'
+						}));
+
+					break;
+				}
+
+				case 'lobbyPeerJoined':
+				{
+					const lobbyPeer = notification.data;
+
+					store.dispatch(
+						stateActions.addLobbyPeer(lobbyPeer));
+
+					store.dispatch(requestActions.notify(
+						{
+							text : `${lobbyPeer.displayName} is waiting in the lobby`
+						}));
+
+					break;
+				}
+
+				case 'lobbyPeerLeft':
+				{
+					const { peerId } = notification.data;
+
+					store.dispatch(
+						stateActions.removeLobbyPeer(peerId));
+
+					break;
+				}
+
+				case 'lobby':
+				{
+					this._lobby = true;
+
+					break;
+				}
+
+				case 'lobbyAdmitted':
+				{
+					this._lobby = false;
+
+					// Now we can create our Transports and join.
+					this._joinRoom();
+
+					break;
+				}
+
+				case 'lobbyDenied':
+				{
+					const { reason } = notification.data;
+
+					store.dispatch(requestActions.notify(
+						{
+							type : 'error',
+							text : reason === 'timeout'
+								? 'No host has admitted you into the room in time'
+								: 'A host has denied your access to the room'
+						}));
+
+					this.close();
+
+					break;
+				}
+
+				case 'roomAccessDenied':
+				{
+					const { reason, message } = notification.data;
+
+					this.close();
+
+					if (
+						(reason === 'passwordRequired' || reason === 'wrongPassword') &&
+						this._onPasswordEntered
+					)
+					{
+						store.dispatch(
+							stateActions.setRoomPasswordDialog(
+								reason === 'wrongPassword' ? 'wrong' : 'required'));
+
+						break;
+					}
+
+					store.dispatch(requestActions.notify(
+						{
+							type : 'error',
+							text : reason === 'locked'
+								? 'The room is locked'
+								: `Could not enter the room: ${message}`
+						}));
+
+					break;
+				}
+
+				case 'roomAccessChanged':
+				{
+					const { locked, hasPassword } = notification.data;
+					const { room } = store.getState();
+
+					store.dispatch(
+						stateActions.setRoomAccess({ locked, hasPassword }));
+
+					if (locked !== room.locked)
+					{
+						store.dispatch(requestActions.notify(
+							{
+								text : locked
+									? 'The room has been locked'
+									: 'The room has been unlocked'
+							}));
+					}
+
+					if (hasPassword !== room.hasPassword)
+					{
+						store.dispatch(requestActions.notify(
+							{
+								text : hasPassword
+									? 'The room is now protected by a password'
+									: 'The room password has been removed'
+							}));
+					}
+
+					break;
+				}
+
+				case 'roomFailed':
+				{
+					store.dispatch(requestActions.notify(
+						{
+							type : 'error',
+							text : 'The room failed in the server, joining again...'
+						}));
+
+					this._rejoin();
+
+					break;
+				}
+
+				case 'serverShuttingDown':
+				{
+					const { deadline } = notification.data;
+					const seconds = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+
+					store.dispatch(requestActions.notify(
+						{
+							type    : 'error',
+							text    : `The server is shutting down, the room will close in ${seconds} seconds`,
+							timeout : 10000
+						}));
+
+					break;
+				}
+
+				case 'roomWillClose':
+				{
+					const { remaining } = notification.data;
+
+					store.dispatch(requestActions.notify(
+						{
+							text : `The room will close in ${Math.round(remaining / 1000)} seconds`
+						}));
+
+					break;
+				}
+
+				case 'roomClosed':
+				{
+					const { reason } = notification.data;
+
+					store.dispatch(requestActions.notify(
+						{
+							type : 'error',
+							text : reason === 'idle'
+								? 'The room has been closed for inactivity'
+								: 'The room has been closed, it reached its maximum duration'
+						}));
+
+					this.close();
+
+					break;
+				}
+
+				case 'peerKicked':
+				{
+					store.dispatch(requestActions.notify(
+						{
+							type : 'error',
+							text : 'You have been removed from the room by a host'
+						}));
+
+					this.close();
+
+					break;
+				}
+
 				default:
 				{
 					logger.error(
@@ -1251,7 +1563,11 @@ export default class RoomClient
 			stateActions.setWebcamInProgress(false));
 	}
 
-	async enableShare()
+	/**
+	 * @param {MediaStreamTrack} [track] - Screen track to send instead of asking
+	 *   the user to choose a screen.
+	 */
+	async enableShare({ track: screenTrack } = {})
 	{
 		logger.debug('enableShare()');
 
@@ -1276,19 +1592,21 @@ export default class RoomClient
 		{
 			logger.debug('enableShare() | calling getUserMedia()');
 
-			const stream = await navigator.mediaDevices.getDisplayMedia(
-				{
-					audio : false,
-					video :
+			const stream = screenTrack
+				? new MediaStream([ screenTrack ])
+				: await navigator.mediaDevices.getDisplayMedia(
 					{
-						displaySurface : 'monitor',
-						logicalSurface : true,
-						cursor         : true,
-						width          : { max: 1920 },
-						height         : { max: 1080 },
-						frameRate      : { max: 30 }
-					}
-				});
+						audio : false,
+						video :
+						{
+							displaySurface : 'monitor',
+							logicalSurface : true,
+							cursor         : true,
+							width          : { max: 1920 },
+							height         : { max: 1080 },
+							frameRate      : { max: 30 }
+						}
+					});
 
 			// May mean cancelled (in some implementations).
 			if (!stream)
@@ -1520,23 +1838,7 @@ export default class RoomClient
 
 		try
 		{
-			if (this._sendTransport)
-			{
-				const iceParameters = await this._protoo.request(
-					'restartIce',
-					{ transportId: this._sendTransport.id });
-
-				await this._sendTransport.restartIce({ iceParameters });
-			}
-
-			if (this._recvTransport)
-			{
-				const iceParameters = await this._protoo.request(
-					'restartIce',
-					{ transportId: this._recvTransport.id });
-
-				await this._recvTransport.restartIce({ iceParameters });
-			}
+			await this._restartIce();
 
 			store.dispatch(requestActions.notify(
 				{
@@ -2072,6 +2374,46 @@ export default class RoomClient
 		return consumer.getStats();
 	}
 
+	async startRecording()
+	{
+		logger.debug('startRecording()');
+
+		try
+		{
+			await this._protoo.request('startRecording');
+		}
+		catch (error)
+		{
+			logger.error('startRecording() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error starting recording: ${error}`
+				}));
+		}
+	}
+
+	async stopRecording()
+	{
+		logger.debug('stopRecording()');
+
+		try
+		{
+			await this._protoo.request('stopRecording');
+		}
+		catch (error)
+		{
+			logger.error('stopRecording() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error stopping recording: ${error}`
+				}));
+		}
+	}
+
 	async applyNetworkThrottle({ uplink, downlink, rtt, secret })
 	{
 		logger.debug(
@@ -2119,268 +2461,1026 @@ export default class RoomClient
 		}
 	}
 
-	async _joinRoom()
+	async moderatorMutePeer(peerId)
 	{
-		logger.debug('_joinRoom()');
+		logger.debug('moderatorMutePeer() [peerId:%s]', peerId);
 
 		try
 		{
-			this._mediasoupDevice = new mediasoupClient.Device(
+			await this._protoo.request('moderatorMutePeer', { peerId });
+		}
+		catch (error)
+		{
+			logger.error('moderatorMutePeer() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
 				{
-					handlerName : this._handlerName
-				});
+					type : 'error',
+					text : `Error muting participant: ${error}`
+				}));
+		}
+	}
 
-			const routerRtpCapabilities =
-				await this._protoo.request('getRouterRtpCapabilities');
+	async moderatorCloseProducer(peerId, producerId)
+	{
+		logger.debug(
+			'moderatorCloseProducer() [peerId:%s, producerId:%s]', peerId, producerId);
 
-			await this._mediasoupDevice.load({ routerRtpCapabilities });
+		try
+		{
+			await this._protoo.request('moderatorCloseProducer', { peerId, producerId });
+		}
+		catch (error)
+		{
+			logger.error('moderatorCloseProducer() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error stopping participant's media: ${error}`
+				}));
+		}
+	}
+
+	async moderatorKickPeer(peerId)
+	{
+		logger.debug('moderatorKickPeer() [peerId:%s]', peerId);
+
+		try
+		{
+			await this._protoo.request('moderatorKickPeer', { peerId });
+		}
+		catch (error)
+		{
+			logger.error('moderatorKickPeer() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error removing participant: ${error}`
+				}));
+		}
+	}
+
+	async moderatorMuteAll()
+	{
+		logger.debug('moderatorMuteAll()');
+
+		try
+		{
+			await this._protoo.request('moderatorMuteAll');
+
+			store.dispatch(requestActions.notify(
+				{
+					text : 'All participants have been muted'
+				}));
+		}
+		catch (error)
+		{
+			logger.error('moderatorMuteAll() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error muting participants: ${error}`
+				}));
+		}
+	}
+
+	async lockRoom()
+	{
+		logger.debug('lockRoom()');
+
+		try
+		{
+			await this._protoo.request('lockRoom');
+		}
+		catch (error)
+		{
+			logger.error('lockRoom() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error locking the room: ${error}`
+				}));
+		}
+	}
+
+	async unlockRoom()
+	{
+		logger.debug('unlockRoom()');
+
+		try
+		{
+			await this._protoo.request('unlockRoom');
+		}
+		catch (error)
+		{
+			logger.error('unlockRoom() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error unlocking the room: ${error}`
+				}));
+		}
+	}
+
+	enterRoomPassword(password)
+	{
+		logger.debug('enterRoomPassword()');
+
+		store.dispatch(
+			stateActions.setRoomPasswordDialog(null));
+
+		this._onPasswordEntered(password);
+	}
+
+	async setRoomPassword(password)
+	{
+		logger.debug('setRoomPassword()');
+
+		store.dispatch(
+			stateActions.setRoomPasswordDialog(null));
+
+		try
+		{
+			await this._protoo.request('setRoomPassword', { password });
+		}
+		catch (error)
+		{
+			logger.error('setRoomPassword() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error setting the room password: ${error}`
+				}));
+		}
+	}
+
+	async admitPeer(peerId)
+	{
+		logger.debug('admitPeer() [peerId:%s]', peerId);
+
+		try
+		{
+			await this._protoo.request('admitPeer', { peerId });
+
+			store.dispatch(
+				stateActions.removeLobbyPeer(peerId));
+		}
+		catch (error)
+		{
+			logger.error('admitPeer() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error admitting participant: ${error}`
+				}));
+		}
+	}
+
+	async denyPeer(peerId)
+	{
+		logger.debug('denyPeer() [peerId:%s]', peerId);
+
+		try
+		{
+			await this._protoo.request('denyPeer', { peerId });
+
+			store.dispatch(
+				stateActions.removeLobbyPeer(peerId));
+		}
+		catch (error)
+		{
+			logger.error('denyPeer() | failed:%o', error);
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : `Error denying participant: ${error}`
+				}));
+		}
+	}
+
+	_getLocalProducer(producerId)
+	{
+		return [ this._micProducer, this._webcamProducer, this._shareProducer ]
+			.find((producer) => producer && producer.id === producerId);
+	}
+
+	/**
+	 * Close a local mic, webcam or share Producer already closed in the server.
+	 */
+	_closeLocalProducer(producer)
+	{
+		producer.close();
+
+		store.dispatch(
+			stateActions.removeProducer(producer.id));
+
+		if (producer === this._micProducer)
+			this._micProducer = null;
+		else if (producer === this._webcamProducer)
+			this._webcamProducer = null;
+		else if (producer === this._shareProducer)
+			this._shareProducer = null;
+	}
+
+	/**
+	 * Join the room again from scratch with a new WebSocket connection (the
+	 * server will create a new room).
+	 */
+	_rejoin()
+	{
+		logger.debug('_rejoin()');
+
+		this._stopIceRestarts();
+
+		// Forget the current protoo Peer so its closure doesn't close us.
+		this._protoo.removeAllListeners();
+		this._protoo.close();
+
+		this._resumeToken = null;
+		this._closeTransports();
+
+		store.dispatch(
+			stateActions.setRoomState('closed'));
+
+		this.join();
+	}
+
+	async _restartIce()
+	{
+		for (const transport of [ this._sendTransport, this._recvTransport ])
+		{
+			if (!transport)
+				continue;
+
+			const iceParameters = await this._protoo.request(
+				'restartIce', { transportId: transport.id });
+
+			await transport.restartIce({ iceParameters });
+		}
+	}
+
+	/**
+	 * Restart ICE automatically (with backoff) when the given Transport gets
+	 * disconnected. If it doesn't reconnect, replace our Transports with new
+	 * ones.
+	 */
+	_handleTransportConnectionState(transport)
+	{
+		transport.on('connectionstatechange', (connectionState) =>
+		{
+			logger.debug(
+				'transport "connectionstatechange" event [direction:%s, connectionState:%s]',
+				transport.direction, connectionState);
+
+			switch (connectionState)
+			{
+				case 'disconnected':
+				case 'failed':
+				{
+					this._scheduleIceRestart();
+
+					break;
+				}
+
+				case 'connected':
+				{
+					if (this._iceRestartAttempts > 0 || this._iceRestartTimer)
+					{
+						if (this._areTransportsConnected())
+							this._stopIceRestarts();
+					}
+
+					break;
+				}
+			}
+		});
+	}
+
+	_scheduleIceRestart()
+	{
+		// Wait until we are in the room again if the WebSocket dropped.
+		if (
+			this._closed ||
+			this._iceRestartTimer ||
+			store.getState().room.state !== 'connected'
+		)
+		{
+			return;
+		}
+
+		if (this._iceRestartAttempts >= ICE_RESTART_MAX_ATTEMPTS)
+		{
+			logger.warn('_scheduleIceRestart() | Transports did not reconnect, creating new ones');
+
+			store.dispatch(requestActions.notify(
+				{
+					type : 'error',
+					text : 'Media connection lost, reconnecting media...'
+				}));
+
+			this._recreateTransports()
+				.catch((error) =>
+				{
+					// The WebSocket dropped meanwhile, so it will be done when resuming.
+					if (this._closed || store.getState().room.state !== 'connected')
+						return;
+
+					logger.error('_recreateTransports() failed, joining again:%o', error);
+
+					this._rejoin();
+				});
+
+			return;
+		}
+
+		const delay = ICE_RESTART_DELAY * Math.pow(2, this._iceRestartAttempts);
+
+		store.dispatch(
+			stateActions.setRoomMediaReconnecting(true));
+
+		this._iceRestartTimer = setTimeout(async () =>
+		{
+			this._iceRestartTimer = null;
+
+			if (this._closed || store.getState().room.state !== 'connected')
+				return;
+
+			// Reconnected by itself.
+			if (this._areTransportsConnected())
+			{
+				this._stopIceRestarts();
+
+				return;
+			}
+
+			this._iceRestartAttempts++;
+
+			logger.debug(
+				'_scheduleIceRestart() | restarting ICE [attempt:%d]', this._iceRestartAttempts);
+
+			try
+			{
+				await this._restartIce();
+			}
+			catch (error)
+			{
+				logger.warn('_scheduleIceRestart() | ICE restart failed:%o', error);
+			}
+
+			// Check again later unless Transports get connected meanwhile.
+			this._scheduleIceRestart();
+		}, delay);
+	}
+
+	/**
+	 * Replace our Transports with new ones (staying in the room) and send our
+	 * mic, webcam and share again. The server closes the old Transports (and
+	 * everything in them) and gives us new Consumers in the new receiving one.
+	 */
+	async _recreateTransports()
+	{
+		logger.debug('_recreateTransports()');
+
+		this._stopIceRestarts();
+
+		const micProducer = this._micProducer;
+		const micPaused = Boolean(micProducer && micProducer.paused);
+		const webcamEnabled = Boolean(this._webcamProducer);
+		// The user would have to choose the screen again, so keep sending it.
+		const screenTrack = this._shareProducer
+			? this._shareProducer.track.clone()
+			: undefined;
+		const dataProducersEnabled = Boolean(this._chatDataProducer);
+
+		for (const producer of [ this._micProducer, this._webcamProducer, this._shareProducer ])
+		{
+			if (producer)
+				this._closeLocalProducer(producer);
+		}
+
+		for (const dataProducer of [ this._chatDataProducer, this._botDataProducer ])
+		{
+			if (!dataProducer)
+				continue;
+
+			dataProducer.close();
+
+			store.dispatch(
+				stateActions.removeDataProducer(dataProducer.id));
+		}
+
+		this._chatDataProducer = null;
+		this._botDataProducer = null;
+
+		for (const consumer of this._consumers.values())
+		{
+			consumer.close();
+
+			store.dispatch(
+				stateActions.removeConsumer(consumer.id, consumer.appData.peerId));
+		}
+
+		this._consumers.clear();
+
+		for (const dataConsumer of this._dataConsumers.values())
+		{
+			dataConsumer.close();
+
+			store.dispatch(
+				stateActions.removeDataConsumer(
+					dataConsumer.id, dataConsumer.appData.peerId));
+		}
+
+		this._dataConsumers.clear();
+
+		this._closeTransports();
+
+		if (this._produce)
+			await this._createSendTransport();
+
+		if (this._consume)
+			await this._createRecvTransport();
+
+		if (micProducer)
+		{
+			await this.enableMic();
+
+			if (micPaused && this._micProducer)
+				await this.muteMic();
+		}
+
+		if (webcamEnabled)
+			await this.enableWebcam();
+
+		if (screenTrack)
+			await this.enableShare({ track: screenTrack });
+
+		if (dataProducersEnabled)
+		{
+			this._sendTransport.on('connectionstatechange', (connectionState) =>
+			{
+				if (connectionState === 'connected')
+				{
+					this.enableChatDataProducer();
+					this.enableBotDataProducer();
+				}
+			});
+		}
+	}
+
+	_stopIceRestarts()
+	{
+		clearTimeout(this._iceRestartTimer);
+
+		this._iceRestartTimer = null;
+		this._iceRestartAttempts = 0;
+
+		store.dispatch(
+			stateActions.setRoomMediaReconnecting(false));
+	}
+
+	/**
+	 * Whether no Transport is disconnected (or still connecting after an ICE
+	 * restart).
+	 */
+	_areTransportsConnected()
+	{
+		return [ this._sendTransport, this._recvTransport ]
+			.filter(Boolean)
+			.every((transport) => (
+				![ 'connecting', 'disconnected', 'failed' ].includes(transport.connectionState)
+			));
+	}
+
+	_closeTransports()
+	{
+		if (this._sendTransport)
+		{
+			this._sendTransport.close();
+			this._sendTransport = null;
+		}
+
+		if (this._recvTransport)
+		{
+			this._recvTransport.close();
+			this._recvTransport = null;
+		}
+	}
 
-			// NOTE: Stuff to play remote audios due to browsers' new autoplay policy.
-			//
-			// Just get access to the mic and DO NOT close the mic track for a while.
-			// Super hack!
+	async _createSendTransport()
+	{
+		const transportInfo = await this._protoo.request(
+			'createWebRtcTransport',
 			{
-				const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-				const audioTrack = stream.getAudioTracks()[0];
+				forceTcp         : this._forceTcp,
+				producing        : true,
+				consuming        : false,
+				sctpCapabilities : this._useDataChannel
+					? this._mediasoupDevice.sctpCapabilities
+					: undefined
+			});
 
-				audioTrack.enabled = false;
+		const {
+			id,
+			iceParameters,
+			iceCandidates,
+			dtlsParameters,
+			sctpParameters,
+			iceServers
+		} = transportInfo;
 
-				setTimeout(() => audioTrack.stop(), 120000);
-			}
-			// Create mediasoup Transport for sending (unless we don't want to produce).
-			if (this._produce)
+		this._sendTransport = this._mediasoupDevice.createSendTransport(
 			{
-				const transportInfo = await this._protoo.request(
-					'createWebRtcTransport',
-					{
-						forceTcp         : this._forceTcp,
-						producing        : true,
-						consuming        : false,
-						sctpCapabilities : this._useDataChannel
-							? this._mediasoupDevice.sctpCapabilities
-							: undefined
-					});
-
-				const {
-					id,
-					iceParameters,
-					iceCandidates,
-					dtlsParameters,
-					sctpParameters
-				} = transportInfo;
+				id,
+				iceParameters,
+				iceCandidates,
+				dtlsParameters,
+				sctpParameters,
+				iceServers             : iceServers || [],
+				iceTransportPolicy     : this._iceTransportPolicy,
+				proprietaryConstraints : PC_PROPRIETARY_CONSTRAINTS
+			});
 
-				this._sendTransport = this._mediasoupDevice.createSendTransport(
-					{
-						id,
-						iceParameters,
-						iceCandidates,
-						dtlsParameters,
-						sctpParameters,
-						iceServers             : [],
-						proprietaryConstraints : PC_PROPRIETARY_CONSTRAINTS
-					});
+		this._handleTransportConnectionState(this._sendTransport);
 
-				this._sendTransport.on(
-					'connect', ({ dtlsParameters }, callback, errback) => // eslint-disable-line no-shadow
+		this._sendTransport.on(
+			'connect', ({ dtlsParameters }, callback, errback) => // eslint-disable-line no-shadow
+			{
+				this._protoo.request(
+					'connectWebRtcTransport',
 					{
-						this._protoo.request(
-							'connectWebRtcTransport',
-							{
-								transportId : this._sendTransport.id,
-								dtlsParameters
-							})
-							.then(callback)
-							.catch(errback);
-					});
+						transportId : this._sendTransport.id,
+						dtlsParameters
+					})
+					.then(callback)
+					.catch(errback);
+			});
 
-				this._sendTransport.on(
-					'produce', async ({ kind, rtpParameters, appData }, callback, errback) =>
-					{
-						try
+		this._sendTransport.on(
+			'produce', async ({ kind, rtpParameters, appData }, callback, errback) =>
+			{
+				try
+				{
+					// eslint-disable-next-line no-shadow
+					const { id } = await this._protoo.request(
+						'produce',
 						{
-							// eslint-disable-next-line no-shadow
-							const { id } = await this._protoo.request(
-								'produce',
-								{
-									transportId : this._sendTransport.id,
-									kind,
-									rtpParameters,
-									appData
-								});
+							transportId : this._sendTransport.id,
+							kind,
+							rtpParameters,
+							appData
+						});
 
-							callback({ id });
-						}
-						catch (error)
-						{
-							errback(error);
-						}
-					});
+					callback({ id });
+				}
+				catch (error)
+				{
+					errback(error);
+				}
+			});
+
+		this._sendTransport.on('producedata', async (
+			{
+				sctpStreamParameters,
+				label,
+				protocol,
+				appData
+			},
+			callback,
+			errback
+		) =>
+		{
+			logger.debug(
+				'"producedata" event: [sctpStreamParameters:%o, appData:%o]',
+				sctpStreamParameters, appData);
 
-				this._sendTransport.on('producedata', async (
+			try
+			{
+				// eslint-disable-next-line no-shadow
+				const { id } = await this._protoo.request(
+					'produceData',
 					{
+						transportId : this._sendTransport.id,
 						sctpStreamParameters,
 						label,
 						protocol,
 						appData
-					},
-					callback,
-					errback
-				) =>
-				{
-					logger.debug(
-						'"producedata" event: [sctpStreamParameters:%o, appData:%o]',
-						sctpStreamParameters, appData);
+					});
 
-					try
-					{
-						// eslint-disable-next-line no-shadow
-						const { id } = await this._protoo.request(
-							'produceData',
-							{
-								transportId : this._sendTransport.id,
-								sctpStreamParameters,
-								label,
-								protocol,
-								appData
-							});
+				callback({ id });
+			}
+			catch (error)
+			{
+				errback(error);
+			}
+		});
+	}
 
-						callback({ id });
-					}
-					catch (error)
+	async _createRecvTransport()
+	{
+		const transportInfo = await this._protoo.request(
+			'createWebRtcTransport',
+			{
+				forceTcp         : this._forceTcp,
+				producing        : false,
+				consuming        : true,
+				sctpCapabilities : this._useDataChannel
+					? this._mediasoupDevice.sctpCapabilities
+					: undefined
+			});
+
+		const {
+			id,
+			iceParameters,
+			iceCandidates,
+			dtlsParameters,
+			sctpParameters,
+			iceServers
+		} = transportInfo;
+
+		this._recvTransport = this._mediasoupDevice.createRecvTransport(
+			{
+				id,
+				iceParameters,
+				iceCandidates,
+				dtlsParameters,
+				sctpParameters,
+				iceServers         : iceServers || [],
+				iceTransportPolicy : this._iceTransportPolicy
+			});
+
+		this._handleTransportConnectionState(this._recvTransport);
+
+		this._recvTransport.on(
+			'connect', ({ dtlsParameters }, callback, errback) => // eslint-disable-line no-shadow
+			{
+				this._protoo.request(
+					'connectWebRtcTransport',
 					{
-						errback(error);
-					}
+						transportId : this._recvTransport.id,
+						dtlsParameters
+					})
+					.then(callback)
+					.catch(errback);
+			});
+	}
+
+	async _joinRoom()
+	{
+		logger.debug('_joinRoom()');
+
+		try
+		{
+			this._mediasoupDevice = new mediasoupClient.Device(
+				{
+					handlerName : this._handlerName
 				});
+
+			const routerRtpCapabilities =
+				await this._protoo.request('getRouterRtpCapabilities');
+
+			await this._mediasoupDevice.load({ routerRtpCapabilities });
+
+			// NOTE: Stuff to play remote audios due to browsers' new autoplay policy.
+			//
+			// Just get access to the mic and DO NOT close the mic track for a while.
+			// Super hack!
+			{
+				const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+				const audioTrack = stream.getAudioTracks()[0];
+
+				audioTrack.enabled = false;
+
+				setTimeout(() => audioTrack.stop(), 120000);
 			}
 
-			// Create mediasoup Transport for sending (unless we don't want to consume).
-			if (this._consume)
+			// NOTE: Don't send our RTP capabilities if we don't want to consume.
+			const joinData =
 			{
-				const transportInfo = await this._protoo.request(
-					'createWebRtcTransport',
-					{
-						forceTcp         : this._forceTcp,
-						producing        : false,
-						consuming        : true,
-						sctpCapabilities : this._useDataChannel
-							? this._mediasoupDevice.sctpCapabilities
-							: undefined
-					});
+				displayName     : this._displayName,
+				device          : this._device,
+				rtpCapabilities : this._consume
+					? this._mediasoupDevice.rtpCapabilities
+					: undefined,
+				sctpCapabilities : this._useDataChannel && this._consume
+					? this._mediasoupDevice.sctpCapabilities
+					: undefined
+			};
 
-				const {
-					id,
-					iceParameters,
-					iceCandidates,
-					dtlsParameters,
-					sctpParameters
-				} = transportInfo;
+			// If the room has a lobby, just let the hosts know about us and wait
+			// until one of them admits us (we'll get a 'lobbyAdmitted'
+			// notification).
+			if (this._lobby)
+			{
+				await this._protoo.request('join', joinData);
 
-				this._recvTransport = this._mediasoupDevice.createRecvTransport(
-					{
-						id,
-						iceParameters,
-						iceCandidates,
-						dtlsParameters,
-						sctpParameters,
-						iceServers : []
-					});
+				store.dispatch(
+					stateActions.setRoomState('lobby'));
 
-				this._recvTransport.on(
-					'connect', ({ dtlsParameters }, callback, errback) => // eslint-disable-line no-shadow
-					{
-						this._protoo.request(
-							'connectWebRtcTransport',
-							{
-								transportId : this._recvTransport.id,
-								dtlsParameters
-							})
-							.then(callback)
-							.catch(errback);
-					});
+				return;
 			}
 
+			// Create mediasoup Transport for sending (unless we don't want to produce).
+			if (this._produce)
+				await this._createSendTransport();
+
+			// Create mediasoup Transport for receiving (unless we don't want to
+			// consume).
+			if (this._consume)
+				await this._createRecvTransport();
+
 			// Join now into the room.
-			// NOTE: Don't send our RTP capabilities if we don't want to consume.
-			const { peers } = await this._protoo.request(
-				'join',
-				{
-					displayName     : this._displayName,
-					device          : this._device,
-					rtpCapabilities : this._consume
-						? this._mediasoupDevice.rtpCapabilities
-						: undefined,
-					sctpCapabilities : this._useDataChannel && this._consume
-						? this._mediasoupDevice.sctpCapabilities
-						: undefined
-				});
+			const joinResponse = await this._protoo.request('join', joinData);
 
-			store.dispatch(
-				stateActions.setRoomState('connected'));
+			this._handleJoined(joinResponse);
+		}
+		catch (error)
+		{
+			// Closed meanwhile (for instance, access to the room was denied).
+			if (this._closed)
+				return;
 
-			// Clean all the existing notifcations.
-			store.dispatch(
-				stateActions.removeAllNotifications());
+			logger.error('_joinRoom() failed:%o', error);
 
 			store.dispatch(requestActions.notify(
 				{
-					text    : 'You are in the room!',
-					timeout : 3000
+					type : 'error',
+					text : `Could not join the room: ${error}`
 				}));
 
-			for (const peer of peers)
+			this.close();
+		}
+	}
+
+	/**
+	 * Resume our session after the WebSocket reconnected and get in sync with
+	 * the changes in the room meanwhile. If the server no longer has our session,
+	 * join again from scratch.
+	 */
+	async _resumeRoom()
+	{
+		logger.debug('_resumeRoom()');
+
+		const protoo = this._protoo;
+		let resumeResponse;
+
+		try
+		{
+			resumeResponse = await protoo.request(
+				'resume', { resumeToken: this._resumeToken });
+		}
+		catch (error)
+		{
+			// Closed meanwhile or joining again from scratch (for instance, the room
+			// failed while we were disconnected).
+			if (this._closed || this._protoo !== protoo)
+				return;
+
+			logger.warn('_resumeRoom() | could not resume, joining again:%o', error);
+
+			this._resumeToken = null;
+			this._closeTransports();
+
+			store.dispatch(
+				stateActions.setRoomState('closed'));
+
+			store.dispatch(
+				stateActions.setRoomState('connecting'));
+
+			await this._joinRoom();
+
+			return;
+		}
+
+		const {
+			peers,
+			role,
+			recording,
+			locked,
+			hasPassword,
+			lobbyPeers,
+			producerIds,
+			consumerIds,
+			dataConsumerIds,
+			pausedProducerIds
+		} = resumeResponse;
+		const state = store.getState();
+
+		// Peers that left or joined meanwhile.
+		for (const peerId of Object.keys(state.peers))
+		{
+			if (!peers.some((peer) => peer.id === peerId))
+				store.dispatch(stateActions.removePeer(peerId));
+		}
+
+		for (const peer of peers)
+		{
+			if (!state.peers[peer.id])
 			{
 				store.dispatch(
 					stateActions.addPeer(
 						{ ...peer, consumers: [], dataConsumers: [] }));
 			}
+		}
 
-			// Enable mic/webcam.
-			if (this._produce)
+		// Peers that entered or left the lobby meanwhile (just for hosts).
+		for (const peerId of Object.keys(state.lobbyPeers))
+		{
+			if (!lobbyPeers.some((lobbyPeer) => lobbyPeer.peerId === peerId))
+				store.dispatch(stateActions.removeLobbyPeer(peerId));
+		}
+
+		for (const lobbyPeer of lobbyPeers)
+		{
+			store.dispatch(
+				stateActions.addLobbyPeer(lobbyPeer));
+		}
+
+		// Producers closed by a host meanwhile.
+		for (const producer of [ this._micProducer, this._webcamProducer, this._shareProducer ])
+		{
+			if (producer && !producerIds.includes(producer.id))
+				this._closeLocalProducer(producer);
+		}
+
+		// Producers paused by a host meanwhile.
+		for (const producer of [ this._micProducer, this._webcamProducer, this._shareProducer ])
+		{
+			if (!producer || producer.closed || producer.paused)
+				continue;
+
+			if (pausedProducerIds.includes(producer.id))
 			{
-				// Set our media capabilities.
-				store.dispatch(stateActions.setMediaCapabilities(
-					{
-						canSendMic    : this._mediasoupDevice.canProduce('audio'),
-						canSendWebcam : this._mediasoupDevice.canProduce('video')
-					}));
+				producer.pause();
+
+				store.dispatch(
+					stateActions.setProducerPaused(producer.id));
+			}
+		}
+
+		// Consumers and DataConsumers whose Producers were closed meanwhile. New
+		// ones will come in 'newConsumer' and 'newDataConsumer' requests.
+		for (const consumer of Array.from(this._consumers.values()))
+		{
+			if (consumerIds.includes(consumer.id))
+				continue;
+
+			consumer.close();
+			this._consumers.delete(consumer.id);
+
+			store.dispatch(
+				stateActions.removeConsumer(consumer.id, consumer.appData.peerId));
+		}
+
+		for (const dataConsumer of Array.from(this._dataConsumers.values()))
+		{
+			if (dataConsumerIds.includes(dataConsumer.id))
+				continue;
+
+			dataConsumer.close();
+			this._dataConsumers.delete(dataConsumer.id);
+
+			store.dispatch(
+				stateActions.removeDataConsumer(
+					dataConsumer.id, dataConsumer.appData.peerId));
+		}
+
+		store.dispatch(
+			stateActions.setRoomState('connected'));
+
+		store.dispatch(
+			stateActions.setMyRole(role));
 
-				this.enableMic();
+		store.dispatch(
+			stateActions.setRoomRecording(recording));
 
-				const devicesCookie = cookiesManager.getDevices();
+		store.dispatch(
+			stateActions.setRoomAccess({ locked, hasPassword }));
 
-				if (!devicesCookie || devicesCookie.webcamEnabled || this._externalVideo)
-					this.enableWebcam();
+		store.dispatch(requestActions.notify(
+			{
+				text    : 'Reconnected to the room',
+				timeout : 3000
+			}));
 
-				this._sendTransport.on('connectionstatechange', (connectionState) =>
+		// Media may have been disconnected too (or we were replacing our
+		// Transports).
+		if (
+			(this._produce && !this._sendTransport) ||
+			(this._consume && !this._recvTransport)
+		)
+		{
+			this._recreateTransports()
+				.catch((error) =>
 				{
-					if (connectionState === 'connected')
-					{
-						this.enableChatDataProducer();
-						this.enableBotDataProducer();
-					}
+					if (this._closed)
+						return;
+
+					logger.error('_recreateTransports() failed, joining again:%o', error);
+
+					this._rejoin();
 				});
-			}
+		}
+		else if (!this._areTransportsConnected())
+		{
+			this._scheduleIceRestart();
+		}
+	}
+
+	/**
+	 * Called once the server has accepted our 'join' request.
+	 */
+	_handleJoined(
+		{
+			peers,
+			role,
+			recording,
+			locked,
+			hasPassword,
+			lobbyPeers,
+			resumeToken
+		})
+	{
+		this._resumeToken = resumeToken;
+
+		store.dispatch(
+			stateActions.setRoomState('connected'));
+
+		store.dispatch(
+			stateActions.setMyRole(role));
 
-			// NOTE: For testing.
-			if (window.SHOW_INFO)
+		store.dispatch(
+			stateActions.setRoomRecording(recording));
+
+		store.dispatch(
+			stateActions.setRoomAccess({ locked, hasPassword }));
+
+		// Clean all the existing notifcations.
+		store.dispatch(
+			stateActions.removeAllNotifications());
+
+		store.dispatch(requestActions.notify(
 			{
-				const { me } = store.getState();
+				text    : 'You are in the room!',
+				timeout : 3000
+			}));
 
-				store.dispatch(
-					stateActions.setRoomStatsPeerId(me.id));
-			}
+		for (const peer of peers)
+		{
+			store.dispatch(
+				stateActions.addPeer(
+					{ ...peer, consumers: [], dataConsumers: [] }));
 		}
-		catch (error)
+
+		// Peers waiting in the lobby (just for hosts).
+		for (const lobbyPeer of lobbyPeers)
 		{
-			logger.error('_joinRoom() failed:%o', error);
+			store.dispatch(
+				stateActions.addLobbyPeer(lobbyPeer));
+		}
 
-			store.dispatch(requestActions.notify(
+		// Enable mic/webcam (viewers are not allowed to produce).
+		if (this._produce && role !== 'viewer')
+		{
+			// Set our media capabilities.
+			store.dispatch(stateActions.setMediaCapabilities(
 				{
-					type : 'error',
-					text : `Could not join the room: ${error}`
+					canSendMic    : this._mediasoupDevice.canProduce('audio'),
+					canSendWebcam : this._mediasoupDevice.canProduce('video')
 				}));
 
-			this.close();
+			this.enableMic();
+
+			const devicesCookie = cookiesManager.getDevices();
+
+			if (!devicesCookie || devicesCookie.webcamEnabled || this._externalVideo)
+				this.enableWebcam();
+
+			this._sendTransport.on('connectionstatechange', (connectionState) =>
+			{
+				if (connectionState === 'connected')
+				{
+					this.enableChatDataProducer();
+					this.enableBotDataProducer();
+				}
+			});
+		}
+
+		// NOTE: For testing.
+		if (window.SHOW_INFO)
+		{
+			const { me } = store.getState();
+
+			store.dispatch(
+				stateActions.setRoomStatsPeerId(me.id));
 		}
 	}
 
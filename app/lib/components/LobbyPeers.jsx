@@ -0,0 +1,64 @@
+import React from 'react';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import * as appPropTypes from './appPropTypes';
+import { withRoomContext } from '../RoomContext';
+import { Appear } from './transitions';
+
+const LobbyPeers = ({ roomClient, lobbyPeers }) =>
+{
+	if (lobbyPeers.length === 0)
+		return null;
+
+	return (
+		<Appear duration={300}>
+			<div data-component='LobbyPeers'>
+				<p className='title'>waiting in the lobby</p>
+
+				{
+					lobbyPeers.map((lobbyPeer) =>
+					{
+						return (
+							<div key={lobbyPeer.peerId} className='lobby-peer'>
+								<p className='display-name'>{lobbyPeer.displayName}</p>
+
+								<div
+									className='button admit'
+									onClick={() => roomClient.admitPeer(lobbyPeer.peerId)}
+								>
+									admit
+								</div>
+
+								<div
+									className='button deny'
+									onClick={() => roomClient.denyPeer(lobbyPeer.peerId)}
+								>
+									deny
+								</div>
+							</div>
+						);
+					})
+				}
+			</div>
+		</Appear>
+	);
+};
+
+LobbyPeers.propTypes =
+{
+	roomClient : PropTypes.any.isRequired,
+	lobbyPeers : PropTypes.arrayOf(appPropTypes.LobbyPeer).isRequired
+};
+
+const mapStateToProps = (state) =>
+{
+	return {
+		lobbyPeers : Object.values(state.lobbyPeers)
+	};
+};
+
+const LobbyPeersContainer = withRoomContext(connect(
+	mapStateToProps
+)(LobbyPeers));
+
+export default LobbyPeersContainer;
@@ -65,6 +65,9 @@ class Me extends React.Component
 		else
 			shareState = 'off';
 
+		// Just hosts and presenters can share their screen.
+		const canShare = me.role === 'host' || me.role === 'presenter';
+
 		const videoVisible = Boolean(videoProducer) && !videoProducer.paused;
 
 		let tip;
@@ -117,18 +120,20 @@ class Me extends React.Component
 							onClick={() => roomClient.changeWebcam()}
 						/>
 
-						<div
-							className={classnames('button', 'share', shareState, {
-								disabled : me.shareInProgress || me.webcamInProgress
-							})}
-							onClick={() =>
-							{
-								if (shareState === 'on')
-									roomClient.disableShare();
-								else
-									roomClient.enableShare();
-							}}
-						/>
+						<If condition={canShare}>
+							<div
+								className={classnames('button', 'share', shareState, {
+									disabled : me.shareInProgress || me.webcamInProgress
+								})}
+								onClick={() =>
+								{
+									if (shareState === 'on')
+										roomClient.disableShare();
+									else
+										roomClient.enableShare();
+								}}
+							/>
+						</If>
 					</div>
 				</If>
 
@@ -15,6 +15,7 @@ const Peer = (props) =>
 		videoConsumer,
 		audioMuted,
 		faceDetection,
+		amHost,
 		onSetStatsPeerId
 	} = props;
 
@@ -42,6 +43,39 @@ const Peer = (props) =>
 				</If>
 			</div>
 
+			<If condition={amHost}>
+				<div className='moderation'>
+					<If condition={audioEnabled}>
+						<div
+							className='button'
+							onClick={() => roomClient.moderatorMutePeer(peer.id)}
+						>
+							mute
+						</div>
+					</If>
+
+					<If condition={Boolean(videoConsumer)}>
+						<div
+							className='button'
+							onClick={() =>
+							{
+								roomClient.moderatorCloseProducer(
+									peer.id, videoConsumer.producerId);
+							}}
+						>
+							stop video
+						</div>
+					</If>
+
+					<div
+						className='button kick'
+						onClick={() => roomClient.moderatorKickPeer(peer.id)}
+					>
+						kick
+					</div>
+				</div>
+			</If>
+
 			<PeerView
 				peer={peer}
 				audioConsumerId={audioConsumer ? audioConsumer.id : null}
@@ -100,6 +134,7 @@ Peer.propTypes =
 	videoConsumer    : appPropTypes.Consumer,
 	audioMuted       : PropTypes.bool,
 	faceDetection    : PropTypes.bool.isRequired,
+	amHost           : PropTypes.bool.isRequired,
 	onSetStatsPeerId : PropTypes.func.isRequired
 };
 
@@ -119,7 +154,8 @@ const mapStateToProps = (state, { id }) =>
 		audioConsumer,
 		videoConsumer,
 		audioMuted    : me.audioMuted,
-		faceDetection : state.room.faceDetection
+		faceDetection : state.room.faceDetection,
+		amHost        : me.role === 'host'
 	};
 };
 
@@ -20,6 +20,10 @@ const Peers = ({ peers, activeSpeakerId }) =>
 									'active-speaker' : peer.id === activeSpeakerId
 								})}
 							>
+								<If condition={peer.role === 'host'}>
+									<div className='role-badge'>host</div>
+								</If>
+
 								<Peer id={peer.id} />
 							</div>
 						</Appear>
@@ -6,6 +6,7 @@ import classnames from 'classnames';
 import clipboardCopy from 'clipboard-copy';
 import * as appPropTypes from './appPropTypes';
 import { withRoomContext } from '../RoomContext';
+import * as stateActions from '../redux/stateActions';
 import * as requestActions from '../redux/requestActions';
 import { Appear } from './transitions';
 import Me from './Me';
@@ -14,6 +15,8 @@ import Peers from './Peers';
 import Stats from './Stats';
 import Notifications from './Notifications';
 import NetworkThrottle from './NetworkThrottle';
+import LobbyPeers from './LobbyPeers';
+import RoomPassword from './RoomPassword';
 
 class Room extends React.Component
 {
@@ -24,7 +27,8 @@ class Room extends React.Component
 			room,
 			me,
 			amActiveSpeaker,
-			onRoomLinkCopy
+			onRoomLinkCopy,
+			onSetRoomPassword
 		}	= this.props;
 
 		return (
@@ -37,6 +41,19 @@ class Room extends React.Component
 						<p className={classnames('text', room.state)}>{room.state}</p>
 					</div>
 
+					<If condition={room.mediaReconnecting}>
+						<div className='media-reconnecting'>
+							<p className='text'>Media connection lost, reconnecting...</p>
+						</div>
+					</If>
+
+					<If condition={room.recording}>
+						<div className='recording'>
+							<div className='icon' />
+							<p className='text'>rec</p>
+						</div>
+					</If>
+
 					<div className='room-link-wrapper'>
 						<div className='room-link'>
 							<a
@@ -68,6 +85,21 @@ class Room extends React.Component
 						</div>
 					</div>
 
+					<If condition={room.state === 'lobby'}>
+						<div className='lobby-waiting'>
+							<p className='title'>Waiting in the lobby</p>
+							<p className='text'>
+								A host will let you into the room soon
+							</p>
+						</div>
+					</If>
+
+					<If condition={me.role === 'host'}>
+						<LobbyPeers />
+					</If>
+
+					<RoomPassword />
+
 					<Peers />
 
 					<div
@@ -117,6 +149,48 @@ class Room extends React.Component
 							data-tip='Restart ICE'
 							onClick={() => roomClient.restartIce()}
 						/>
+
+						<If condition={me.role === 'host'}>
+							<div
+								className='button mute-all'
+								data-tip='Mute all participants'
+								onClick={() => roomClient.moderatorMuteAll()}
+							/>
+
+							<div
+								className={classnames('button', 'lock', {
+									on : room.locked
+								})}
+								data-tip={room.locked ? 'Unlock room' : 'Lock room'}
+								onClick={() =>
+								{
+									room.locked
+										? roomClient.unlockRoom()
+										: roomClient.lockRoom();
+								}}
+							/>
+
+							<div
+								className={classnames('button', 'password', {
+									on : room.hasPassword
+								})}
+								data-tip={room.hasPassword ? 'Change or remove room password' : 'Set room password'}
+								onClick={() => onSetRoomPassword()}
+							/>
+
+							<div
+								className={classnames('button', 'record', {
+									on : room.recording
+								})}
+								data-tip={room.recording ? 'Stop recording' : 'Start recording'}
+								onClick={() =>
+								{
+									room.recording
+										? roomClient.stopRecording()
+										: roomClient.startRecording();
+								}}
+							/>
+						</If>
 					</div>
 
 					<Stats />
@@ -149,11 +223,12 @@ class Room extends React.Component
 
 Room.propTypes =
 {
-	roomClient      : PropTypes.any.isRequired,
-	room            : appPropTypes.Room.isRequired,
-	me              : appPropTypes.Me.isRequired,
-	amActiveSpeaker : PropTypes.bool.isRequired,
-	onRoomLinkCopy  : PropTypes.func.isRequired
+	roomClient        : PropTypes.any.isRequired,
+	room              : appPropTypes.Room.isRequired,
+	me                : appPropTypes.Me.isRequired,
+	amActiveSpeaker   : PropTypes.bool.isRequired,
+	onRoomLinkCopy    : PropTypes.func.isRequired,
+	onSetRoomPassword : PropTypes.func.isRequired
 };
 
 const mapStateToProps = (state) =>
@@ -174,6 +249,10 @@ const mapDispatchToProps = (dispatch) =>
 				{
 					text : 'Room link copied to the clipboard'
 				}));
+		},
+		onSetRoomPassword : () =>
+		{
+			dispatch(stateActions.setRoomPasswordDialog('set'));
 		}
 	};
 };
@@ -0,0 +1,121 @@
+import React from 'react';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { withRoomContext } from '../RoomContext';
+import * as stateActions from '../redux/stateActions';
+import { Appear } from './transitions';
+
+const Titles =
+{
+	required : 'This room is protected by a password',
+	wrong    : 'Wrong password, please try again',
+	set      : 'Room password (leave it empty to remove it)'
+};
+
+class RoomPassword extends React.Component
+{
+	constructor(props)
+	{
+		super(props);
+
+		this.state =
+		{
+			password : ''
+		};
+	}
+
+	render()
+	{
+		const { passwordDialog, onCancel } = this.props;
+		const { password } = this.state;
+
+		if (!passwordDialog)
+			return null;
+
+		return (
+			<Appear duration={300}>
+				<div data-component='RoomPassword'>
+					<p className='title'>{Titles[passwordDialog]}</p>
+
+					<input
+						type='password'
+						autoFocus
+						autoComplete='off'
+						value={password}
+						onChange={(event) => this.setState({ password: event.target.value })}
+						onKeyPress={(event) =>
+						{
+							if (event.key === 'Enter')
+								this.handleSubmit();
+						}}
+					/>
+
+					<div className='buttons'>
+						<div
+							className='button submit'
+							onClick={() => this.handleSubmit()}
+						>
+							ok
+						</div>
+
+						<div
+							className='button cancel'
+							onClick={() =>
+							{
+								this.setState({ password: '' });
+
+								onCancel();
+							}}
+						>
+							cancel
+						</div>
+					</div>
+				</div>
+			</Appear>
+		);
+	}
+
+	handleSubmit()
+	{
+		const { roomClient, passwordDialog } = this.props;
+		const { password } = this.state;
+
+		this.setState({ password: '' });
+
+		if (passwordDialog === 'set')
+			roomClient.setRoomPassword(password);
+		else if (password)
+			roomClient.enterRoomPassword(password);
+	}
+}
+
+RoomPassword.propTypes =
+{
+	roomClient     : PropTypes.any.isRequired,
+	passwordDialog : PropTypes.oneOf([ 'required', 'wrong', 'set' ]),
+	onCancel       : PropTypes.func.isRequired
+};
+
+const mapStateToProps = (state) =>
+{
+	return {
+		passwordDialog : state.room.passwordDialog
+	};
+};
+
+const mapDispatchToProps = (dispatch) =>
+{
+	return {
+		onCancel : () =>
+		{
+			dispatch(stateActions.setRoomPasswordDialog(null));
+		}
+	};
+};
+
+const RoomPasswordContainer = withRoomContext(connect(
+	mapStateToProps,
+	mapDispatchToProps
+)(RoomPassword));
+
+export default RoomPasswordContainer;
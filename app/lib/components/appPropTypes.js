@@ -4,8 +4,14 @@ export const Room = PropTypes.shape(
 	{
 		url   : PropTypes.string.isRequired,
 		state : PropTypes.oneOf(
-			[ 'new', 'connecting', 'connected', 'closed' ]).isRequired,
-		activeSpeakerName : PropTypes.string
+			[ 'new', 'connecting', 'lobby', 'connected', 'reconnecting', 'closed' ]
+		).isRequired,
+		mediaReconnecting : PropTypes.bool,
+		activeSpeakerName : PropTypes.string,
+		recording         : PropTypes.bool,
+		locked            : PropTypes.bool,
+		hasPassword       : PropTypes.bool,
+		passwordDialog    : PropTypes.oneOf([ 'required', 'wrong', 'set' ])
 	});
 
 export const Device = PropTypes.shape(
@@ -21,6 +27,7 @@ export const Me = PropTypes.shape(
 		displayName          : PropTypes.string,
 		displayNameSet       : PropTypes.bool.isRequired,
 		device               : Device.isRequired,
+		role                 : PropTypes.string,
 		canSendMic           : PropTypes.bool.isRequired,
 		canSendWebcam        : PropTypes.bool.isRequired,
 		canChangeWebcam      : PropTypes.bool.isRequired,
@@ -52,12 +59,21 @@ export const Peer = PropTypes.shape(
 		id          : PropTypes.string.isRequired,
 		displayName : PropTypes.string,
 		device      : Device.isRequired,
+		role        : PropTypes.string,
 		consumers   : PropTypes.arrayOf(PropTypes.string).isRequired
 	});
 
+export const LobbyPeer = PropTypes.shape(
+	{
+		peerId      : PropTypes.string.isRequired,
+		displayName : PropTypes.string,
+		device      : Device
+	});
+
 export const Consumer = PropTypes.shape(
 	{
 		id                    : PropTypes.string.isRequired,
+		producerId            : PropTypes.string,
 		locallyPaused         : PropTypes.bool.isRequired,
 		remotelyPaused        : PropTypes.bool.isRequired,
 		currentSpatialLayer   : PropTypes.number,
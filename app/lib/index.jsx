@@ -63,14 +63,22 @@ async function run()
 	logger.debug('run() [environment:%s]', process.env.NODE_ENV);
 
 	const urlParser = new UrlParse(window.location.href, true);
-	const peerId = randomString({ length: 8 }).toLowerCase();
-	let roomId = urlParser.query.roomId;
+	const token = urlParser.query.token;
+	const password = urlParser.query.password;
+	const tokenPayload = token ? utils.decodeTokenPayload(token) : {};
+	const peerId = tokenPayload.peerId || randomString({ length: 8 }).toLowerCase();
+	let roomId = tokenPayload.roomId || urlParser.query.roomId;
 	let displayName =
-		urlParser.query.displayName || (cookiesManager.getUser() || {}).displayName;
+		tokenPayload.displayName ||
+		urlParser.query.displayName ||
+		(cookiesManager.getUser() || {}).displayName;
 	const handler = urlParser.query.handler;
 	const useSimulcast = urlParser.query.simulcast !== 'false';
 	const useSharingSimulcast = urlParser.query.sharingSimulcast !== 'false';
 	const forceTcp = urlParser.query.forceTcp === 'true';
+	const iceTransportPolicy = urlParser.query.iceTransportPolicy === 'relay'
+		? 'relay'
+		: 'all';
 	const produce = urlParser.query.produce !== 'false';
 	const consume = urlParser.query.consume !== 'false';
 	const forceH264 = urlParser.query.forceH264 === 'true';
@@ -99,13 +107,21 @@ async function run()
 	}
 
 	if (!roomId)
-	{
 		roomId = randomString({ length: 8 }).toLowerCase();
 
+	if (urlParser.query.roomId !== roomId)
+	{
 		urlParser.query.roomId = roomId;
 		window.history.pushState('', '', urlParser.toString());
 	}
 
+	// Don't keep the room password in the URL.
+	if (password)
+	{
+		delete urlParser.query.password;
+		window.history.replaceState('', '', urlParser.toString());
+	}
+
 	// Get the effective/shareable Room URL.
 	const roomUrlParser = new UrlParse(window.location.href, true);
 
@@ -123,6 +139,7 @@ async function run()
 			case 'forceH264':
 			case 'forceVP9':
 			case 'forceTcp':
+			case 'iceTransportPolicy':
 			case 'svc':
 			case 'datachannel':
 			case 'info':
@@ -164,23 +181,35 @@ async function run()
 	store.dispatch(
 		stateActions.setMe({ peerId, displayName, displayNameSet, device }));
 
+	// If the room has a password, reload the app with the one entered by the
+	// user.
+	const onPasswordEntered = (newPassword) =>
+	{
+		urlParser.query.password = newPassword;
+		window.location.href = urlParser.toString();
+	};
+
 	roomClient = new RoomClient(
 		{
 			roomId,
 			peerId,
+			token,
+			password,
 			displayName,
 			device,
 			handlerName : handler,
 			useSimulcast,
 			useSharingSimulcast,
 			forceTcp,
+			iceTransportPolicy,
 			produce,
 			consume,
 			forceH264,
 			forceVP9,
 			svc,
 			datachannel,
-			externalVideo
+			externalVideo,
+			onPasswordEntered
 		});
 
 	// NOTE: For debugging.
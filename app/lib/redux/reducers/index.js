@@ -4,6 +4,7 @@ import me from './me';
 import producers from './producers';
 import dataProducers from './dataProducers';
 import peers from './peers';
+import lobbyPeers from './lobbyPeers';
 import consumers from './consumers';
 import dataConsumers from './dataConsumers';
 import notifications from './notifications';
@@ -15,6 +16,7 @@ const reducers = combineReducers(
 		producers,
 		dataProducers,
 		peers,
+		lobbyPeers,
 		consumers,
 		dataConsumers,
 		notifications
@@ -0,0 +1,39 @@
+const initialState = {};
+
+const lobbyPeers = (state = initialState, action) =>
+{
+	switch (action.type)
+	{
+		case 'SET_ROOM_STATE':
+		{
+			const roomState = action.payload.state;
+
+			if (roomState === 'closed')
+				return {};
+			else
+				return state;
+		}
+
+		case 'ADD_LOBBY_PEER':
+		{
+			const lobbyPeer = action.payload;
+
+			return { ...state, [lobbyPeer.peerId]: lobbyPeer };
+		}
+
+		case 'REMOVE_LOBBY_PEER':
+		{
+			const { peerId } = action.payload;
+			const newState = { ...state };
+
+			delete newState[peerId];
+
+			return newState;
+		}
+
+		default:
+			return state;
+	}
+};
+
+export default lobbyPeers;
@@ -4,6 +4,7 @@ const initialState =
 	displayName          : null,
 	displayNameSet       : false,
 	device               : null,
+	role                 : null,
 	canSendMic           : false,
 	canSendWebcam        : false,
 	canChangeWebcam      : false,
@@ -48,6 +49,13 @@ const me = (state = initialState, action) =>
 			return { ...state, id: peerId, displayName, displayNameSet, device };
 		}
 
+		case 'SET_MY_ROLE':
+		{
+			const { role } = action.payload;
+
+			return { ...state, role };
+		}
+
 		case 'SET_MEDIA_CAPABILITIES':
 		{
 			const { canSendMic, canSendWebcam } = action.payload;
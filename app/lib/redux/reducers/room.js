@@ -1,10 +1,15 @@
 const initialState =
 {
-	url             : null,
-	state           : 'new', // new/connecting/connected/disconnected/closed,
-	activeSpeakerId : null,
-	statsPeerId     : null,
-	faceDetection   : false
+	url               : null,
+	state             : 'new', // new/connecting/lobby/connected/reconnecting/closed,
+	mediaReconnecting : false,
+	activeSpeakerId   : null,
+	statsPeerId       : null,
+	faceDetection     : false,
+	recording         : false,
+	locked            : false,
+	hasPassword       : false,
+	passwordDialog    : null // null/required/wrong/set
 };
 
 const room = (state = initialState, action) =>
@@ -22,10 +27,25 @@ const room = (state = initialState, action) =>
 		{
 			const roomState = action.payload.state;
 
-			if (roomState === 'connected')
+			// Keep the room data while reconnecting since we expect to resume our
+			// session.
+			if (roomState === 'connected' || roomState === 'reconnecting')
+			{
 				return { ...state, state: roomState };
+			}
 			else
-				return { ...state, state: roomState, activeSpeakerId: null, statsPeerId: null };
+			{
+				return {
+					...state,
+					state             : roomState,
+					mediaReconnecting : false,
+					activeSpeakerId   : null,
+					statsPeerId       : null,
+					recording         : false,
+					locked            : false,
+					hasPassword       : false
+				};
+			}
 		}
 
 		case 'SET_ROOM_ACTIVE_SPEAKER':
@@ -45,6 +65,34 @@ const room = (state = initialState, action) =>
 			return { ...state, statsPeerId: peerId };
 		}
 
+		case 'SET_ROOM_RECORDING':
+		{
+			const { flag } = action.payload;
+
+			return { ...state, recording: flag };
+		}
+
+		case 'SET_ROOM_MEDIA_RECONNECTING':
+		{
+			const { flag } = action.payload;
+
+			return { ...state, mediaReconnecting: flag };
+		}
+
+		case 'SET_ROOM_ACCESS':
+		{
+			const { locked, hasPassword } = action.payload;
+
+			return { ...state, locked, hasPassword };
+		}
+
+		case 'SET_ROOM_PASSWORD_DIALOG':
+		{
+			const { dialog } = action.payload;
+
+			return { ...state, passwordDialog: dialog };
+		}
+
 		case 'SET_FACE_DETECTION':
 		{
 			const flag = action.payload;
@@ -30,6 +30,38 @@ export const setRoomStatsPeerId = (peerId) =>
 	};
 };
 
+export const setRoomRecording = (flag) =>
+{
+	return {
+		type    : 'SET_ROOM_RECORDING',
+		payload : { flag }
+	};
+};
+
+export const setRoomAccess = ({ locked, hasPassword }) =>
+{
+	return {
+		type    : 'SET_ROOM_ACCESS',
+		payload : { locked, hasPassword }
+	};
+};
+
+export const setRoomPasswordDialog = (dialog) =>
+{
+	return {
+		type    : 'SET_ROOM_PASSWORD_DIALOG',
+		payload : { dialog }
+	};
+};
+
+export const setRoomMediaReconnecting = (flag) =>
+{
+	return {
+		type    : 'SET_ROOM_MEDIA_RECONNECTING',
+		payload : { flag }
+	};
+};
+
 export const setRoomFaceDetection = (flag) =>
 {
 	return {
@@ -46,6 +78,30 @@ export const setMe = ({ peerId, displayName, displayNameSet, device }) =>
 	};
 };
 
+export const setMyRole = (role) =>
+{
+	return {
+		type    : 'SET_MY_ROLE',
+		payload : { role }
+	};
+};
+
+export const addLobbyPeer = ({ peerId, displayName, device }) =>
+{
+	return {
+		type    : 'ADD_LOBBY_PEER',
+		payload : { peerId, displayName, device }
+	};
+};
+
+export const removeLobbyPeer = (peerId) =>
+{
+	return {
+		type    : 'REMOVE_LOBBY_PEER',
+		payload : { peerId }
+	};
+};
+
 export const setMediaCapabilities = ({ canSendMic, canSendWebcam }) =>
 {
 	return {
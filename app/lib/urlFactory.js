@@ -3,9 +3,16 @@ let protooPort = 4443;
 if (window.location.hostname === 'test.mediasoup.org')
 	protooPort = 4444;
 
-export function getProtooUrl({ roomId, peerId })
+export function getProtooUrl({ roomId, peerId, token, password })
 {
 	const hostname = window.location.hostname;
+	let url = `wss://${hostname}:${protooPort}/?roomId=${roomId}&peerId=${peerId}`;
 
-	return `wss://${hostname}:${protooPort}/?roomId=${roomId}&peerId=${peerId}`;
+	if (token)
+		url += `&token=${encodeURIComponent(token)}`;
+
+	if (password)
+		url += `&password=${encodeURIComponent(password)}`;
+
+	return url;
 }
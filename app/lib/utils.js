@@ -18,3 +18,28 @@ export function isMobile()
 {
 	return !mediaQueryDetectorElem.offsetParent;
 }
+
+/**
+ * Get the payload of a JWT access token (without verifying it, that is done
+ * by the server).
+ */
+export function decodeTokenPayload(token)
+{
+	try
+	{
+		const encodedPayload = token.split('.')[1]
+			.replace(/-/g, '+')
+			.replace(/_/g, '/');
+
+		// atob() gives a binary string, decode its bytes as UTF-8 so non ASCII
+		// display names are not garbled.
+		const bytes = Uint8Array.from(
+			window.atob(encodedPayload), (char) => char.charCodeAt(0));
+
+		return JSON.parse(new TextDecoder('utf-8').decode(bytes));
+	}
+	catch (error)
+	{
+		return {};
+	}
+}
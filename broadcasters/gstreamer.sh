@@ -12,6 +12,12 @@ function show_usage()
 	echo "  - SERVER_URL is the URL of the mediasoup-demo API server"
 	echo "  - ROOM_ID is the id of the mediasoup-demo room (it must exist in advance)"
 	echo "  - MEDIA_FILE is the path to a audio+video file (such as a .mp4 file)"
+	echo "  - AUTH_TOKEN (optional) is the access token sent to the API server if it"
+	echo "    has authentication enabled (requires httpie 3.0 or newer)"
+	echo "  - BROADCASTER_ID (optional) is the id of the Broadcaster (random if not"
+	echo "    given). Unless AUTH_TOKEN has the admin role, it must be its peerId"
+	echo "  - KEEPALIVE_INTERVAL (optional) is how often (in seconds) a keepalive is"
+	echo "    sent so the server doesn't delete the Broadcaster (10 if not given)"
 	echo
 	echo "REQUIREMENTS"
 	echo "------------"
@@ -62,13 +68,21 @@ fi
 
 set -e
 
-BROADCASTER_ID=$(LC_CTYPE=C tr -dc A-Za-z0-9 < /dev/urandom | fold -w ${1:-32} | head -n 1)
+BROADCASTER_ID=${BROADCASTER_ID:-$(LC_CTYPE=C tr -dc A-Za-z0-9 < /dev/urandom | fold -w ${1:-32} | head -n 1)}
 HTTPIE_COMMAND="http --check-status"
+KEEPALIVE_INTERVAL=${KEEPALIVE_INTERVAL:-10}
 AUDIO_SSRC=1111
 AUDIO_PT=100
 VIDEO_SSRC=2222
 VIDEO_PT=101
 
+#
+# Send the access token (if any) in the Authorization header of every request.
+#
+if [ -n "${AUTH_TOKEN}" ] ; then
+	HTTPIE_COMMAND="${HTTPIE_COMMAND} --auth-type=bearer --auth=${AUTH_TOKEN}"
+fi
+
 #
 # Verify that a room with id ROOM_ID does exist by sending a simlpe HTTP GET. If
 # not abort since we are not allowed to initiate a room..
@@ -94,10 +108,23 @@ ${HTTPIE_COMMAND} \
 	> /dev/null
 
 #
-# Upon script termination delete the Broadcaster in the server by sending a
-# HTTP DELETE.
+# Upon script termination stop sending keepalives and delete the Broadcaster in
+# the server by sending a HTTP DELETE.
+#
+trap 'echo ">>> script exited with status code $?"; kill ${KEEPALIVE_PID} 2> /dev/null; ${HTTPIE_COMMAND} DELETE ${SERVER_URL}/rooms/${ROOM_ID}/broadcasters/${BROADCASTER_ID} > /dev/null' EXIT
+
+#
+# Keep the Broadcaster alive by sending a HTTP POST every KEEPALIVE_INTERVAL
+# seconds in background. Once a keepalive is sent the server deletes the
+# Broadcaster if it stops receiving them.
 #
-trap 'echo ">>> script exited with status code $?"; ${HTTPIE_COMMAND} DELETE ${SERVER_URL}/rooms/${ROOM_ID}/broadcasters/${BROADCASTER_ID} > /dev/null' EXIT
+while true ; do
+	${HTTPIE_COMMAND} \
+		POST ${SERVER_URL}/rooms/${ROOM_ID}/broadcasters/${BROADCASTER_ID}/keepalive \
+		> /dev/null 2>&1 || echo ">>> keepalive failed"
+	sleep ${KEEPALIVE_INTERVAL}
+done &
+KEEPALIVE_PID=$!
 
 #
 # Create a PlainTransport in the mediasoup to send our audio using plain RTP
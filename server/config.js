@@ -27,11 +27,131 @@ module.exports =
 			key  : process.env.HTTPS_CERT_PRIVKEY || `${__dirname}/certs/privkey.pem`
 		}
 	},
+	// Server logs.
+	logging :
+	{
+		// 'text' (human readable lines) or 'json' (one JSON object per line with
+		// timestamp, level, namespace, message and context such as roomId, peerId
+		// and request method). DEBUG env var filters them in both formats.
+		format : process.env.LOG_FORMAT || 'text',
+		// Where to write logs: 'stdout' and/or 'file'.
+		sinks  : (process.env.LOG_SINKS || 'stdout').split(','),
+		// Log file (if 'file' sink is enabled). It is rotated once it reaches
+		// maxSize bytes, keeping maxFiles rotated files (server.log.1, etc).
+		file   :
+		{
+			path     : process.env.LOG_FILE || `${__dirname}/logs/server.log`,
+			maxSize  : 10 * 1024 * 1024,
+			maxFiles : 5
+		}
+	},
+	// Access tokens required by the protoo WebSocket server and the HTTP API.
+	// They are JWT signed with HMAC SHA-256 using the given secret and carry
+	// roomId, peerId, displayName and role claims.
+	auth :
+	{
+		// If false, tokens are neither required nor checked.
+		enabled  : process.env.AUTH_ENABLED === 'true',
+		// Secret to sign and verify tokens (mandatory if enabled, the server
+		// refuses to start without it).
+		secret   : process.env.AUTH_SECRET,
+		// Validity (in seconds) of tokens created by the interactive server.
+		tokenTtl : 86400
+	},
+	// Role ('host', 'presenter', 'attendee' or 'viewer') given to Peers whose
+	// access token doesn't have one. The first Peer in a Room is always host.
+	defaultRole       : process.env.DEFAULT_ROLE || 'attendee',
+	// Whether new Rooms have a lobby in which Peers wait until a host admits
+	// them (it can also be set per Room when created via HTTP API).
+	lobby             : process.env.LOBBY_ENABLED === 'true',
+	// Max time (in ms) that a Peer waits in the lobby (i.e. if there is no host
+	// to admit it) before being denied. 0 disables it.
+	lobbyTimeout      : Number(process.env.LOBBY_TIMEOUT || 120000),
+	// Time (in ms) during which the media of a Peer whose WebSocket dropped is
+	// kept alive so it can reconnect and resume its session. 0 disables it.
+	peerResumeTimeout : Number(process.env.PEER_RESUME_TIMEOUT || 15000),
+	// Max time (in ms) that the server waits for Rooms to be empty when draining
+	// (on SIGTERM or via the interactive server) before shutting down.
+	drainTimeout      : Number(process.env.DRAIN_TIMEOUT || 60000),
+	// Default limits and lifecycle policies of Rooms (they can also be set per
+	// Room when created via HTTP API). Times are in ms. 0 means no limit.
+	roomPolicies :
+	{
+		maxPeers           : Number(process.env.ROOM_MAX_PEERS || 0),
+		maxVideoProducers  : Number(process.env.ROOM_MAX_VIDEO_PRODUCERS || 0),
+		maxBroadcasters    : Number(process.env.ROOM_MAX_BROADCASTERS || 0),
+		// Close the Room if nobody produces media during this time.
+		idleTimeout        : Number(process.env.ROOM_IDLE_TIMEOUT || 0),
+		// Close the Room after this time, warning Peers maxDurationWarning before.
+		maxDuration        : Number(process.env.ROOM_MAX_DURATION || 0),
+		maxDurationWarning : 60000,
+		// Keep the Room alive during this time after its last Peer leaves.
+		emptyTimeout       : Number(process.env.ROOM_EMPTY_TIMEOUT || 0)
+	},
+	// Limits of each Peer.
+	peerLimits :
+	{
+		// Rate of protoo requests by method (token bucket): up to burst requests
+		// at once and rate requests per second on average. Methods not listed
+		// use the default rate.
+		requestRates :
+		{
+			default               : { rate: 20, burst: 50 },
+			join                  : { rate: 0.2, burst: 2 },
+			resume                : { rate: 0.2, burst: 2 },
+			createWebRtcTransport : { rate: 0.5, burst: 4 },
+			restartIce            : { rate: 0.5, burst: 4 },
+			produce               : { rate: 1, burst: 6 },
+			produceData           : { rate: 1, burst: 6 },
+			changeDisplayName     : { rate: 0.5, burst: 3 }
+		},
+		maxTransports    : 4,
+		maxProducers     : 6,
+		maxDataProducers : 4
+	},
+	// Cleanup of stale Broadcasters. Times are in ms. 0 disables each check.
+	broadcasterTimeouts :
+	{
+		// Delete Broadcasters that sent keepalives (POST to
+		// /rooms/:roomId/broadcasters/:broadcasterId/keepalive) if they stop
+		// sending them during this time.
+		keepAlive     : Number(process.env.BROADCASTER_KEEPALIVE_TIMEOUT || 30000),
+		// Delete Broadcasters whose PlainTransports with Producers receive no RTP
+		// (or whose WebRtcTransports are ICE disconnected) during this time.
+		rtp           : Number(process.env.BROADCASTER_RTP_TIMEOUT || 30000),
+		// How often Broadcasters are checked.
+		checkInterval : 5000
+	},
+	// ICE servers (STUN and TURN) given to clients when they create WebRTC
+	// transports. Entries with a secret are TURN servers using the TURN REST API
+	// (e.g. coturn with use-auth-secret and static-auth-secret) and clients get
+	// credentials valid for ttl seconds. Other entries are given as they are.
+	// TURN entries with neither a secret nor a username and credential are
+	// ignored.
+	// Example:
+	//   { urls: 'stun:stun.example.com:3478' },
+	//   { urls: 'turn:turn.example.com:3478', username: 'u', credential: 'p' },
+	//   { urls: 'turns:turn.example.com:5349', secret: 'xxxx', ttl: 86400 }
+	iceServers : process.env.TURN_URLS
+		? [
+			{
+				urls       : process.env.TURN_URLS.split(','),
+				username   : process.env.TURN_USERNAME,
+				credential : process.env.TURN_CREDENTIAL,
+				secret     : process.env.TURN_SECRET,
+				ttl        : Number(process.env.TURN_CREDENTIALS_TTL || 86400)
+			}
+		]
+		: [],
 	// mediasoup settings.
 	mediasoup :
 	{
 		// Number of mediasoup workers to launch.
-		numWorkers     : Object.keys(os.cpus()).length,
+		numWorkers            : Object.keys(os.cpus()).length,
+		// Max number of Consumers in a mediasoup Router of a Room before the Room
+		// creates another Router (in a different Worker) for new consuming
+		// Transports and pipes its Producers into it.
+		maxConsumersPerRouter : 500,
 		// mediasoup WorkerSettings.
 		// See https://mediasoup.org/documentation/v3/mediasoup/api/#WorkerSettings
 		workerSettings :
@@ -112,6 +232,29 @@ module.exports =
 				}
 			]
 		},
+		// If true, each mediasoup Worker creates a WebRtcServer listening on a
+		// fixed UDP and TCP port (the given one plus the index of the Worker:
+		// 44444, 44445, etc) and WebRTC transports of Peers and Broadcasters use
+		// it instead of binding their own port in the rtcMinPort-rtcMaxPort range.
+		useWebRtcServer     : process.env.MEDIASOUP_USE_WEBRTC_SERVER === 'true',
+		webRtcServerOptions :
+		{
+			listenInfos :
+			[
+				{
+					protocol    : 'udp',
+					ip          : process.env.MEDIASOUP_LISTEN_IP || '0.0.0.0',
+					announcedIp : process.env.MEDIASOUP_ANNOUNCED_IP,
+					port        : Number(process.env.MEDIASOUP_WEBRTC_SERVER_PORT || 44444)
+				},
+				{
+					protocol    : 'tcp',
+					ip          : process.env.MEDIASOUP_LISTEN_IP || '0.0.0.0',
+					announcedIp : process.env.MEDIASOUP_ANNOUNCED_IP,
+					port        : Number(process.env.MEDIASOUP_WEBRTC_SERVER_PORT || 44444)
+				}
+			]
+		},
 		// mediasoup WebRtcTransport options for WebRTC endpoints (mediasoup-client,
 		// libmediasoupclient).
 		// See https://mediasoup.org/documentation/v3/mediasoup/api/#WebRtcTransportOptions
@@ -142,5 +285,81 @@ module.exports =
 			},
 			maxSctpMessageSize : 262144
 		}
+	},
+	// Sending of Producers as plain RTP to external endpoints (POST
+	// /rooms/:roomId/broadcasters/:broadcasterId/consume/rtp).
+	plainRtpEgress :
+	{
+		// IPs or CIDR ranges ("10.0.0.0/8") to which RTP can be sent. Requests
+		// with an access token having the 'admin' role can send RTP anywhere.
+		allowedDestinations : (process.env.PLAIN_RTP_EGRESS_ALLOWED_DESTINATIONS ||
+			'127.0.0.1/32,::1/128')
+			.split(',')
+			.filter(Boolean)
+	},
+	// Server side recording settings (see lib/Recorder.js).
+	recording :
+	{
+		// Folder in which a subfolder with the recorded files of each Room is
+		// created.
+		directory : process.env.RECORDING_DIR || `${__dirname}/recordings`,
+		// Program used to write the files: 'ffmpeg' or 'gstreamer'.
+		recorder  : process.env.RECORDER || 'ffmpeg',
+		// Local IP in which recorder processes receive RTP.
+		ip        : '127.0.0.1',
+		// Local port range for recorder processes (two ports per recorded
+		// Producer, RTP and RTCP).
+		minPort   : 20000,
+		maxPort   : 29999
+	},
+	// Outgoing webhooks for Room, Peer, Producer and Broadcaster events (see
+	// lib/webhooks.js).
+	webhooks :
+	{
+		// URLs to which events are POSTed. No events are sent if empty.
+		urls       : (process.env.WEBHOOK_URLS || '')
+			.split(',')
+			.filter(Boolean),
+		// Secret to sign the body of the requests (X-Webhook-Signature header).
+		// Requests are not signed if not set.
+		secret     : process.env.WEBHOOK_SECRET,
+		// Request timeout (in ms).
+		timeout    : 5000,
+		// Number of retries of failed deliveries and delay (in ms) before the
+		// first one (doubled on each retry).
+		maxRetries : 5,
+		retryDelay : 1000
+	},
+	// Cascading of Rooms across several server processes (see lib/Cascade.js).
+	// Each node listens for TCP connections from other nodes and connects to
+	// the given ones, so a Room with the same id in different nodes behaves as
+	// a single Room.
+	cascade :
+	{
+		enabled    : process.env.CASCADE_ENABLED === 'true',
+		// Unique id of this node.
+		nodeId     : process.env.CASCADE_NODE_ID || os.hostname(),
+		// TCP IP and port in which other nodes connect to this one. Use a
+		// private IP reachable by the other nodes (but not from the Internet).
+		listenIp   : process.env.CASCADE_LISTEN_IP || '127.0.0.1',
+		listenPort : Number(process.env.CASCADE_LISTEN_PORT) || 4450,
+		// Other nodes ("host:port") this node connects to. Nodes hosting the same
+		// Room must be connected to each other (a full mesh).
+		nodes      : (process.env.CASCADE_NODES || '')
+			.split(',')
+			.filter(Boolean),
+		// Secret shared by all nodes to authenticate each other (mandatory).
+		secret     : process.env.CASCADE_SECRET,
+		// mediasoup PipeTransport options for sending media between nodes. Other
+		// nodes must be able to reach the given IP (or announced IP).
+		// See https://mediasoup.org/documentation/v3/mediasoup/api/#PipeTransportOptions
+		pipeTransportOptions :
+		{
+			listenIp :
+			{
+				ip          : process.env.MEDIASOUP_LISTEN_IP || '0.0.0.0',
+				announcedIp : process.env.MEDIASOUP_ANNOUNCED_IP
+			}
+		}
 	}
 };
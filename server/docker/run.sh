@@ -13,11 +13,24 @@ export MEDIASOUP_MAX_PORT=${MEDIASOUP_MAX_PORT:="2020"}
 export MEDIASOUP_USE_VALGRIND=${MEDIASOUP_USE_VALGRIND:="false"}
 export MEDIASOUP_VALGRIND_OPTIONS=${MEDIASOUP_VALGRIND_OPTIONS:="--leak-check=full --track-fds=yes --log-file=/storage/mediasoup_valgrind_%p.log"}
 
+# WebRtcServer related options.
+export MEDIASOUP_USE_WEBRTC_SERVER=${MEDIASOUP_USE_WEBRTC_SERVER:="false"}
+export MEDIASOUP_WEBRTC_SERVER_PORT=${MEDIASOUP_WEBRTC_SERVER_PORT:="44444"}
+
+# With WebRtcServer each mediasoup Worker (one per CPU) listens on its own port
+# starting at MEDIASOUP_WEBRTC_SERVER_PORT.
+if [ "${MEDIASOUP_USE_WEBRTC_SERVER}" = "true" ]; then
+	WEBRTC_SERVER_MAX_PORT=$((MEDIASOUP_WEBRTC_SERVER_PORT + $(nproc) - 1))
+	WEBRTC_SERVER_PORTS="${MEDIASOUP_WEBRTC_SERVER_PORT}-${WEBRTC_SERVER_MAX_PORT}"
+	WEBRTC_SERVER_PUBLISH="-p ${WEBRTC_SERVER_PORTS}:${WEBRTC_SERVER_PORTS}/udp -p ${WEBRTC_SERVER_PORTS}:${WEBRTC_SERVER_PORTS}/tcp"
+fi
+
 docker run \
 	--name=mediasoup-demo \
 	-p ${PROTOO_LISTEN_PORT}:${PROTOO_LISTEN_PORT}/tcp \
 	-p ${MEDIASOUP_MIN_PORT}-${MEDIASOUP_MAX_PORT}:${MEDIASOUP_MIN_PORT}-${MEDIASOUP_MAX_PORT}/udp \
 	-p ${MEDIASOUP_MIN_PORT}-${MEDIASOUP_MAX_PORT}:${MEDIASOUP_MIN_PORT}-${MEDIASOUP_MAX_PORT}/tcp \
+	${WEBRTC_SERVER_PUBLISH} \
 	-v ${PWD}:/storage \
 	-v ${MEDIASOUP_SRC}:/mediasoup-src \
 	--init \
@@ -31,6 +44,8 @@ docker run \
 	-e MEDIASOUP_ANNOUNCED_IP \
 	-e MEDIASOUP_MIN_PORT \
 	-e MEDIASOUP_MAX_PORT \
+	-e MEDIASOUP_USE_WEBRTC_SERVER \
+	-e MEDIASOUP_WEBRTC_SERVER_PORT \
 	-e MEDIASOUP_USE_VALGRIND \
 	-e MEDIASOUP_VALGRIND_OPTIONS \
 	-e MEDIASOUP_WORKER_BIN \
@@ -0,0 +1,570 @@
+const EventEmitter = require('events').EventEmitter;
+const crypto = require('crypto');
+const net = require('net');
+const Logger = require('./Logger');
+
+const logger = new Logger('Cascade');
+
+// Timeout for requests to other nodes (in ms).
+const REQUEST_TIMEOUT = 10000;
+
+// Delay before reconnecting to a node (in ms).
+const RECONNECT_DELAY = 5000;
+
+// Time for a node to complete the handshake (in ms).
+const HANDSHAKE_TIMEOUT = 5000;
+
+// Maximum size of the data received before the handshake is completed.
+const MAX_HANDSHAKE_SIZE = 4096;
+
+/**
+ * Cascade class.
+ *
+ * Signaling channel between server nodes hosting the same Rooms. Nodes are
+ * connected via TCP and exchange newline delimited JSON messages with the same
+ * format as protoo ones (requests, responses and notifications).
+ *
+ * Once connected both nodes present themselves with a 'hello' message carrying
+ * a random nonce and prove that they know the shared secret by sending, in an
+ * 'auth' message, a HMAC of the nonce of the other node. The node that
+ * initiated the connection proves it first.
+ *
+ * @emits nodeconnected - (nodeId: String)
+ * @emits nodedisconnected - (nodeId: String)
+ * @emits request - (nodeId: String, method: String, data: Object,
+ *   accept: Function, reject: Function)
+ * @emits notification - (nodeId: String, method: String, data: Object)
+ */
+class Cascade extends EventEmitter
+{
+	/**
+	 * @param {String} nodeId - Id of this node.
+	 * @param {String} listenIp - TCP IP for incoming connections from nodes.
+	 * @param {Number} listenPort - TCP port for incoming connections from nodes.
+	 * @param {Array<String>} nodes - Other nodes ("host:port") to connect to.
+	 * @param {String} secret - Secret shared by all nodes.
+	 */
+	constructor({ nodeId, listenIp, listenPort, nodes, secret })
+	{
+		super();
+		this.setMaxListeners(Infinity);
+
+		// Id of this node.
+		// @type {String}
+		this._nodeId = nodeId;
+
+		// Secret shared by all nodes.
+		// @type {String}
+		this._secret = secret;
+
+		// TCP server for incoming connections.
+		// @type {net.Server}
+		this._server = null;
+
+		// Listen IP and port.
+		// @type {Object}
+		this._listen = { ip: listenIp, port: listenPort };
+
+		// Other nodes to connect to.
+		// @type {Array<String>}
+		this._nodes = nodes;
+
+		// Map of connected nodes indexed by node id. Each Object has:
+		// - {net.Socket} socket
+		// - {Boolean} outgoing - Whether we initiated the connection.
+		// @type {Map<String, Object>}
+		this._connections = new Map();
+
+		// Map of pending sent requests indexed by id. Each Object has:
+		// - {Function} resolve
+		// - {Function} reject
+		// - {Timeout} timer
+		// @type {Map<Number, Object>}
+		this._sents = new Map();
+
+		// Map of node ids indexed by the address ("host:port") we connect to.
+		// @type {Map<String, String>}
+		this._nodeIdsByAddress = new Map();
+
+		// Next request id.
+		// @type {Number}
+		this._nextRequestId = 1;
+
+		// Closed flag.
+		// @type {Boolean}
+		this._closed = false;
+	}
+
+	get nodeId()
+	{
+		return this._nodeId;
+	}
+
+	/**
+	 * Ids of connected nodes.
+	 *
+	 * @returns {Array<String>}
+	 */
+	get connectedNodeIds()
+	{
+		return Array.from(this._connections.keys());
+	}
+
+	/**
+	 * Listen for connections from other nodes and connect to the configured
+	 * ones.
+	 *
+	 * @async
+	 */
+	async run()
+	{
+		logger.info(
+			'run() [nodeId:%s, listenIp:%s, listenPort:%s, nodes:%o]',
+			this._nodeId, this._listen.ip, this._listen.port, this._nodes);
+
+		if (!this._secret)
+			throw new Error('missing secret shared by all nodes');
+
+		this._server = net.createServer((socket) => this._handleSocket({ socket }));
+
+		await new Promise((resolve, reject) =>
+		{
+			this._server.once('error', reject);
+			this._server.listen(this._listen.port, this._listen.ip, resolve);
+		});
+
+		for (const node of this._nodes)
+		{
+			this._connect(node);
+		}
+	}
+
+	close()
+	{
+		if (this._closed)
+			return;
+
+		this._closed = true;
+
+		if (this._server)
+			this._server.close();
+
+		for (const { socket } of this._connections.values())
+		{
+			socket.destroy();
+		}
+
+		this._connections.clear();
+	}
+
+	/**
+	 * Send a request to the given node.
+	 *
+	 * @async
+	 *
+	 * @param {String} nodeId
+	 * @param {String} method
+	 * @param {Object} [data]
+	 *
+	 * @returns {Object} Data in the response.
+	 */
+	request(nodeId, method, data = {})
+	{
+		const connection = this._connections.get(nodeId);
+
+		if (!connection)
+			return Promise.reject(new Error(`node "${nodeId}" not connected`));
+
+		const id = this._nextRequestId++;
+
+		return new Promise((resolve, reject) =>
+		{
+			const timer = setTimeout(() =>
+			{
+				this._sents.delete(id);
+
+				reject(new Error(`request "${method}" to node "${nodeId}" timed out`));
+			}, REQUEST_TIMEOUT);
+
+			this._sents.set(id, { resolve, reject, timer });
+
+			send(connection.socket, { request: true, id, method, data });
+		});
+	}
+
+	/**
+	 * Send a notification to the given node or, if no node is given, to all of
+	 * them.
+	 *
+	 * @param {String} [nodeId]
+	 * @param {String} method
+	 * @param {Object} [data]
+	 */
+	notify({ nodeId, method, data = {} })
+	{
+		const message = { notification: true, method, data };
+
+		if (nodeId)
+		{
+			const connection = this._connections.get(nodeId);
+
+			if (connection)
+				send(connection.socket, message);
+
+			return;
+		}
+
+		for (const { socket } of this._connections.values())
+		{
+			send(socket, message);
+		}
+	}
+
+	_connect(node)
+	{
+		if (this._closed)
+			return;
+
+		const [ host, port ] = node.split(':');
+		const socket = net.connect({ host, port: Number(port) });
+
+		logger.debug('_connect() [node:%s]', node);
+
+		socket.once('error', (error) =>
+		{
+			logger.warn('_connect() | connection error [node:%s]: %s', node, error.message);
+		});
+
+		socket.once('close', () =>
+		{
+			if (this._closed)
+				return;
+
+			const nodeId = this._nodeIdsByAddress.get(node);
+
+			// If the node connected to us instead, wait until that connection closes.
+			if (nodeId && this._connections.has(nodeId))
+			{
+				const onNodeDisconnected = (disconnectedNodeId) =>
+				{
+					if (disconnectedNodeId !== nodeId)
+						return;
+
+					this.removeListener('nodedisconnected', onNodeDisconnected);
+
+					setTimeout(() => this._connect(node), RECONNECT_DELAY);
+				};
+
+				this.on('nodedisconnected', onNodeDisconnected);
+
+				return;
+			}
+
+			setTimeout(() => this._connect(node), RECONNECT_DELAY);
+		});
+
+		socket.once('connect', () => this._handleSocket({ socket, node }));
+	}
+
+	/**
+	 * @param {net.Socket} socket
+	 * @param {String} [node] - Address of the node if we initiated the
+	 *   connection.
+	 */
+	_handleSocket({ socket, node })
+	{
+		const outgoing = Boolean(node);
+		const nonce = crypto.randomBytes(16).toString('hex');
+		// Id and nonce given by the node in its 'hello'.
+		let hello;
+		// Id of the node once authenticated.
+		let nodeId;
+		let buffer = '';
+
+		const handshakeTimer = setTimeout(() =>
+		{
+			logger.warn('_handleSocket() | handshake timeout, closing');
+
+			socket.destroy();
+		}, HANDSHAKE_TIMEOUT);
+
+		socket.setEncoding('utf8');
+		socket.setKeepAlive(true);
+		socket.setNoDelay(true);
+
+		// Present ourselves.
+		send(socket, { hello: true, nodeId: this._nodeId, nonce });
+
+		socket.on('data', (chunk) =>
+		{
+			buffer += chunk;
+
+			if (!nodeId && buffer.length > MAX_HANDSHAKE_SIZE)
+			{
+				logger.warn('_handleSocket() | handshake too big, closing');
+
+				socket.destroy();
+
+				return;
+			}
+
+			let idx;
+
+			while ((idx = buffer.indexOf('\n')) !== -1)
+			{
+				const line = buffer.slice(0, idx);
+				let message;
+
+				buffer = buffer.slice(idx + 1);
+
+				try
+				{
+					message = JSON.parse(line);
+				}
+				catch (error)
+				{
+					logger.warn('_handleSocket() | invalid message received: %s', line);
+
+					continue;
+				}
+
+				if (nodeId)
+				{
+					this._handleMessage(nodeId, socket, message);
+				}
+				else if (
+					message.hello &&
+					!hello &&
+					typeof message.nodeId === 'string' &&
+					typeof message.nonce === 'string'
+				)
+				{
+					hello = { nodeId: message.nodeId, nonce: message.nonce };
+
+					if (outgoing)
+						send(socket, { auth: true, proof: this._prove(hello.nonce, outgoing) });
+				}
+				else if (
+					message.auth &&
+					hello &&
+					this._verify(message.proof, hello.nodeId, nonce, !outgoing)
+				)
+				{
+					clearTimeout(handshakeTimer);
+
+					if (!outgoing)
+						send(socket, { auth: true, proof: this._prove(hello.nonce, outgoing) });
+
+					nodeId = hello.nodeId;
+
+					if (outgoing)
+						this._nodeIdsByAddress.set(node, nodeId);
+
+					if (!this._addConnection({ nodeId, socket, outgoing }))
+					{
+						nodeId = undefined;
+						socket.destroy();
+
+						return;
+					}
+				}
+				else
+				{
+					logger.warn('_handleSocket() | handshake failed, closing');
+
+					socket.destroy();
+
+					return;
+				}
+			}
+		});
+
+		socket.on('error', (error) =>
+		{
+			logger.warn('socket error [nodeId:%s]: %s', nodeId, error.message);
+		});
+
+		socket.on('close', () =>
+		{
+			clearTimeout(handshakeTimer);
+
+			if (!nodeId)
+				return;
+
+			const connection = this._connections.get(nodeId);
+
+			if (!connection || connection.socket !== socket)
+				return;
+
+			logger.info('node disconnected [nodeId:%s]', nodeId);
+
+			this._connections.delete(nodeId);
+
+			this.emit('nodedisconnected', nodeId);
+		});
+	}
+
+	/**
+	 * Proof that we know the shared secret, given the nonce of the other node.
+	 *
+	 * @param {String} remoteNonce
+	 * @param {Boolean} outgoing - Whether we initiated the connection.
+	 *
+	 * @returns {String}
+	 */
+	_prove(remoteNonce, outgoing)
+	{
+		return computeProof(
+			{
+				secret : this._secret,
+				nonce  : remoteNonce,
+				nodeId : this._nodeId,
+				outgoing
+			});
+	}
+
+	/**
+	 * Verify the proof sent by another node given our nonce.
+	 *
+	 * @param {String} proof
+	 * @param {String} remoteNodeId
+	 * @param {String} nonce
+	 * @param {Boolean} remoteOutgoing - Whether the node initiated the connection.
+	 *
+	 * @returns {Boolean}
+	 */
+	_verify(proof, remoteNodeId, nonce, remoteOutgoing)
+	{
+		if (typeof proof !== 'string')
+			return false;
+
+		const expectedProof = computeProof(
+			{
+				secret   : this._secret,
+				nonce,
+				nodeId   : remoteNodeId,
+				outgoing : remoteOutgoing
+			});
+
+		// Compare hashes so both buffers have the same length.
+		return crypto.timingSafeEqual(hash(proof), hash(expectedProof));
+	}
+
+	/**
+	 * Store the connection with a node. If we are already connected to it, keep
+	 * just the connection initiated by the node with lower id (both nodes apply
+	 * the same rule).
+	 *
+	 * @returns {Boolean} false if the new connection must be discarded.
+	 */
+	_addConnection({ nodeId, socket, outgoing })
+	{
+		if (!nodeId || nodeId === this._nodeId)
+		{
+			logger.warn('_addConnection() | invalid node id [nodeId:%s]', nodeId);
+
+			return false;
+		}
+
+		const existing = this._connections.get(nodeId);
+
+		if (existing)
+		{
+			const lowerIdIsLocal = this._nodeId < nodeId;
+
+			// Keep the existing connection if it was initiated by the node with
+			// lower id.
+			if (existing.outgoing === lowerIdIsLocal)
+				return false;
+
+			this._connections.delete(nodeId);
+			existing.socket.destroy();
+		}
+
+		logger.info('node connected [nodeId:%s, outgoing:%s]', nodeId, outgoing);
+
+		this._connections.set(nodeId, { socket, outgoing });
+
+		if (!existing)
+			this.emit('nodeconnected', nodeId);
+
+		return true;
+	}
+
+	_handleMessage(nodeId, socket, message)
+	{
+		if (message.request)
+		{
+			const { id, method, data } = message;
+
+			const accept = (responseData = {}) =>
+			{
+				send(socket, { response: true, id, ok: true, data: responseData });
+			};
+
+			const reject = (error) =>
+			{
+				send(
+					socket,
+					{
+						response : true,
+						id,
+						ok       : false,
+						reason   : error instanceof Error ? error.message : String(error)
+					});
+			};
+
+			if (this.listenerCount('request') === 0)
+			{
+				reject(new Error('no request handler'));
+
+				return;
+			}
+
+			this.emit('request', nodeId, method, data, accept, reject);
+		}
+		else if (message.response)
+		{
+			const sent = this._sents.get(message.id);
+
+			if (!sent)
+				return;
+
+			this._sents.delete(message.id);
+			clearTimeout(sent.timer);
+
+			if (message.ok)
+				sent.resolve(message.data);
+			else
+				sent.reject(new Error(message.reason));
+		}
+		else if (message.notification)
+		{
+			this.emit('notification', nodeId, message.method, message.data);
+		}
+	}
+}
+
+function computeProof({ secret, nonce, nodeId, outgoing })
+{
+	return crypto.createHmac('sha256', secret)
+		.update(`${outgoing ? 'outgoing' : 'incoming'}:${nonce}:${nodeId}`)
+		.digest('hex');
+}
+
+function hash(value)
+{
+	return crypto.createHash('sha256')
+		.update(value)
+		.digest();
+}
+
+function send(socket, message)
+{
+	if (socket.destroyed)
+		return;
+
+	socket.write(`${JSON.stringify(message)}\n`);
+}
+
+module.exports = Cascade;
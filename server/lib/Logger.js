@@ -1,32 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
 const debug = require('debug');
+const config = require('../config');
 
 const APP_NAME = 'mediasoup-demo-server';
 
+// Map of debug instances indexed by namespace (child loggers reuse them).
+// @type {Map<String, Function>}
+const debugs = new Map();
+
+// Rotating log file shared by all loggers (if the 'file' sink is enabled).
+// @type {RotatingFile}
+let logFile;
+
+/**
+ * Logger class.
+ *
+ * Uses the debug module to filter entries by namespace (DEBUG env var) and
+ * writes them as text or JSON lines into the sinks set in the configuration
+ * file. JSON entries carry the context of the logger (roomId, peerId, etc).
+ */
 class Logger
 {
-	constructor(prefix)
+	/**
+	 * @param {String} [prefix]
+	 * @param {Object} [context] - Fields added to every JSON entry.
+	 */
+	constructor(prefix, context = {})
 	{
+		// Prefix of the namespaces.
+		// @type {String}
+		this._prefix = prefix;
+
+		// Context of the entries.
+		// @type {Object}
+		this._context = context;
+
 		if (prefix)
 		{
-			this._debug = debug(`${APP_NAME}:${prefix}`);
-			this._info = debug(`${APP_NAME}:INFO:${prefix}`);
-			this._warn = debug(`${APP_NAME}:WARN:${prefix}`);
-			this._error = debug(`${APP_NAME}:ERROR:${prefix}`);
+			this._debug = this._createLog('debug', `${APP_NAME}:${prefix}`);
+			this._info = this._createLog('info', `${APP_NAME}:INFO:${prefix}`);
+			this._warn = this._createLog('warn', `${APP_NAME}:WARN:${prefix}`);
+			this._error = this._createLog('error', `${APP_NAME}:ERROR:${prefix}`);
 		}
 		else
 		{
-			this._debug = debug(APP_NAME);
-			this._info = debug(`${APP_NAME}:INFO`);
-			this._warn = debug(`${APP_NAME}:WARN`);
-			this._error = debug(`${APP_NAME}:ERROR`);
+			this._debug = this._createLog('debug', APP_NAME);
+			this._info = this._createLog('info', `${APP_NAME}:INFO`);
+			this._warn = this._createLog('warn', `${APP_NAME}:WARN`);
+			this._error = this._createLog('error', `${APP_NAME}:ERROR`);
 		}
-
-		/* eslint-disable no-console */
-		this._debug.log = console.info.bind(console);
-		this._info.log = console.info.bind(console);
-		this._warn.log = console.warn.bind(console);
-		this._error.log = console.error.bind(console);
-		/* eslint-enable no-console */
 	}
 
 	get debug()
@@ -48,6 +72,184 @@ class Logger
 	{
 		return this._error;
 	}
+
+	/**
+	 * Create a Logger with the same prefix whose entries also carry the given
+	 * context (for example a Logger per Room, per Peer or per request).
+	 *
+	 * @param {Object} context
+	 *
+	 * @returns {Logger}
+	 */
+	child(context)
+	{
+		return new Logger(this._prefix, { ...this._context, ...context });
+	}
+
+	_createLog(level, namespace)
+	{
+		const instance = getDebug(level, namespace);
+
+		if (config.logging.format !== 'json')
+			return instance;
+
+		const log = (format, ...args) =>
+		{
+			if (!instance.enabled)
+				return;
+
+			const entry =
+			{
+				timestamp : new Date().toISOString(),
+				level,
+				namespace,
+				...this._context,
+				message   : util.format(format, ...args)
+			};
+
+			write(level, JSON.stringify(entry));
+		};
+
+		return log;
+	}
+}
+
+/**
+ * Append-only file renamed to <path>.1 (and so on) once it reaches its max
+ * size.
+ */
+class RotatingFile
+{
+	constructor({ path: filePath, maxSize, maxFiles })
+	{
+		// @type {String}
+		this._path = filePath;
+
+		// @type {Number}
+		this._maxSize = maxSize;
+
+		// @type {Number}
+		this._maxFiles = maxFiles;
+
+		// @type {fs.WriteStream}
+		this._stream = null;
+
+		// Current size of the file.
+		// @type {Number}
+		this._size = 0;
+	}
+
+	write(line)
+	{
+		if (!this._stream)
+			this._open();
+
+		const data = `${line}\n`;
+
+		this._stream.write(data);
+		this._size += Buffer.byteLength(data);
+
+		if (this._size >= this._maxSize)
+			this._rotate();
+	}
+
+	_open()
+	{
+		fs.mkdirSync(path.dirname(this._path), { recursive: true });
+
+		// Open it synchronously so it exists if rotated right away.
+		const fd = fs.openSync(this._path, 'a');
+
+		this._size = fs.fstatSync(fd).size;
+		this._stream = fs.createWriteStream(null, { fd });
+
+		this._stream.on('error', (error) =>
+		{
+			// eslint-disable-next-line no-console
+			console.error('log file error: %s', error.message);
+		});
+	}
+
+	_rotate()
+	{
+		// Pending writes go to the renamed file.
+		this._stream.end();
+		this._stream = null;
+
+		try
+		{
+			if (this._maxFiles > 0)
+			{
+				for (let idx = this._maxFiles - 1; idx > 0; --idx)
+				{
+					const rotatedPath = `${this._path}.${idx}`;
+
+					if (fs.existsSync(rotatedPath))
+						fs.renameSync(rotatedPath, `${this._path}.${idx + 1}`);
+				}
+
+				fs.renameSync(this._path, `${this._path}.1`);
+			}
+			else
+			{
+				fs.unlinkSync(this._path);
+			}
+		}
+		catch (error)
+		{
+			// eslint-disable-next-line no-console
+			console.error('log file rotation failed: %s', error.message);
+		}
+	}
+}
+
+function getDebug(level, namespace)
+{
+	let instance = debugs.get(namespace);
+
+	if (instance)
+		return instance;
+
+	instance = debug(namespace);
+	instance.log = (...args) => write(level, util.format(...args));
+
+	// Don't write colors into the log file.
+	if (config.logging.sinks.includes('file'))
+		instance.useColors = false;
+
+	debugs.set(namespace, instance);
+
+	return instance;
+}
+
+function write(level, line)
+{
+	const { sinks } = config.logging;
+
+	if (sinks.includes('stdout'))
+	{
+		/* eslint-disable no-console */
+		switch (level)
+		{
+			case 'warn':
+				console.warn(line);
+				break;
+			case 'error':
+				console.error(line);
+				break;
+			default:
+				console.info(line);
+		}
+		/* eslint-enable no-console */
+	}
+
+	if (sinks.includes('file'))
+	{
+		if (!logFile)
+			logFile = new RotatingFile(config.logging.file);
+
+		logFile.write(line);
+	}
 }
 
 module.exports = Logger;
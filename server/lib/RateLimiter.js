@@ -0,0 +1,88 @@
+/**
+ * RateLimiter class.
+ *
+ * Token bucket per key (for example a protoo method). Each bucket holds up to
+ * `burst` tokens and is refilled at `rate` tokens per second. Keys without
+ * their own rate use the 'default' one (if any, otherwise they are not
+ * limited).
+ */
+class RateLimiter
+{
+	/**
+	 * @param {Object<String, Object>} rates - Object with rate and burst for
+	 *   each key.
+	 */
+	constructor(rates)
+	{
+		// Rates indexed by key.
+		// @type {Object<String, Object>}
+		this._rates = rates;
+
+		// Map of buckets indexed by key. Each Object has:
+		// - {Number} tokens
+		// - {Number} updatedAt
+		// @type {Map<String, Object>}
+		this._buckets = new Map();
+	}
+
+	/**
+	 * Take a token from the bucket of the given key.
+	 *
+	 * @param {String} key
+	 *
+	 * @returns {Boolean} false if the bucket is empty.
+	 */
+	consume(key)
+	{
+		const rate = this._rates[key] || this._rates.default;
+
+		if (!rate)
+			return true;
+
+		const now = Date.now();
+		let bucket = this._buckets.get(key);
+
+		if (!bucket)
+		{
+			bucket = { tokens: rate.burst, updatedAt: now };
+
+			this._buckets.set(key, bucket);
+		}
+
+		bucket.tokens = Math.min(
+			rate.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000 * rate.rate));
+		bucket.updatedAt = now;
+
+		if (bucket.tokens < 1)
+			return false;
+
+		bucket.tokens--;
+
+		return true;
+	}
+
+	/**
+	 * Whether every bucket is full again, so dropping the RateLimiter does not
+	 * let anyone skip a limit.
+	 *
+	 * @returns {Boolean}
+	 */
+	isIdle()
+	{
+		const now = Date.now();
+
+		for (const [ key, bucket ] of this._buckets)
+		{
+			const rate = this._rates[key] || this._rates.default;
+			const tokens =
+				bucket.tokens + ((now - bucket.updatedAt) / 1000 * rate.rate);
+
+			if (tokens < rate.burst)
+				return false;
+		}
+
+		return true;
+	}
+}
+
+module.exports = RateLimiter;
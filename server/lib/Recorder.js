@@ -0,0 +1,371 @@
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const Logger = require('./Logger');
+const config = require('../config');
+const { createPlainRtpSdp } = require('./sdp');
+
+const logger = new Logger('Recorder');
+
+// Set of local ports (RTP ones, RTCP is RTP + 1) being used by recorders.
+// @type {Set<Number>}
+const usedPorts = new Set();
+
+/**
+ * Recorder class.
+ *
+ * Records every mediasoup Producer of a Room into its own file by creating a
+ * mediasoup PlainTransport and Consumer for it and sending its RTP to a local
+ * FFmpeg or GStreamer process.
+ */
+class Recorder extends EventEmitter
+{
+	/**
+	 * @param {String} roomId - Id of the recorded Room.
+	 * @param {mediasoup.Router} mediasoupRouter - The mediasoup Router in which
+	 *   the recorded Producers live.
+	 */
+	constructor({ roomId, mediasoupRouter })
+	{
+		super();
+
+		// Room id.
+		// @type {String}
+		this._roomId = roomId;
+
+		// mediasoup Router instance.
+		// @type {mediasoup.Router}
+		this._mediasoupRouter = mediasoupRouter;
+
+		// Closed flag.
+		// @type {Boolean}
+		this._closed = false;
+
+		// Folder in which recording files are written.
+		// @type {String}
+		this._directory = path.join(
+			config.recording.directory,
+			`${roomId}-${Date.now()}`);
+
+		// Map of recorded streams indexed by Producer id. Each Object has:
+		// - {mediasoup.PlainTransport} transport
+		// - {mediasoup.Consumer} consumer
+		// - {Number} port
+		// - {ChildProcess} process
+		// - {String} file
+		// @type {Map<String, Object>}
+		this._streams = new Map();
+
+		fs.mkdirSync(this._directory, { recursive: true });
+	}
+
+	get directory()
+	{
+		return this._directory;
+	}
+
+	/**
+	 * Stops all the recorder processes and closes their mediasoup Transports.
+	 */
+	close()
+	{
+		if (this._closed)
+			return;
+
+		logger.debug('close() [roomId:%s]', this._roomId);
+
+		this._closed = true;
+
+		for (const producerId of Array.from(this._streams.keys()))
+		{
+			this._closeStream(producerId);
+		}
+
+		this.emit('close');
+	}
+
+	/**
+	 * Start recording the given mediasoup Producer.
+	 *
+	 * @async
+	 *
+	 * @param {mediasoup.Producer} producer
+	 * @param {String} peerId - Id of the Peer or Broadcaster owning the Producer.
+	 */
+	async addProducer({ producer, peerId })
+	{
+		if (this._closed || this._streams.has(producer.id))
+			return;
+
+		const { ip } = config.recording;
+		const port = allocatePort();
+
+		if (!port)
+			throw new Error('no free ports for recording');
+
+		let transport;
+
+		try
+		{
+			transport = await this._mediasoupRouter.createPlainTransport(
+				{
+					listenIp : ip,
+					rtcpMux  : false,
+					comedia  : false
+				});
+
+			await transport.connect({ ip, port, rtcpPort: port + 1 });
+
+			// Don't offer RTX nor header extensions, recorders don't need them.
+			const rtpCapabilities =
+			{
+				codecs : this._mediasoupRouter.rtpCapabilities.codecs
+					.filter((codec) => !/\/rtx$/i.test(codec.mimeType)),
+				headerExtensions : []
+			};
+
+			// Create the Consumer in paused mode and resume it once the recorder
+			// process is ready to receive RTP.
+			const consumer = await transport.consume(
+				{
+					producerId : producer.id,
+					rtpCapabilities,
+					paused     : true
+				});
+
+			// Closed while awaiting.
+			if (this._closed)
+			{
+				transport.close();
+				releasePort(port);
+
+				return;
+			}
+
+			const [ codec ] = consumer.rtpParameters.codecs;
+			const file = path.join(
+				this._directory,
+				`${peerId}-${producer.kind}-${producer.id}.${getFileExtension(codec)}`);
+			const sdp = createPlainRtpSdp(
+				{
+					ip,
+					streams :
+					[
+						{
+							kind          : consumer.kind,
+							rtpParameters : consumer.rtpParameters,
+							port,
+							rtcpPort      : port + 1
+						}
+					]
+				});
+
+			const recorderProcess = config.recording.recorder === 'gstreamer'
+				? spawnGStreamer({ kind: consumer.kind, codec, port, file })
+				: spawnFFmpeg({ sdp, file });
+
+			this._streams.set(
+				producer.id,
+				{
+					transport,
+					consumer,
+					port,
+					process : recorderProcess,
+					file
+				});
+
+			logger.info(
+				'addProducer() | recording Producer [roomId:%s, producerId:%s, file:%s]',
+				this._roomId, producer.id, file);
+
+			recorderProcess.on('error', (error) =>
+			{
+				logger.error(
+					'recorder process error [producerId:%s]: %o', producer.id, error);
+
+				this._closeStream(producer.id);
+			});
+
+			recorderProcess.on('exit', (code, signal) =>
+			{
+				logger.debug(
+					'recorder process exited [producerId:%s, code:%s, signal:%s]',
+					producer.id, code, signal);
+
+				this._closeStream(producer.id);
+			});
+
+			consumer.on('producerclose', () => this._closeStream(producer.id));
+			consumer.on('transportclose', () => this._closeStream(producer.id));
+
+			// Give the recorder process some time to open its sockets.
+			setTimeout(async () =>
+			{
+				if (consumer.closed)
+					return;
+
+				try
+				{
+					await consumer.resume();
+					await consumer.requestKeyFrame();
+				}
+				catch (error)
+				{
+					logger.warn('addProducer() | failed to resume Consumer: %o', error);
+				}
+			}, 1000);
+		}
+		catch (error)
+		{
+			releasePort(port);
+
+			if (transport)
+				transport.close();
+
+			throw error;
+		}
+	}
+
+	_closeStream(producerId)
+	{
+		const stream = this._streams.get(producerId);
+
+		if (!stream)
+			return;
+
+		this._streams.delete(producerId);
+
+		logger.debug(
+			'_closeStream() [roomId:%s, producerId:%s]', this._roomId, producerId);
+
+		stream.transport.close();
+
+		// SIGINT makes FFmpeg and GStreamer (with -e) finalize the file.
+		if (stream.process.exitCode === null && !stream.process.killed)
+			stream.process.kill('SIGINT');
+
+		releasePort(stream.port);
+	}
+}
+
+/**
+ * Get a free even local port for RTP (next one is used for RTCP).
+ */
+function allocatePort()
+{
+	const { minPort, maxPort } = config.recording;
+
+	for (let port = minPort + (minPort % 2); port < maxPort; port += 2)
+	{
+		if (!usedPorts.has(port))
+		{
+			usedPorts.add(port);
+
+			return port;
+		}
+	}
+
+	return undefined;
+}
+
+function releasePort(port)
+{
+	usedPorts.delete(port);
+}
+
+/**
+ * H264 is not allowed in WebM so use Matroska for it.
+ */
+function getFileExtension(codec)
+{
+	return codec.mimeType.toLowerCase() === 'video/h264' ? 'mkv' : 'webm';
+}
+
+function spawnFFmpeg({ sdp, file })
+{
+	const args =
+	[
+		'-loglevel', 'warning',
+		'-protocol_whitelist', 'pipe,udp,rtp',
+		'-fflags', '+genpts',
+		'-f', 'sdp',
+		'-i', 'pipe:0',
+		'-map', '0',
+		'-c', 'copy',
+		'-y',
+		file
+	];
+
+	const recorderProcess = spawn(
+		'ffmpeg', args, { stdio: [ 'pipe', 'ignore', 'pipe' ] });
+
+	recorderProcess.stderr.on('data', (data) =>
+	{
+		logger.debug('ffmpeg [file:%s]: %s', file, String(data).trim());
+	});
+
+	recorderProcess.stdin.on('error', () => {});
+	recorderProcess.stdin.end(sdp);
+
+	return recorderProcess;
+}
+
+function spawnGStreamer({ kind, codec, port, file })
+{
+	const encodingName = codec.mimeType.split('/')[1].toUpperCase();
+	let depay;
+	let mux;
+
+	switch (encodingName)
+	{
+		case 'OPUS':
+			depay = [ 'rtpopusdepay', '!', 'opusparse' ];
+			mux = 'webmmux';
+			break;
+		case 'VP8':
+			depay = [ 'rtpvp8depay' ];
+			mux = 'webmmux';
+			break;
+		case 'VP9':
+			depay = [ 'rtpvp9depay' ];
+			mux = 'webmmux';
+			break;
+		case 'H264':
+			depay = [ 'rtph264depay', '!', 'h264parse' ];
+			mux = 'matroskamux';
+			break;
+		default:
+			throw new Error(`unsupported codec for GStreamer recording: ${codec.mimeType}`);
+	}
+
+	const caps = [
+		'application/x-rtp',
+		`media=${kind}`,
+		`clock-rate=${codec.clockRate}`,
+		`encoding-name=${encodingName}`,
+		`payload=${codec.payloadType}`
+	].join(',');
+
+	const args =
+	[
+		'-e',
+		'udpsrc', `port=${port}`, `caps=${caps}`,
+		'!', 'rtpjitterbuffer',
+		'!', ...depay,
+		'!', mux,
+		'!', 'filesink', `location=${file}`
+	];
+
+	const recorderProcess = spawn(
+		'gst-launch-1.0', args, { stdio: [ 'ignore', 'ignore', 'pipe' ] });
+
+	recorderProcess.stderr.on('data', (data) =>
+	{
+		logger.debug('gstreamer [file:%s]: %s', file, String(data).trim());
+	});
+
+	return recorderProcess;
+}
+
+module.exports = Recorder;
@@ -1,9 +1,22 @@
 const EventEmitter = require('events').EventEmitter;
+const crypto = require('crypto');
+const net = require('net');
 const protoo = require('protoo-server');
 const throttle = require('@sitespeed.io/throttle');
 const Logger = require('./Logger');
 const config = require('../config');
 const Bot = require('./Bot');
+const Recorder = require('./Recorder');
+const permissions = require('./permissions');
+const validation = require('./validation');
+const RateLimiter = require('./RateLimiter');
+const iceServers = require('./iceServers');
+const webhooks = require('./webhooks');
+const sdp = require('./sdp');
+
+// Delay (in ms) after which plain RTP Consumers request a key frame again so
+// the player receives one once it has started.
+const PLAIN_CONSUMER_KEY_FRAME_DELAY = 1000;
 
 const logger = new Logger('Room');
 
@@ -23,9 +36,25 @@ class Room extends EventEmitter
 	 *
 	 * @param {mediasoup.Worker} mediasoupWorker - The mediasoup Worker in which a new
 	 *   mediasoup Router must be created.
+	 * @param {Function} [getMediasoupWorker] - Returns the next mediasoup Worker
+	 *   to use, for creating additional Routers when the Room grows.
 	 * @param {String} roomId - Id of the Room instance.
+	 * @param {Boolean} [lobby] - Whether new Peers must wait in a lobby until a
+	 *   host admits them.
+	 * @param {Object} [policies] - Limits and lifecycle policies overriding the
+	 *   roomPolicies in the configuration file.
+	 * @param {Cascade} [cascade] - Signaling with other server nodes hosting the
+	 *   same Room (if cascading is enabled).
 	 */
-	static async create({ mediasoupWorker, roomId })
+	static async create(
+		{
+			mediasoupWorker,
+			getMediasoupWorker = () => mediasoupWorker,
+			roomId,
+			lobby = false,
+			policies = {},
+			cascade = null
+		})
 	{
 		logger.info('create() [roomId:%s]', roomId);
 
@@ -48,17 +77,51 @@ class Room extends EventEmitter
 
 		const bot = await Bot.create({ mediasoupRouter });
 
-		return new Room(
+		const room = new Room(
 			{
 				roomId,
 				protooRoom,
+				mediasoupWorker,
 				mediasoupRouter,
+				getMediasoupWorker,
 				audioLevelObserver,
-				bot
+				bot,
+				lobby,
+				policies : { ...config.roomPolicies, ...policies },
+				cascade
 			});
+
+		// Get the Peers of the Room in other server nodes. Don't wait for them,
+		// they will be notified to local Peers once got.
+		if (cascade)
+		{
+			for (const nodeId of cascade.connectedNodeIds)
+			{
+				room._pullCascadeNode(nodeId)
+					.catch((error) =>
+					{
+						room._logger.warn(
+							'_pullCascadeNode() failed [nodeId:%s]: %o', nodeId, error);
+					});
+			}
+		}
+
+		return room;
 	}
 
-	constructor({ roomId, protooRoom, mediasoupRouter, audioLevelObserver, bot })
+	constructor(
+		{
+			roomId,
+			protooRoom,
+			mediasoupWorker,
+			mediasoupRouter,
+			getMediasoupWorker,
+			audioLevelObserver,
+			bot,
+			lobby,
+			policies,
+			cascade
+		})
 	{
 		super();
 		this.setMaxListeners(Infinity);
@@ -67,10 +130,54 @@ class Room extends EventEmitter
 		// @type {String}
 		this._roomId = roomId;
 
+		// Logger whose entries carry the Room id.
+		// @type {Logger}
+		this._logger = logger.child({ roomId });
+
+		// Creation time.
+		// @type {Number}
+		this._createdAt = Date.now();
+
 		// Closed flag.
 		// @type {Boolean}
 		this._closed = false;
 
+		// Whether new Peers (but hosts) wait in the lobby until admitted.
+		// @type {Boolean}
+		this._lobby = lobby;
+
+		// Whether the Room is locked (no new Peers but hosts can enter).
+		// @type {Boolean}
+		this._locked = false;
+
+		// SHA-256 hash of the Room password (if any).
+		// @type {Buffer}
+		this._passwordHash = null;
+
+		// Limits and lifecycle policies (see roomPolicies in config.js).
+		// @type {Object}
+		this._policies = policies;
+
+		// Timer to close the Room if nobody produces.
+		// @type {Timeout}
+		this._idleTimer = null;
+
+		// Timers to warn Peers and close the Room when it reaches its max duration.
+		// @type {Array<Timeout>}
+		this._maxDurationTimers = [];
+
+		// Timer to close the Room once empty.
+		// @type {Timeout}
+		this._emptyTimer = null;
+
+		// Periodic timer to delete stale Broadcasters.
+		// @type {Timeout}
+		this._broadcastersCheckTimer = null;
+
+		// Whether the server is shutting down.
+		// @type {Boolean}
+		this._shuttingDown = false;
+
 		// protoo Room instance.
 		// @type {protoo.Room}
 		this._protooRoom = protooRoom;
@@ -89,10 +196,41 @@ class Room extends EventEmitter
 		// @type {Map<String, Object>}
 		this._broadcasters = new Map();
 
-		// mediasoup Router instance.
+		// mediasoup Router instance. Producers, Broadcasters, the Bot and the
+		// recorder live in it.
 		// @type {mediasoup.Router}
 		this._mediasoupRouter = mediasoupRouter;
 
+		// Function to get mediasoup Workers for additional Routers.
+		// @type {Function}
+		this._getMediasoupWorker = getMediasoupWorker;
+
+		// Map of mediasoup Routers of the Room (the main one plus those created in
+		// other Workers for consuming Transports) indexed by Router id. Each Object
+		// has:
+		// - {mediasoup.Router} router
+		// - {mediasoup.Worker} worker
+		// - {Map<String, Promise>} pipes - Producers and DataProducers of the
+		//   main Router being piped into this one, indexed by their id.
+		// - {Number} transports - Number of WebRtcTransports.
+		// - {Number} consumers - Number of Consumers and DataConsumers (load).
+		// @type {Map<String, Object>}
+		this._routers = new Map();
+
+		this._routers.set(
+			mediasoupRouter.id,
+			{
+				router     : mediasoupRouter,
+				worker     : mediasoupWorker,
+				pipes      : new Map(),
+				transports : 0,
+				consumers  : 0
+			});
+
+		// Promise of the additional Router being created (if any).
+		// @type {Promise<Object>}
+		this._creatingRouter = null;
+
 		// mediasoup AudioLevelObserver.
 		// @type {mediasoup.AudioLevelObserver}
 		this._audioLevelObserver = audioLevelObserver;
@@ -105,32 +243,138 @@ class Room extends EventEmitter
 		// @type {Boolean}
 		this._networkThrottled = false;
 
+		// Recorder instance (just while the Room is being recorded).
+		// @type {Recorder}
+		this._recorder = null;
+
+		// Map of joined protoo Peers whose WebSocket dropped indexed by id. Their
+		// mediasoup Transports are kept until they resume their session or their
+		// resume timer expires.
+		// @type {Map<String, protoo.Peer>}
+		this._disconnectedPeers = new Map();
+
+		// Map of request RateLimiters indexed by peerId. They outlive the protoo
+		// Peers so reconnecting or resuming does not reset the limits.
+		// @type {Map<String, RateLimiter>}
+		this._rateLimiters = new Map();
+
+		// Signaling with other server nodes (if cascading is enabled).
+		// @type {Cascade}
+		this._cascade = cascade;
+
+		// Map of Peers and Broadcasters of the Room in other server nodes indexed
+		// by id. Each Object has:
+		// - {String} id
+		// - {String} nodeId
+		// - {Object} data
+		//   - {String} displayName
+		//   - {Object} device
+		//   - {String} role
+		//   - {Map<String, mediasoup.Producer>} producers - Pipe Producers.
+		//   - {Map<String, mediasoup.DataProducer>} dataProducers - Always empty.
+		// @type {Map<String, Object>}
+		this._remotePeers = new Map();
+
+		// Map of mediasoup PipeTransports receiving media from other server nodes
+		// indexed by node id.
+		// @type {Map<String, Promise<mediasoup.PipeTransport>>}
+		this._cascadeRecvTransports = new Map();
+
+		// Map of mediasoup PipeTransports sending media to other server nodes
+		// indexed by node id.
+		// @type {Map<String, mediasoup.PipeTransport>}
+		this._cascadeSendTransports = new Map();
+
 		// Handle audioLevelObserver.
 		this._handleAudioLevelObserver();
 
+		// If the mediasoup Worker dies, the Room cannot go on.
+		mediasoupRouter.on('workerclose', () => this._fail('mediasoup Worker died'));
+
+		// Apply lifecycle policies.
+		this._handlePolicies();
+
+		// Delete stale Broadcasters.
+		this._handleBroadcasterTimeouts();
+
 		// For debugging.
 		global.audioLevelObserver = this._audioLevelObserver;
 		global.bot = this._bot;
 	}
 
+	get id()
+	{
+		return this._roomId;
+	}
+
+	get closed()
+	{
+		return this._closed;
+	}
+
 	/**
 	 * Closes the Room instance by closing the protoo Room and the mediasoup Router.
 	 */
 	close()
 	{
-		logger.debug('close()');
+		if (this._closed)
+			return;
+
+		this._logger.debug('close()');
 
 		this._closed = true;
 
+		// Peers and Broadcasters leave along with the Room.
+		for (const peer of [ ...this._getJoinedPeers(), ...this._disconnectedPeers.values() ])
+		{
+			webhooks.send('peer.left', { roomId: this._roomId, peerId: peer.id });
+		}
+
+		for (const broadcasterId of this._broadcasters.keys())
+		{
+			webhooks.send(
+				'broadcaster.deleted', { roomId: this._roomId, broadcasterId });
+		}
+
+		webhooks.send('room.closed', { roomId: this._roomId });
+
 		// Close the protoo Room.
 		this._protooRoom.close();
 
-		// Close the mediasoup Router.
-		this._mediasoupRouter.close();
+		// Close the mediasoup Routers.
+		for (const { router } of this._routers.values())
+		{
+			router.close();
+		}
 
 		// Close the Bot.
 		this._bot.close();
 
+		// Stop policy timers.
+		clearTimeout(this._idleTimer);
+		clearTimeout(this._emptyTimer);
+		clearInterval(this._broadcastersCheckTimer);
+
+		for (const timer of this._maxDurationTimers)
+		{
+			clearTimeout(timer);
+		}
+
+		// Forget disconnected Peers.
+		for (const disconnectedPeer of this._disconnectedPeers.values())
+		{
+			clearTimeout(disconnectedPeer.data.resumeTimer);
+		}
+
+		this._disconnectedPeers.clear();
+
+		// Let other server nodes release their resources for this Room.
+		this._cascadeNotify({ method: 'roomClosed' });
+
+		// Stop recording.
+		if (this._recorder)
+			this._recorder.close();
+
 		// Emit 'close' event.
 		this.emit('close');
 
@@ -144,11 +388,42 @@ class Room extends EventEmitter
 
 	logStatus()
 	{
-		logger.info(
+		this._logger.info(
 			'logStatus() [roomId:%s, protoo Peers:%s, mediasoup Transports:%s]',
 			this._roomId,
 			this._protooRoom.peers.length,
 			this._mediasoupRouter._transports.size); // NOTE: Private API.
+
+		for (const routerLoad of this.getRouterLoads())
+		{
+			this._logger.info(
+				'logStatus() | Router load [roomId:%s, routerId:%s, workerPid:%s, transports:%s, consumers:%s, pipes:%s]',
+				this._roomId,
+				routerLoad.id,
+				routerLoad.workerPid,
+				routerLoad.transports,
+				routerLoad.consumers,
+				routerLoad.pipes);
+		}
+	}
+
+	/**
+	 * Get the load of each mediasoup Router of the Room.
+	 *
+	 * @returns {Array<Object>}
+	 */
+	getRouterLoads()
+	{
+		return Array.from(this._routers.values())
+			.map(({ router, worker, pipes, transports, consumers }) => (
+				{
+					id        : router.id,
+					workerPid : worker.pid,
+					main      : router === this._mediasoupRouter,
+					transports,
+					consumers,
+					pipes     : pipes.size
+				}));
 	}
 
 	/**
@@ -157,16 +432,34 @@ class Room extends EventEmitter
 	 *
 	 * @param {String} peerId - The id of the protoo peer to be created.
 	 * @param {Boolean} consume - Whether this peer wants to consume from others.
+	 * @param {Object} [token] - Payload of the verified access token (if
+	 *   authentication is enabled).
+	 * @param {Boolean} [resumeOnly] - Whether the peer did not pass the access
+	 *   checks, so it can just resume a previous session (see
+	 *   isPeerDisconnected()).
 	 * @param {protoo.WebSocketTransport} protooWebSocketTransport - The associated
 	 *   protoo WebSocket transport.
 	 */
-	handleProtooConnection({ peerId, consume, protooWebSocketTransport })
+	handleProtooConnection(
+		{
+			peerId,
+			consume,
+			token,
+			resumeOnly = false,
+			protooWebSocketTransport
+		})
 	{
+		// The Room is no longer empty.
+		clearTimeout(this._emptyTimer);
+		this._emptyTimer = null;
+
+		const peerLogger = this._logger.child({ peerId });
+
 		const existingPeer = this._protooRoom.getPeer(peerId);
 
 		if (existingPeer)
 		{
-			logger.warn(
+			peerLogger.warn(
 				'handleProtooConnection() | there is already a protoo Peer with same peerId, closing it [peerId:%s]',
 				peerId);
 
@@ -182,13 +475,26 @@ class Room extends EventEmitter
 		}
 		catch (error)
 		{
-			logger.error('protooRoom.createPeer() failed:%o', error);
+			peerLogger.error('protooRoom.createPeer() failed:%o', error);
 		}
 
 		// Use the peer.data object to store mediasoup related objects.
 
+		// Logger whose entries carry the peerId (also used by event handlers of
+		// the mediasoup entities of the Peer).
+		peer.data.logger = peerLogger;
+
 		// Not joined after a custom protoo 'join' request is later received.
 		peer.data.consume = consume;
+		peer.data.token = token;
+		peer.data.resumeOnly = resumeOnly;
+		peer.data.resumeToken = undefined;
+		peer.data.leaving = false;
+		peer.data.rateLimiter = this._getRateLimiter(peerId);
+		peer.data.role = this._getInitialRole({ peer, token });
+		peer.data.lobby = this._lobby && peer.data.role !== 'host';
+		peer.data.lobbyJoinData = undefined;
+		peer.data.lobbyTimer = undefined;
 		peer.data.joined = false;
 		peer.data.displayName = undefined;
 		peer.data.device = undefined;
@@ -205,14 +511,14 @@ class Room extends EventEmitter
 
 		peer.on('request', (request, accept, reject) =>
 		{
-			logger.debug(
+			peerLogger.debug(
 				'protoo Peer "request" event [method:%s, peerId:%s]',
 				request.method, peer.id);
 
 			this._handleProtooRequest(peer, request, accept, reject)
 				.catch((error) =>
 				{
-					logger.error('request failed:%o', error);
+					peerLogger.error('request failed:%o', error);
 
 					reject(error);
 				});
@@ -223,40 +529,319 @@ class Room extends EventEmitter
 			if (this._closed)
 				return;
 
-			logger.debug('protoo Peer "close" event [peerId:%s]', peer.id);
+			peerLogger.debug('protoo Peer "close" event [peerId:%s]', peer.id);
 
-			// If the Peer was joined, notify all Peers.
-			if (peer.data.joined)
+			// If the WebSocket of a joined Peer dropped, keep its mediasoup
+			// Transports for a while so it can resume its session.
+			if (peer.data.joined && !peer.data.leaving && config.peerResumeTimeout > 0)
 			{
-				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
-				{
-					otherPeer.notify('peerClosed', { peerId: peer.id })
-						.catch(() => {});
-				}
+				this._keepDisconnectedPeer(peer);
+
+				return;
 			}
 
-			// Iterate and close all mediasoup Transport associated to this Peer, so all
-			// its Producers and Consumers will also be closed.
-			for (const transport of peer.data.transports.values())
+			this._closePeer(peer);
+		});
+
+		// Tell a Peer that must wait in the lobby so it sends 'join' before
+		// creating its Transports.
+		if (peer.data.lobby)
+		{
+			peer.notify('lobby')
+				.catch(() => {});
+		}
+	}
+
+	/**
+	 * Whether there is a Peer with the given id whose WebSocket dropped and that
+	 * can still resume its session.
+	 *
+	 * @param {String} peerId
+	 *
+	 * @returns {Boolean}
+	 */
+	isPeerDisconnected(peerId)
+	{
+		return this._disconnectedPeers.has(peerId);
+	}
+
+	/**
+	 * Check whether a new Peer or Broadcaster can enter the Room. Hosts (and
+	 * admins) can always enter.
+	 *
+	 * @param {String} [password] - Room password given by the client.
+	 * @param {Object} [token] - Payload of the verified access token (if any).
+	 *
+	 * @throws {Error} With status 403 and reason 'locked' if the Room is locked,
+	 *   or with status 401 and reason 'passwordRequired' or 'wrongPassword' if
+	 *   the Room has a password and the given one does not match.
+	 */
+	checkAccess({ password, token })
+	{
+		if (token && (token.role === 'host' || token.role === 'admin'))
+			return;
+
+		if (this._locked)
+			throw createAccessError('room is locked', 'locked', 403);
+
+		if (!this._passwordHash)
+			return;
+
+		if (!password)
+			throw createAccessError('room password required', 'passwordRequired', 401);
+
+		if (!crypto.timingSafeEqual(hashPassword(password), this._passwordHash))
+			throw createAccessError('wrong room password', 'wrongPassword', 401);
+	}
+
+	getRouterRtpCapabilities()
+	{
+		return this._mediasoupRouter.rtpCapabilities;
+	}
+
+	/**
+	 * Tell joined Peers that the server is shutting down. The Room will be
+	 * closed as soon as it is empty (right now if it's already empty).
+	 *
+	 * @param {Number} deadline - Time (in ms since epoch) at which the server
+	 *   will close the Room anyway.
+	 */
+	notifyShutdown({ deadline })
+	{
+		this._logger.info('notifyShutdown() [roomId:%s]', this._roomId);
+
+		this._shuttingDown = true;
+
+		if (this._protooRoom.peers.length === 0 && this._disconnectedPeers.size === 0)
+		{
+			this._logger.info(
+				'notifyShutdown() | empty room, closing it [roomId:%s]', this._roomId);
+
+			this.close();
+
+			return;
+		}
+
+		for (const peer of this._getJoinedPeers())
+		{
+			peer.notify('serverShuttingDown', { deadline })
+				.catch(() => {});
+		}
+	}
+
+	/**
+	 * Get a summary of the Room. This is for HTTP API requests (see server.js).
+	 */
+	getInfo()
+	{
+		return {
+			id                : this._roomId,
+			createdAt         : this._createdAt,
+			peers             : this._getJoinedPeers().length,
+			disconnectedPeers : this._disconnectedPeers.size,
+			broadcasters      : this._broadcasters.size,
+			remotePeers       : this._remotePeers.size,
+			lobby             : this._lobby,
+			lobbyPeers        : this._getLobbyPeerInfos().length,
+			locked            : this._locked,
+			hasPassword       : Boolean(this._passwordHash),
+			recording         : Boolean(this._recorder),
+			policies          : this._policies,
+			routers           : this.getRouterLoads()
+		};
+	}
+
+	/**
+	 * Get the list of joined Peers with their Producers and Consumers. This is
+	 * for HTTP API requests (see server.js).
+	 */
+	getPeerInfos()
+	{
+		return this._getJoinedPeers()
+			.map((peer) => (
+				{
+					id          : peer.id,
+					displayName : peer.data.displayName,
+					device      : peer.data.device,
+					role        : peer.data.role,
+					producers   : Array.from(peer.data.producers.values())
+						.map((producer) => (
+							{
+								id      : producer.id,
+								kind    : producer.kind,
+								type    : producer.type,
+								paused  : producer.paused,
+								appData : producer.appData
+							})),
+					consumers : Array.from(peer.data.consumers.values())
+						.map((consumer) => (
+							{
+								id             : consumer.id,
+								producerId     : consumer.producerId,
+								kind           : consumer.kind,
+								type           : consumer.type,
+								paused         : consumer.paused,
+								producerPaused : consumer.producerPaused
+							}))
+				}));
+	}
+
+	/**
+	 * Get the Producers of Peers, Broadcasters and remote Peers, optionally
+	 * filtered by Peer and/or Producer id.
+	 *
+	 * @param {String} [peerId]
+	 * @param {String} [producerId]
+	 *
+	 * @returns {Array<Object>} Each Object has:
+	 *   - {String} peerId
+	 *   - {mediasoup.Producer} producer
+	 */
+	getProducers({ peerId, producerId } = {})
+	{
+		const producers = [];
+
+		for (const producerPeer of this._getProducerPeers())
+		{
+			if (peerId && producerPeer.id !== peerId)
+				continue;
+
+			for (const producer of producerPeer.data.producers.values())
 			{
-				transport.close();
+				if (producerId && producer.id !== producerId)
+					continue;
+
+				producers.push({ peerId: producerPeer.id, producer });
 			}
+		}
+
+		return producers;
+	}
+
+	/**
+	 * Get the number of Peers and the mediasoup Producers and Consumers of the
+	 * Room with their scores, and the bitrate of its Transports. This is for the
+	 * metrics HTTP endpoint (see server.js).
+	 *
+	 * @async
+	 */
+	async getMetrics()
+	{
+		const localPeers =
+		[
+			...this._getJoinedPeers(),
+			...this._disconnectedPeers.values(),
+			...this._broadcasters.values()
+		];
+		const transports = [];
+		const producers = [];
+		const consumers = [];
+		let recvBitrate = 0;
+		let sendBitrate = 0;
+
+		for (const peer of localPeers)
+		{
+			transports.push(...peer.data.transports.values());
+			producers.push(...peer.data.producers.values());
+			consumers.push(...peer.data.consumers.values());
+		}
 
-			// If this is the latest Peer in the room, close the room.
-			if (this._protooRoom.peers.length === 0)
+		await Promise.all(transports.map(async (transport) =>
+		{
+			try
 			{
-				logger.info(
-					'last Peer in the room left, closing the room [roomId:%s]',
-					this._roomId);
+				const stats = await transport.getStats();
 
-				this.close();
+				for (const stat of stats)
+				{
+					recvBitrate += stat.recvBitrate || 0;
+					sendBitrate += stat.sendBitrate || 0;
+				}
+			}
+			catch (error)
+			{
+				// The Transport may have been closed meanwhile.
 			}
+		}));
+
+		return {
+			peers :
+			{
+				joined       : this._getJoinedPeers().length,
+				disconnected : this._disconnectedPeers.size,
+				lobby        : this._getLobbyPeerInfos().length,
+				remote       : this._remotePeers.size
+			},
+			broadcasters : this._broadcasters.size,
+			producers    : producers.map((producer) => (
+				{
+					kind  : producer.kind,
+					score : producer.score.length > 0
+						? Math.min(...producer.score.map(({ score }) => score))
+						: undefined
+				})),
+			consumers : consumers.map((consumer) => (
+				{
+					kind  : consumer.kind,
+					score : consumer.score.score
+				})),
+			recvBitrate,
+			sendBitrate
+		};
+	}
+
+	/**
+	 * Start recording every Producer in the Room (and those created later).
+	 *
+	 * @async
+	 */
+	async startRecording()
+	{
+		if (this._recorder)
+			throw new Error('Room already being recorded');
+
+		this._logger.info('startRecording() [roomId:%s]', this._roomId);
+
+		const recorder = new Recorder(
+			{
+				roomId          : this._roomId,
+				mediasoupRouter : this._mediasoupRouter
+			});
+
+		this._recorder = recorder;
+
+		recorder.on('close', () =>
+		{
+			if (this._recorder !== recorder)
+				return;
+
+			this._recorder = null;
+
+			this._notifyRecordingState();
 		});
+
+		for (const producerPeer of this._getProducerPeers())
+		{
+			for (const producer of producerPeer.data.producers.values())
+			{
+				this._recordProducer({ producer, peerId: producerPeer.id });
+			}
+		}
+
+		this._notifyRecordingState();
 	}
 
-	getRouterRtpCapabilities()
+	/**
+	 * Stop recording the Room.
+	 */
+	stopRecording()
 	{
-		return this._mediasoupRouter.rtpCapabilities;
+		if (!this._recorder)
+			throw new Error('Room not being recorded');
+
+		this._logger.info('stopRecording() [roomId:%s]', this._roomId);
+
+		this._recorder.close();
 	}
 
 	/**
@@ -268,8 +853,17 @@ class Room extends EventEmitter
 	 * @type {String} displayName - Descriptive name.
 	 * @type {Object} [device] - Additional info with name, version and flags fields.
 	 * @type {RTCRtpCapabilities} [rtpCapabilities] - Device RTP capabilities.
+	 * @type {Object} [token] - Verified access token of the request (if any),
+	 *   which gives the role of the Broadcaster.
 	 */
-	async createBroadcaster({ id, displayName, device = {}, rtpCapabilities })
+	async createBroadcaster(
+		{
+			id,
+			displayName,
+			device = {},
+			rtpCapabilities,
+			token
+		})
 	{
 		if (typeof id !== 'string' || !id)
 			throw new TypeError('missing body.id');
@@ -283,6 +877,16 @@ class Room extends EventEmitter
 		if (this._broadcasters.has(id))
 			throw new Error(`broadcaster with id "${id}" already exists`);
 
+		const { maxBroadcasters } = this._policies;
+
+		if (maxBroadcasters && this._broadcasters.size >= maxBroadcasters)
+		{
+			const error = new Error('maximum number of broadcasters reached');
+
+			error.status = 403;
+			throw error;
+		}
+
 		const broadcaster =
 		{
 			id,
@@ -295,7 +899,11 @@ class Room extends EventEmitter
 					name    : device.name || 'Unknown device',
 					version : device.version
 				},
+				role          : this._getBroadcasterRole(token),
 				rtpCapabilities,
+				createdAt     : Date.now(),
+				// Time of the last keepalive (if it ever sent one).
+				lastSeenAt    : undefined,
 				transports    : new Map(),
 				producers     : new Map(),
 				consumers     : new Map(),
@@ -307,6 +915,9 @@ class Room extends EventEmitter
 		// Store the Broadcaster into the map.
 		this._broadcasters.set(broadcaster.id, broadcaster);
 
+		// The Room is no longer empty.
+		clearTimeout(this._emptyTimer);
+
 		// Notify the new Broadcaster to all Peers.
 		for (const otherPeer of this._getJoinedPeers())
 		{
@@ -315,11 +926,26 @@ class Room extends EventEmitter
 				{
 					id          : broadcaster.id,
 					displayName : broadcaster.data.displayName,
-					device      : broadcaster.data.device
+					device      : broadcaster.data.device,
+					role        : broadcaster.data.role
 				})
 				.catch(() => {});
 		}
 
+		this._cascadeNotify(
+			{
+				method : 'peerJoined',
+				data   : { peer: this._getCascadePeerInfo(broadcaster) }
+			});
+
+		webhooks.send(
+			'broadcaster.created',
+			{
+				roomId        : this._roomId,
+				broadcasterId : broadcaster.id,
+				displayName   : broadcaster.data.displayName
+			});
+
 		// Reply with the list of Peers and their Producers.
 		const peerInfos = [];
 		const joinedPeers = this._getJoinedPeers();
@@ -366,38 +992,110 @@ class Room extends EventEmitter
 	}
 
 	/**
-	 * Delete a Broadcaster.
+	 * Keep a Broadcaster alive. Once a Broadcaster sends a keepalive it's
+	 * deleted if it doesn't send another one within the keepAlive timeout in
+	 * the configuration file.
 	 *
 	 * @type {String} broadcasterId
+	 *
+	 * @returns {Object} Object with the timeout (in ms).
 	 */
-	deleteBroadcaster({ broadcasterId })
+	keepAliveBroadcaster({ broadcasterId })
 	{
 		const broadcaster = this._broadcasters.get(broadcasterId);
 
 		if (!broadcaster)
 			throw new Error(`broadcaster with id "${broadcasterId}" does not exist`);
 
-		for (const transport of broadcaster.data.transports.values())
-		{
-			transport.close();
-		}
+		broadcaster.data.lastSeenAt = Date.now();
 
-		this._broadcasters.delete(broadcasterId);
-
-		for (const peer of this._getJoinedPeers())
-		{
-			peer.notify('peerClosed', { peerId: broadcasterId })
-				.catch(() => {});
-		}
+		return { timeout: config.broadcasterTimeouts.keepAlive };
 	}
 
 	/**
-	 * Create a mediasoup Transport associated to a Broadcaster. It can be a
-	 * PlainTransport or a WebRtcTransport.
-	 *
-	 * @async
+	 * Get information about the Broadcasters of the Room.
 	 *
-	 * @type {String} broadcasterId
+	 * @returns {Array<Object>}
+	 */
+	getBroadcasterInfos()
+	{
+		return Array.from(this._broadcasters.values())
+			.map((broadcaster) => (
+				{
+					id          : broadcaster.id,
+					displayName : broadcaster.data.displayName,
+					device      : broadcaster.data.device,
+					createdAt   : broadcaster.data.createdAt,
+					lastSeenAt  : broadcaster.data.lastSeenAt,
+					transports  : Array.from(broadcaster.data.transports.values())
+						.map((transport) => (
+							{
+								id   : transport.id,
+								type : transport.appData.type
+							})),
+					producers : Array.from(broadcaster.data.producers.values())
+						.map((producer) => (
+							{
+								id     : producer.id,
+								kind   : producer.kind,
+								paused : producer.paused
+							})),
+					consumers : Array.from(broadcaster.data.consumers.values())
+						.map((consumer) => (
+							{
+								id         : consumer.id,
+								producerId : consumer.producerId,
+								kind       : consumer.kind,
+								paused     : consumer.paused
+							}))
+				}));
+	}
+
+	/**
+	 * Delete a Broadcaster.
+	 *
+	 * @type {String} broadcasterId
+	 */
+	deleteBroadcaster({ broadcasterId })
+	{
+		const broadcaster = this._broadcasters.get(broadcasterId);
+
+		if (!broadcaster)
+			throw new Error(`broadcaster with id "${broadcasterId}" does not exist`);
+
+		for (const transport of broadcaster.data.transports.values())
+		{
+			transport.close();
+		}
+
+		this._broadcasters.delete(broadcasterId);
+
+		for (const peer of this._getJoinedPeers())
+		{
+			peer.notify('peerClosed', { peerId: broadcasterId })
+				.catch(() => {});
+		}
+
+		this._cascadeNotify({ method: 'peerClosed', data: { peerId: broadcasterId } });
+
+		webhooks.send(
+			'broadcaster.deleted', { roomId: this._roomId, broadcasterId });
+
+		// Emit 'broadcasterdeleted' event.
+		this.emit('broadcasterdeleted', { broadcasterId });
+
+		// If this was the latest Broadcaster in an empty room, close the room
+		// (maybe after a while if so configured).
+		this._closeIfEmpty();
+	}
+
+	/**
+	 * Create a mediasoup Transport associated to a Broadcaster. It can be a
+	 * PlainTransport or a WebRtcTransport.
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
 	 * @type {String} type - Can be 'plain' (PlainTransport) or 'webrtc'
 	 *   (WebRtcTransport).
 	 * @type {Boolean} [rtcpMux=false] - Just for PlainTransport, use RTCP mux.
@@ -423,11 +1121,19 @@ class Room extends EventEmitter
 		{
 			case 'webrtc':
 			{
+				const { worker } = this._routers.get(this._mediasoupRouter.id);
 				const webRtcTransportOptions =
 				{
-					...config.mediasoup.webRtcTransportOptions,
+					...this._getWebRtcTransportOptions(worker),
 					enableSctp     : Boolean(sctpCapabilities),
-					numSctpStreams : (sctpCapabilities || {}).numStreams
+					numSctpStreams : (sctpCapabilities || {}).numStreams,
+					appData        :
+					{
+						type              : 'webrtc',
+						producerIds       : new Set(),
+						// Time since ICE is disconnected (if so).
+						iceDisconnectedAt : undefined
+					}
 				};
 
 				const transport = await this._mediasoupRouter.createWebRtcTransport(
@@ -436,12 +1142,37 @@ class Room extends EventEmitter
 				// Store it.
 				broadcaster.data.transports.set(transport.id, transport);
 
+				transport.on('icestatechange', (iceState) =>
+				{
+					if (iceState === 'disconnected' || iceState === 'closed')
+						transport.appData.iceDisconnectedAt = Date.now();
+					else
+						transport.appData.iceDisconnectedAt = undefined;
+				});
+
+				// The remote endpoint closed DTLS or it failed, so it's gone.
+				transport.on('dtlsstatechange', (dtlsState) =>
+				{
+					if (dtlsState !== 'failed' && dtlsState !== 'closed')
+						return;
+
+					if (this._broadcasters.get(broadcaster.id) !== broadcaster)
+						return;
+
+					this._logger.warn(
+						'deleting broadcaster whose WebRtcTransport DTLS is %s [broadcasterId:%s]',
+						dtlsState, broadcaster.id);
+
+					this.deleteBroadcaster({ broadcasterId: broadcaster.id });
+				});
+
 				return {
 					id             : transport.id,
 					iceParameters  : transport.iceParameters,
 					iceCandidates  : transport.iceCandidates,
 					dtlsParameters : transport.dtlsParameters,
-					sctpParameters : transport.sctpParameters
+					sctpParameters : transport.sctpParameters,
+					iceServers     : iceServers.getIceServers({ user: broadcaster.id })
 				};
 			}
 
@@ -451,7 +1182,8 @@ class Room extends EventEmitter
 				{
 					...config.mediasoup.plainTransportOptions,
 					rtcpMux : rtcpMux,
-					comedia : comedia
+					comedia : comedia,
+					appData : { type: 'plain', producerIds: new Set() }
 				};
 
 				const transport = await this._mediasoupRouter.createPlainTransport(
@@ -540,12 +1272,43 @@ class Room extends EventEmitter
 		if (!transport)
 			throw new Error(`transport with id "${transportId}" does not exist`);
 
+		if (!permissions.isAllowed(broadcaster.data.role, 'produce'))
+		{
+			const error = new Error('broadcaster role not allowed to produce');
+
+			error.status = 403;
+			throw error;
+		}
+
+		if (kind === 'video' && this._isVideoProducersLimitReached())
+		{
+			const error = new Error('maximum number of video producers reached');
+
+			error.status = 403;
+			throw error;
+		}
+
 		const producer =
 			await transport.produce({ kind, rtpParameters });
 
 		// Store it.
 		broadcaster.data.producers.set(producer.id, producer);
 
+		// Watch the RTP received by the Transport while it has Producers (see
+		// _checkBroadcasters()).
+		if (transport.appData.producerIds.size === 0)
+		{
+			transport.appData.rtpBytesReceived = 0;
+			transport.appData.rtpReceivedAt = Date.now();
+		}
+
+		transport.appData.producerIds.add(producer.id);
+
+		producer.observer.once('close', () =>
+		{
+			transport.appData.producerIds.delete(producer.id);
+		});
+
 		// Set Producer events.
 		// producer.on('score', (score) =>
 		// {
@@ -556,7 +1319,7 @@ class Room extends EventEmitter
 
 		producer.on('videoorientationchange', (videoOrientation) =>
 		{
-			logger.debug(
+			this._logger.debug(
 				'broadcaster producer "videoorientationchange" event [producerId:%s, videoOrientation:%o]',
 				producer.id, videoOrientation);
 		});
@@ -579,9 +1342,94 @@ class Room extends EventEmitter
 				.catch(() => {});
 		}
 
+		// Record it if the Room is being recorded.
+		this._recordProducer({ producer, peerId: broadcaster.id });
+
+		this._sendProducerWebhooks({ producer, peerId: broadcaster.id });
+
+		this._handleProducerActivity(producer);
+
+		// Emit 'newproducer' event.
+		this.emit('newproducer', { producer, peerId: broadcaster.id });
+
+		// Let other server nodes consume it.
+		this._cascadeNotify(
+			{
+				method : 'producerCreated',
+				data   : { peerId: broadcaster.id, producerId: producer.id }
+			});
+
 		return { id: producer.id };
 	}
 
+	/**
+	 * Pause a Producer of a Broadcaster. Peers consuming it are notified as when
+	 * a Peer pauses its Producer.
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} producerId
+	 */
+	async pauseBroadcasterProducer({ broadcasterId, producerId })
+	{
+		const producer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'producers', id: producerId });
+
+		await producer.pause();
+	}
+
+	/**
+	 * Resume a Producer of a Broadcaster.
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} producerId
+	 */
+	async resumeBroadcasterProducer({ broadcasterId, producerId })
+	{
+		const producer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'producers', id: producerId });
+
+		await producer.resume();
+	}
+
+	/**
+	 * Close a Producer of a Broadcaster. Peers consuming it are notified as when
+	 * a Peer closes its Producer.
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} producerId
+	 */
+	closeBroadcasterProducer({ broadcasterId, producerId })
+	{
+		const broadcaster = this._broadcasters.get(broadcasterId);
+		const producer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'producers', id: producerId });
+
+		producer.close();
+
+		// Remove from its map.
+		broadcaster.data.producers.delete(producer.id);
+	}
+
+	/**
+	 * Get the stats of a Producer of a Broadcaster.
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} producerId
+	 */
+	async getBroadcasterProducerStats({ broadcasterId, producerId })
+	{
+		const producer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'producers', id: producerId });
+
+		return producer.getStats();
+	}
+
 	/**
 	 * Create a mediasoup Consumer associated to a Broadcaster.
 	 *
@@ -590,12 +1438,15 @@ class Room extends EventEmitter
 	 * @type {String} broadcasterId
 	 * @type {String} transportId
 	 * @type {String} producerId
+	 * @type {String} [mid] - MID of the Consumer (otherwise mediasoup assigns
+	 *   one).
 	 */
 	async createBroadcasterConsumer(
 		{
 			broadcasterId,
 			transportId,
-			producerId
+			producerId,
+			mid
 		}
 	)
 	{
@@ -615,7 +1466,8 @@ class Room extends EventEmitter
 		const consumer = await transport.consume(
 			{
 				producerId,
-				rtpCapabilities : broadcaster.data.rtpCapabilities
+				rtpCapabilities : broadcaster.data.rtpCapabilities,
+				mid
 			});
 
 		// Store it.
@@ -634,6 +1486,18 @@ class Room extends EventEmitter
 			broadcaster.data.consumers.delete(consumer.id);
 		});
 
+		consumer.observer.once('close', () =>
+		{
+			// Nothing to tell if the whole Transport was closed.
+			if (transport.closed)
+				return;
+
+			// Emit 'broadcasterconsumerclosed' event.
+			this.emit(
+				'broadcasterconsumerclosed',
+				{ broadcasterId, consumerId: consumer.id, producerId });
+		});
+
 		return {
 			id            : consumer.id,
 			producerId,
@@ -643,6 +1507,234 @@ class Room extends EventEmitter
 		};
 	}
 
+	/**
+	 * Pause a Consumer of a Broadcaster.
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} consumerId
+	 */
+	async pauseBroadcasterConsumer({ broadcasterId, consumerId })
+	{
+		const consumer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'consumers', id: consumerId });
+
+		await consumer.pause();
+	}
+
+	/**
+	 * Resume a Consumer of a Broadcaster.
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} consumerId
+	 */
+	async resumeBroadcasterConsumer({ broadcasterId, consumerId })
+	{
+		const consumer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'consumers', id: consumerId });
+
+		await consumer.resume();
+	}
+
+	/**
+	 * Close a Consumer of a Broadcaster.
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} consumerId
+	 */
+	closeBroadcasterConsumer({ broadcasterId, consumerId })
+	{
+		const broadcaster = this._broadcasters.get(broadcasterId);
+		const consumer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'consumers', id: consumerId });
+
+		consumer.close();
+
+		// Remove from its map.
+		broadcaster.data.consumers.delete(consumer.id);
+	}
+
+	/**
+	 * Get the stats of a Consumer of a Broadcaster.
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} consumerId
+	 */
+	async getBroadcasterConsumerStats({ broadcasterId, consumerId })
+	{
+		const consumer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'consumers', id: consumerId });
+
+		return consumer.getStats();
+	}
+
+	/**
+	 * Send Producers of the Room as plain RTP to a legacy endpoint (FFmpeg,
+	 * GStreamer, VLC...). For each Producer a PlainTransport and a Consumer
+	 * associated to the Broadcaster are created. Their RTP is sent to the given
+	 * ip and to consecutive even ports starting at the given one (RTCP goes to
+	 * RTP port + 1).
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} [producerId] - Send this Producer.
+	 * @type {String} [peerId] - Send all the Producers of this Peer.
+	 * @type {String} ip - IP in which the endpoint receives RTP.
+	 * @type {Number} port - First port in which the endpoint receives RTP.
+	 *
+	 * @returns {Object} Object with the SDP describing the streams and their
+	 *   Consumers.
+	 */
+	async createBroadcasterPlainConsumers(
+		{
+			broadcasterId,
+			producerId,
+			peerId,
+			ip,
+			port
+		}
+	)
+	{
+		const broadcaster = this._broadcasters.get(broadcasterId);
+
+		if (!broadcaster)
+			throw new Error(`broadcaster with id "${broadcasterId}" does not exist`);
+
+		if (!producerId && !peerId)
+			throw new TypeError('missing body.producerId or body.peerId');
+		else if (typeof ip !== 'string' || !ip)
+			throw new TypeError('missing body.ip');
+		else if (!net.isIP(ip))
+			throw new TypeError('wrong body.ip, it must be an IPv4 or IPv6 address');
+		else if (!Number.isInteger(port) || port <= 0 || port > 65534 || port % 2 !== 0)
+			throw new TypeError('wrong body.port, it must be an even port');
+
+		const producers = this.getProducers({ producerId, peerId })
+			.map((entry) => entry.producer);
+
+		if (producers.length === 0)
+		{
+			const error = new Error('no Producers to send');
+
+			error.status = 404;
+			throw error;
+		}
+
+		if (port + (producers.length * 2) - 1 > 65535)
+			throw new TypeError('wrong body.port, not enough ports after it');
+
+		// Don't offer RTX nor header extensions, legacy endpoints don't use them.
+		const rtpCapabilities =
+		{
+			codecs : this._mediasoupRouter.rtpCapabilities.codecs
+				.filter((codec) => !/\/rtx$/i.test(codec.mimeType)),
+			headerExtensions : []
+		};
+		const streams = [];
+		const consumerInfos = [];
+		const transports = [];
+
+		try
+		{
+			for (const [ idx, producer ] of producers.entries())
+			{
+				const streamPort = port + (idx * 2);
+				const transport = await this._mediasoupRouter.createPlainTransport(
+					{
+						...config.mediasoup.plainTransportOptions,
+						rtcpMux : false,
+						comedia : false,
+						appData : { type: 'plain', producerIds: new Set() }
+					});
+
+				transports.push(transport);
+
+				// Store it.
+				broadcaster.data.transports.set(transport.id, transport);
+
+				await transport.connect({ ip, port: streamPort, rtcpPort: streamPort + 1 });
+
+				// Create the Consumer in paused mode and resume it so it requests a
+				// key frame once ready.
+				const consumer = await transport.consume(
+					{
+						producerId : producer.id,
+						rtpCapabilities,
+						paused     : true
+					});
+
+				// Store it.
+				broadcaster.data.consumers.set(consumer.id, consumer);
+
+				// Set Consumer events.
+				consumer.on('transportclose', () =>
+				{
+					// Remove from its map.
+					broadcaster.data.consumers.delete(consumer.id);
+				});
+
+				consumer.on('producerclose', () =>
+				{
+					// Remove from its map.
+					broadcaster.data.consumers.delete(consumer.id);
+
+					// The PlainTransport is useless without the Consumer.
+					transport.close();
+					broadcaster.data.transports.delete(transport.id);
+				});
+
+				await consumer.resume();
+
+				if (consumer.kind === 'video')
+				{
+					setTimeout(() =>
+					{
+						if (!consumer.closed)
+							consumer.requestKeyFrame().catch(() => {});
+					}, PLAIN_CONSUMER_KEY_FRAME_DELAY);
+				}
+
+				streams.push(
+					{
+						kind          : consumer.kind,
+						rtpParameters : consumer.rtpParameters,
+						port          : streamPort,
+						rtcpPort      : streamPort + 1
+					});
+
+				consumerInfos.push(
+					{
+						id          : consumer.id,
+						producerId  : producer.id,
+						kind        : consumer.kind,
+						transportId : transport.id,
+						port        : streamPort
+					});
+			}
+		}
+		catch (error)
+		{
+			for (const transport of transports)
+			{
+				transport.close();
+				broadcaster.data.transports.delete(transport.id);
+			}
+
+			throw error;
+		}
+
+		return {
+			sdp       : sdp.createPlainRtpSdp({ ip, streams }),
+			consumers : consumerInfos
+		};
+	}
+
 	/**
 	 * Create a mediasoup DataConsumer associated to a Broadcaster.
 	 *
@@ -726,6 +1818,14 @@ class Room extends EventEmitter
 		// if (!broadcaster.data.sctpCapabilities)
 		// 	throw new Error('broadcaster does not have sctpCapabilities');
 
+		if (!permissions.isAllowed(broadcaster.data.role, 'produceData'))
+		{
+			const error = new Error('broadcaster role not allowed to produce data');
+
+			error.status = 403;
+			throw error;
+		}
+
 		const transport = broadcaster.data.transports.get(transportId);
 
 		if (!transport)
@@ -765,765 +1865,2818 @@ class Room extends EventEmitter
 		};
 	}
 
-	_handleAudioLevelObserver()
-	{
-		this._audioLevelObserver.on('volumes', (volumes) =>
-		{
-			const { producer, volume } = volumes[0];
+	/**
+	 * Close a DataProducer of a Broadcaster. Peers consuming it are notified as
+	 * when a Peer closes its DataProducer.
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} dataProducerId
+	 */
+	closeBroadcasterDataProducer({ broadcasterId, dataProducerId })
+	{
+		const broadcaster = this._broadcasters.get(broadcasterId);
+		const dataProducer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'dataProducers', id: dataProducerId });
 
-			// logger.debug(
-			// 	'audioLevelObserver "volumes" event [producerId:%s, volume:%s]',
-			// 	producer.id, volume);
+		dataProducer.close();
 
-			// Notify all Peers.
-			for (const peer of this._getJoinedPeers())
-			{
-				peer.notify(
-					'activeSpeaker',
-					{
-						peerId : producer.appData.peerId,
-						volume : volume
-					})
-					.catch(() => {});
-			}
-		});
+		// Remove from its map.
+		broadcaster.data.dataProducers.delete(dataProducer.id);
+	}
 
-		this._audioLevelObserver.on('silence', () =>
-		{
-			// logger.debug('audioLevelObserver "silence" event');
+	/**
+	 * Get the stats of a DataProducer of a Broadcaster.
+	 *
+	 * @async
+	 *
+	 * @type {String} broadcasterId
+	 * @type {String} dataProducerId
+	 */
+	async getBroadcasterDataProducerStats({ broadcasterId, dataProducerId })
+	{
+		const dataProducer = this._getBroadcasterEntity(
+			{ broadcasterId, type: 'dataProducers', id: dataProducerId });
 
-			// Notify all Peers.
-			for (const peer of this._getJoinedPeers())
-			{
-				peer.notify('activeSpeaker', { peerId: null })
-					.catch(() => {});
-			}
-		});
+		return dataProducer.getStats();
 	}
 
 	/**
-	 * Handle protoo requests from browsers.
+	 * Handle a request from another server node hosting this Room (see
+	 * server.js).
 	 *
 	 * @async
+	 *
+	 * @param {String} nodeId - Id of the requesting node.
+	 * @param {String} method
+	 * @param {Object} data
+	 *
+	 * @returns {Object} Data for the response.
 	 */
-	async _handleProtooRequest(peer, request, accept, reject)
+	async handleCascadeRequest({ nodeId, method, data })
 	{
-		switch (request.method)
-		{
-			case 'getRouterRtpCapabilities':
-			{
-				accept(this._mediasoupRouter.rtpCapabilities);
+		this._logger.debug(
+			'handleCascadeRequest() [roomId:%s, nodeId:%s, method:%s]',
+			this._roomId, nodeId, method);
 
-				break;
-			}
-
-			case 'join':
+		switch (method)
+		{
+			case 'getRoomState':
 			{
-				// Ensure the Peer is not already joined.
-				if (peer.data.joined)
-					throw new Error('Peer already joined');
-
-				const {
-					displayName,
-					device,
-					rtpCapabilities,
-					sctpCapabilities
-				} = request.data;
-
-				// Store client data into the protoo Peer data object.
-				peer.data.joined = true;
-				peer.data.displayName = displayName;
-				peer.data.device = device;
-				peer.data.rtpCapabilities = rtpCapabilities;
-				peer.data.sctpCapabilities = sctpCapabilities;
-
-				// Tell the new Peer about already joined Peers.
-				// And also create Consumers for existing Producers.
-
-				const joinedPeers =
+				// Just local Peers and Broadcasters (the requesting node asks each node
+				// for its own ones).
+				const peers =
 				[
 					...this._getJoinedPeers(),
+					...this._disconnectedPeers.values(),
 					...this._broadcasters.values()
 				];
 
-				// Reply now the request with the list of joined peers (all but the new one).
-				const peerInfos = joinedPeers
-					.filter((joinedPeer) => joinedPeer.id !== peer.id)
-					.map((joinedPeer) => ({
-						id          : joinedPeer.id,
-						displayName : joinedPeer.data.displayName,
-						device      : joinedPeer.data.device
-					}));
-
-				accept({ peers: peerInfos });
+				return {
+					peers : peers.map((peer) => (
+						{
+							...this._getCascadePeerInfo(peer),
+							producers : Array.from(peer.data.producers.keys())
+						}))
+				};
+			}
 
-				// Mark the new Peer as joined.
-				peer.data.joined = true;
+			case 'createPipeTransport':
+			{
+				const { ip, port } = data;
 
-				for (const joinedPeer of joinedPeers)
-				{
-					// Create Consumers for existing Producers.
-					for (const producer of joinedPeer.data.producers.values())
-					{
-						this._createConsumer(
-							{
-								consumerPeer : peer,
-								producerPeer : joinedPeer,
-								producer
-							});
-					}
+				// The node may have recreated its side of the pipe.
+				const existingTransport = this._cascadeSendTransports.get(nodeId);
 
-					// Create DataConsumers for existing DataProducers.
-					for (const dataProducer of joinedPeer.data.dataProducers.values())
-					{
-						if (dataProducer.label === 'bot')
-							continue;
+				if (existingTransport)
+					existingTransport.close();
 
-						this._createDataConsumer(
-							{
-								dataConsumerPeer : peer,
-								dataProducerPeer : joinedPeer,
-								dataProducer
-							});
-					}
-				}
+				const transport = await this._mediasoupRouter.createPipeTransport(
+					config.cascade.pipeTransportOptions);
 
-				// Create DataConsumers for bot DataProducer.
-				this._createDataConsumer(
-					{
-						dataConsumerPeer : peer,
-						dataProducerPeer : null,
-						dataProducer     : this._bot.dataProducer
-					});
+				this._cascadeSendTransports.set(nodeId, transport);
 
-				// Notify the new Peer to all other Peers.
-				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
+				transport.observer.once('close', () =>
 				{
-					otherPeer.notify(
-						'newPeer',
-						{
-							id          : peer.id,
-							displayName : peer.data.displayName,
-							device      : peer.data.device
-						})
-						.catch(() => {});
-				}
+					if (this._cascadeSendTransports.get(nodeId) === transport)
+						this._cascadeSendTransports.delete(nodeId);
+				});
 
-				break;
+				await transport.connect({ ip, port });
+
+				return {
+					ip   : transport.tuple.localIp,
+					port : transport.tuple.localPort
+				};
 			}
 
-			case 'createWebRtcTransport':
+			case 'consumePipe':
 			{
-				// NOTE: Don't require that the Peer is joined here, so the client can
-				// initiate mediasoup Transports and be ready when he later joins.
+				const { producerId } = data;
+				const transport = this._cascadeSendTransports.get(nodeId);
 
-				const {
-					forceTcp,
-					producing,
-					consuming,
-					sctpCapabilities
-				} = request.data;
+				if (!transport)
+					throw new Error(`no pipe transport for node "${nodeId}"`);
 
-				const webRtcTransportOptions =
-				{
-					...config.mediasoup.webRtcTransportOptions,
-					enableSctp     : Boolean(sctpCapabilities),
-					numSctpStreams : (sctpCapabilities || {}).numStreams,
-					appData        : { producing, consuming }
-				};
+				const producer = this._getLocalProducer(producerId);
 
-				if (forceTcp)
-				{
-					webRtcTransportOptions.enableUdp = false;
-					webRtcTransportOptions.enableTcp = true;
-				}
+				if (!producer)
+					throw new Error(`producer with id "${producerId}" not found`);
 
-				const transport = await this._mediasoupRouter.createWebRtcTransport(
-					webRtcTransportOptions);
+				const pipeConsumer = await transport.consume({ producerId });
 
-				transport.on('sctpstatechange', (sctpState) =>
+				// Relay the Producer state to the consuming node.
+				pipeConsumer.on('producerclose', () =>
 				{
-					logger.debug('WebRtcTransport "sctpstatechange" event [sctpState:%s]', sctpState);
+					this._cascadeNotify(
+						{ nodeId, method: 'pipeProducerClosed', data: { producerId } });
 				});
 
-				transport.on('dtlsstatechange', (dtlsState) =>
+				pipeConsumer.on('producerpause', () =>
 				{
-					if (dtlsState === 'failed' || dtlsState === 'closed')
-						logger.warn('WebRtcTransport "dtlsstatechange" event [dtlsState:%s]', dtlsState);
+					this._cascadeNotify(
+						{ nodeId, method: 'pipeProducerPaused', data: { producerId } });
 				});
 
-				// NOTE: For testing.
-				// await transport.enableTraceEvent([ 'probation', 'bwe' ]);
-				await transport.enableTraceEvent([ 'bwe' ]);
-
-				transport.on('trace', (trace) =>
+				pipeConsumer.on('producerresume', () =>
 				{
-					logger.debug(
-						'transport "trace" event [transportId:%s, trace.type:%s, trace:%o]',
-						transport.id, trace.type, trace);
-
-					if (trace.type === 'bwe' && trace.direction === 'out')
-					{
-						peer.notify(
-							'downlinkBwe',
-							{
-								desiredBitrate          : trace.info.desiredBitrate,
-								effectiveDesiredBitrate : trace.info.effectiveDesiredBitrate,
-								availableBitrate        : trace.info.availableBitrate
-							})
-							.catch(() => {});
-					}
+					this._cascadeNotify(
+						{ nodeId, method: 'pipeProducerResumed', data: { producerId } });
 				});
 
-				// Store the WebRtcTransport into the protoo Peer data Object.
-				peer.data.transports.set(transport.id, transport);
+				return {
+					kind          : pipeConsumer.kind,
+					rtpParameters : pipeConsumer.rtpParameters,
+					paused        : pipeConsumer.producerPaused,
+					appData       : producer.appData
+				};
+			}
 
-				accept(
-					{
-						id             : transport.id,
-						iceParameters  : transport.iceParameters,
-						iceCandidates  : transport.iceCandidates,
-						dtlsParameters : transport.dtlsParameters,
-						sctpParameters : transport.sctpParameters
-					});
+			default:
+			{
+				throw new Error(`unknown cascade request method "${method}"`);
+			}
+		}
+	}
 
-				const { maxIncomingBitrate } = config.mediasoup.webRtcTransportOptions;
+	/**
+	 * Handle a notification from another server node hosting this Room (see
+	 * server.js).
+	 *
+	 * @param {String} nodeId - Id of the notifying node.
+	 * @param {String} method
+	 * @param {Object} data
+	 */
+	handleCascadeNotification({ nodeId, method, data })
+	{
+		this._logger.debug(
+			'handleCascadeNotification() [roomId:%s, nodeId:%s, method:%s]',
+			this._roomId, nodeId, method);
 
-				// If set, apply max incoming bitrate limit.
-				if (maxIncomingBitrate)
-				{
-					try { await transport.setMaxIncomingBitrate(maxIncomingBitrate); }
-					catch (error) {}
-				}
+		switch (method)
+		{
+			case 'peerJoined':
+			{
+				this._addRemotePeer({ nodeId, peerInfo: data.peer });
 
 				break;
 			}
 
-			case 'connectWebRtcTransport':
+			case 'peerClosed':
 			{
-				const { transportId, dtlsParameters } = request.data;
-				const transport = peer.data.transports.get(transportId);
+				const remotePeer = this._remotePeers.get(data.peerId);
 
-				if (!transport)
-					throw new Error(`transport with id "${transportId}" not found`);
+				if (remotePeer && remotePeer.nodeId === nodeId)
+					this._removeRemotePeer(remotePeer);
 
-				await transport.connect({ dtlsParameters });
+				break;
+			}
 
-				accept();
+			case 'producerCreated':
+			{
+				const remotePeer = this._remotePeers.get(data.peerId);
+
+				if (remotePeer && remotePeer.nodeId === nodeId)
+					this._consumeRemoteProducer({ remotePeer, producerId: data.producerId });
 
 				break;
 			}
 
-			case 'restartIce':
+			case 'pipeProducerClosed':
+			case 'pipeProducerPaused':
+			case 'pipeProducerResumed':
 			{
-				const { transportId } = request.data;
-				const transport = peer.data.transports.get(transportId);
+				const producer = this._getRemoteProducer(data.producerId);
 
-				if (!transport)
-					throw new Error(`transport with id "${transportId}" not found`);
+				if (!producer)
+					break;
 
-				const iceParameters = await transport.restartIce();
+				if (method === 'pipeProducerClosed')
+					producer.close();
+				else if (method === 'pipeProducerPaused')
+					producer.pause().catch(() => {});
+				else
+					producer.resume().catch(() => {});
 
-				accept(iceParameters);
+				break;
+			}
+
+			case 'roomClosed':
+			{
+				this.handleCascadeNodeClosed(nodeId);
 
 				break;
 			}
 
-			case 'produce':
+			default:
 			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+				this._logger.warn(
+					'handleCascadeNotification() | unknown method "%s"', method);
+			}
+		}
+	}
 
-				const { transportId, kind, rtpParameters } = request.data;
-				let { appData } = request.data;
-				const transport = peer.data.transports.get(transportId);
+	/**
+	 * Called when a server node connects (see server.js). Get its Peers of this
+	 * Room (if it hosts it).
+	 */
+	handleCascadeNodeConnected(nodeId)
+	{
+		this._pullCascadeNode(nodeId);
+	}
 
-				if (!transport)
-					throw new Error(`transport with id "${transportId}" not found`);
+	/**
+	 * Called when a server node disconnects or closes this Room (see server.js).
+	 * Remove its Peers and close the PipeTransports with it.
+	 */
+	handleCascadeNodeClosed(nodeId)
+	{
+		for (const remotePeer of Array.from(this._remotePeers.values()))
+		{
+			if (remotePeer.nodeId === nodeId)
+				this._removeRemotePeer(remotePeer);
+		}
 
-				// Add peerId into appData to later get the associated Peer during
-				// the 'loudest' event of the audioLevelObserver.
-				appData = { ...appData, peerId: peer.id };
+		const recvTransportPromise = this._cascadeRecvTransports.get(nodeId);
 
-				const producer = await transport.produce(
-					{
-						kind,
-						rtpParameters,
-						appData
-						// keyFrameRequestDelay: 5000
-					});
+		if (recvTransportPromise)
+		{
+			this._cascadeRecvTransports.delete(nodeId);
 
-				// Store the Producer into the protoo Peer data Object.
-				peer.data.producers.set(producer.id, producer);
+			recvTransportPromise
+				.then((transport) => transport.close())
+				.catch(() => {});
+		}
 
-				// Set Producer events.
-				producer.on('score', (score) =>
-				{
-					// logger.debug(
-					// 	'producer "score" event [producerId:%s, score:%o]',
-					// 	producer.id, score);
+		const sendTransport = this._cascadeSendTransports.get(nodeId);
 
-					peer.notify('producerScore', { producerId: producer.id, score })
-						.catch(() => {});
-				});
+		if (sendTransport)
+			sendTransport.close();
+	}
 
-				producer.on('videoorientationchange', (videoOrientation) =>
-				{
-					logger.debug(
-						'producer "videoorientationchange" event [producerId:%s, videoOrientation:%o]',
-						producer.id, videoOrientation);
-				});
+	/**
+	 * Start the timers of the lifecycle policies of the Room.
+	 */
+	_handlePolicies()
+	{
+		const { emptyTimeout, maxDuration, maxDurationWarning } = this._policies;
 
-				// NOTE: For testing.
-				// await producer.enableTraceEvent([ 'rtp', 'keyframe', 'nack', 'pli', 'fir' ]);
-				// await producer.enableTraceEvent([ 'pli', 'fir' ]);
-				// await producer.enableTraceEvent([ 'keyframe' ]);
+		// Nobody produces yet.
+		this._updateIdleTimer();
 
-				producer.on('trace', (trace) =>
-				{
-					logger.debug(
-						'producer "trace" event [producerId:%s, trace.type:%s, trace:%o]',
-						producer.id, trace.type, trace);
-				});
+		// Nobody is in the room yet (i.e. if created via HTTP API), so close it
+		// unless someone enters in time.
+		if (emptyTimeout)
+			this._emptyTimer = setTimeout(() => this.close(), emptyTimeout);
 
-				accept({ id: producer.id });
+		if (!maxDuration)
+			return;
 
-				// Optimization: Create a server-side Consumer for each Peer.
-				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
+		if (maxDurationWarning && maxDurationWarning < maxDuration)
+		{
+			this._maxDurationTimers.push(setTimeout(() =>
+			{
+				for (const peer of this._getJoinedPeers())
 				{
-					this._createConsumer(
+					peer.notify(
+						'roomWillClose',
 						{
-							consumerPeer : otherPeer,
-							producerPeer : peer,
-							producer
-						});
-				}
-
-				// Add into the audioLevelObserver.
-				if (producer.kind === 'audio')
-				{
-					this._audioLevelObserver.addProducer({ producerId: producer.id })
+							reason    : 'maxDuration',
+							remaining : maxDurationWarning
+						})
 						.catch(() => {});
 				}
+			}, maxDuration - maxDurationWarning));
+		}
 
-				break;
-			}
-
-			case 'closeProducer':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
-
-				const { producerId } = request.data;
-				const producer = peer.data.producers.get(producerId);
+		this._maxDurationTimers.push(
+			setTimeout(() => this._closeByPolicy('maxDuration'), maxDuration));
+	}
 
-				if (!producer)
-					throw new Error(`producer with id "${producerId}" not found`);
+	/**
+	 * Start the idle timer if nobody produces in the Room, stop it otherwise.
+	 */
+	_updateIdleTimer()
+	{
+		const { idleTimeout } = this._policies;
 
-				producer.close();
+		if (!idleTimeout || this._closed)
+			return;
 
-				// Remove from its map.
-				peer.data.producers.delete(producer.id);
+		const producing = this._getProducerPeers()
+			.some((producerPeer) => Array.from(producerPeer.data.producers.values())
+				.some((producer) => !producer.closed));
 
-				accept();
+		if (producing)
+		{
+			clearTimeout(this._idleTimer);
+			this._idleTimer = null;
+		}
+		else if (!this._idleTimer)
+		{
+			this._idleTimer = setTimeout(() => this._closeByPolicy('idle'), idleTimeout);
+		}
+	}
 
-				break;
-			}
+	/**
+	 * Update the idle timer when the given Producer is created and closed.
+	 */
+	_handleProducerActivity(producer)
+	{
+		this._updateIdleTimer();
 
-			case 'pauseProducer':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+		producer.observer.once('close', () => this._updateIdleTimer());
+	}
 
-				const { producerId } = request.data;
-				const producer = peer.data.producers.get(producerId);
+	/**
+	 * Tell Peers why the Room is being closed and close it.
+	 *
+	 * @param {String} reason - 'idle' or 'maxDuration'.
+	 */
+	_closeByPolicy(reason)
+	{
+		if (this._closed)
+			return;
 
-				if (!producer)
-					throw new Error(`producer with id "${producerId}" not found`);
+		this._logger.info('closing the Room [roomId:%s, reason:%s]', this._roomId, reason);
 
-				await producer.pause();
+		// The notification is sent before the protoo Room closes the WebSockets.
+		for (const peer of this._getJoinedPeers())
+		{
+			peer.notify('roomClosed', { reason })
+				.catch(() => {});
+		}
 
-				accept();
+		this.close();
+	}
 
-				break;
-			}
+	_handleBroadcasterTimeouts()
+	{
+		const { keepAlive, rtp, checkInterval } = config.broadcasterTimeouts;
 
-			case 'resumeProducer':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+		if (!keepAlive && !rtp)
+			return;
 
-				const { producerId } = request.data;
-				const producer = peer.data.producers.get(producerId);
+		this._broadcastersCheckTimer = setInterval(() =>
+		{
+			this._checkBroadcasters()
+				.catch((error) =>
+				{
+					this._logger.error('_checkBroadcasters() failed: %o', error);
+				});
+		}, checkInterval);
+	}
 
-				if (!producer)
-					throw new Error(`producer with id "${producerId}" not found`);
+	/**
+	 * Delete Broadcasters that stopped sending keepalives, whose PlainTransports
+	 * with Producers stopped receiving RTP or whose WebRtcTransports lost ICE.
+	 *
+	 * @async
+	 */
+	async _checkBroadcasters()
+	{
+		const { keepAlive, rtp } = config.broadcasterTimeouts;
 
-				await producer.resume();
+		for (const broadcaster of Array.from(this._broadcasters.values()))
+		{
+			const { lastSeenAt, transports } = broadcaster.data;
+			let reason;
 
-				accept();
+			if (keepAlive && lastSeenAt && Date.now() - lastSeenAt > keepAlive)
+				reason = 'keepalive timeout';
 
-				break;
-			}
+			const plainTransports = Array.from(transports.values())
+				.filter((transport) =>
+					transport.appData.type === 'plain' &&
+					transport.appData.producerIds.size > 0);
 
-			case 'pauseConsumer':
+			if (!reason && rtp && plainTransports.length > 0)
 			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
-
-				const { consumerId } = request.data;
-				const consumer = peer.data.consumers.get(consumerId);
-
-				if (!consumer)
-					throw new Error(`consumer with id "${consumerId}" not found`);
+				for (const transport of plainTransports)
+				{
+					const [ stats ] = await transport.getStats();
 
-				await consumer.pause();
+					if (stats && stats.rtpBytesReceived > transport.appData.rtpBytesReceived)
+					{
+						transport.appData.rtpBytesReceived = stats.rtpBytesReceived;
+						transport.appData.rtpReceivedAt = Date.now();
+					}
+				}
 
-				accept();
+				const timedOut = plainTransports
+					.every((transport) => Date.now() - transport.appData.rtpReceivedAt > rtp);
 
-				break;
+				if (timedOut)
+					reason = 'RTP timeout';
 			}
 
-			case 'resumeConsumer':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+			const iceDisconnected = Array.from(transports.values())
+				.some((transport) =>
+					transport.appData.type === 'webrtc' &&
+					transport.appData.iceDisconnectedAt &&
+					Date.now() - transport.appData.iceDisconnectedAt > rtp);
 
-				const { consumerId } = request.data;
-				const consumer = peer.data.consumers.get(consumerId);
+			if (!reason && rtp && iceDisconnected)
+				reason = 'ICE timeout';
 
-				if (!consumer)
-					throw new Error(`consumer with id "${consumerId}" not found`);
+			// Deleted (or the Room closed) while awaiting.
+			if (!reason || this._broadcasters.get(broadcaster.id) !== broadcaster)
+				continue;
 
-				await consumer.resume();
+			this._logger.warn(
+				'deleting stale broadcaster [broadcasterId:%s, reason:%s]',
+				broadcaster.id, reason);
 
-				accept();
+			this.deleteBroadcaster({ broadcasterId: broadcaster.id });
+		}
+	}
 
-				break;
-			}
+	/**
+	 * Get a Producer, Consumer or DataProducer of a Broadcaster.
+	 *
+	 * @param {String} broadcasterId
+	 * @param {String} type - 'producers', 'consumers' or 'dataProducers'.
+	 * @param {String} id
+	 *
+	 * @throws {Error} with status 404 if not found.
+	 */
+	_getBroadcasterEntity({ broadcasterId, type, id })
+	{
+		const broadcaster = this._broadcasters.get(broadcasterId);
 
-			case 'setConsumerPreferredLayers':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+		if (!broadcaster)
+			throw new Error(`broadcaster with id "${broadcasterId}" does not exist`);
 
-				const { consumerId, spatialLayer, temporalLayer } = request.data;
-				const consumer = peer.data.consumers.get(consumerId);
+		const entity = broadcaster.data[type].get(id);
 
-				if (!consumer)
-					throw new Error(`consumer with id "${consumerId}" not found`);
+		if (!entity)
+		{
+			// 'producers' => 'producer' and so on.
+			const error = new Error(`${type.slice(0, -1)} with id "${id}" not found`);
 
-				await consumer.setPreferredLayers({ spatialLayer, temporalLayer });
+			error.status = 404;
+			throw error;
+		}
 
-				accept();
+		return entity;
+	}
 
-				break;
-			}
+	/**
+	 * Whether the Room has as many Peers as allowed.
+	 */
+	_isPeersLimitReached()
+	{
+		const { maxPeers } = this._policies;
 
-			case 'setConsumerPriority':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+		if (!maxPeers)
+			return false;
 
-				const { consumerId, priority } = request.data;
-				const consumer = peer.data.consumers.get(consumerId);
+		return this._getJoinedPeers().length + this._disconnectedPeers.size >= maxPeers;
+	}
 
-				if (!consumer)
-					throw new Error(`consumer with id "${consumerId}" not found`);
+	/**
+	 * Whether the Room has as many video Producers as allowed.
+	 */
+	_isVideoProducersLimitReached()
+	{
+		const { maxVideoProducers } = this._policies;
 
-				await consumer.setPriority(priority);
+		if (!maxVideoProducers)
+			return false;
 
-				accept();
+		let numVideoProducers = 0;
 
-				break;
+		for (const producerPeer of this._getProducerPeers())
+		{
+			for (const producer of producerPeer.data.producers.values())
+			{
+				if (producer.kind === 'video' && !producer.closed)
+					numVideoProducers++;
 			}
+		}
 
-			case 'requestConsumerKeyFrame':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+		return numVideoProducers >= maxVideoProducers;
+	}
 
-				const { consumerId } = request.data;
-				const consumer = peer.data.consumers.get(consumerId);
+	/**
+	 * Options to create a WebRtcTransport in a Router of the given mediasoup
+	 * Worker. If the Worker has a WebRtcServer, the transport uses its ports
+	 * instead of listening on its own.
+	 *
+	 * @param {mediasoup.Worker} worker
+	 *
+	 * @returns {Object}
+	 */
+	_getWebRtcTransportOptions(worker)
+	{
+		const { webRtcServer } = worker.appData;
 
-				if (!consumer)
-					throw new Error(`consumer with id "${consumerId}" not found`);
+		const webRtcTransportOptions = { ...config.mediasoup.webRtcTransportOptions };
 
-				await consumer.requestKeyFrame();
+		if (webRtcServer)
+		{
+			// The WebRtcServer listens instead.
+			delete webRtcTransportOptions.listenIps;
 
-				accept();
+			webRtcTransportOptions.webRtcServer = webRtcServer;
+		}
 
-				break;
-			}
+		return webRtcTransportOptions;
+	}
 
-			case 'produceData':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+	/**
+	 * Tell all Peers that the Room failed (so they can join again into a new
+	 * Room) and close it. Disconnected Peers will be told once they reconnect
+	 * (see server.js).
+	 *
+	 * @param {String} reason
+	 */
+	_fail(reason)
+	{
+		if (this._closed)
+			return;
 
-				const {
-					transportId,
-					sctpStreamParameters,
-					label,
-					protocol,
-					appData
-				} = request.data;
+		this._logger.error('Room failed, closing it [roomId:%s]: %s', this._roomId, reason);
 
-				const transport = peer.data.transports.get(transportId);
+		// The notification is sent before the protoo Room closes the WebSockets.
+		for (const peer of this._protooRoom.peers)
+		{
+			peer.notify('roomFailed', { reason })
+				.catch(() => {});
+		}
 
-				if (!transport)
-					throw new Error(`transport with id "${transportId}" not found`);
+		// Emit 'failed' event.
+		this.emit(
+			'failed',
+			{
+				reason,
+				disconnectedPeerIds : Array.from(this._disconnectedPeers.keys())
+			});
 
-				const dataProducer = await transport.produceData(
-					{
-						sctpStreamParameters,
-						label,
-						protocol,
-						appData
-					});
+		this.close();
+	}
 
-				// Store the Producer into the protoo Peer data Object.
-				peer.data.dataProducers.set(dataProducer.id, dataProducer);
+	_handleAudioLevelObserver()
+	{
+		this._audioLevelObserver.on('volumes', (volumes) =>
+		{
+			const { producer, volume } = volumes[0];
 
-				accept({ id: dataProducer.id });
+			// logger.debug(
+			// 	'audioLevelObserver "volumes" event [producerId:%s, volume:%s]',
+			// 	producer.id, volume);
 
-				switch (dataProducer.label)
-				{
-					case 'chat':
-					{
-						// Create a server-side DataConsumer for each Peer.
-						for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
-						{
-							this._createDataConsumer(
-								{
-									dataConsumerPeer : otherPeer,
-									dataProducerPeer : peer,
-									dataProducer
-								});
-						}
+			// Notify all Peers.
+			for (const peer of this._getJoinedPeers())
+			{
+				peer.notify(
+					'activeSpeaker',
+					{
+						peerId : producer.appData.peerId,
+						volume : volume
+					})
+					.catch(() => {});
+			}
+		});
+
+		this._audioLevelObserver.on('silence', () =>
+		{
+			// logger.debug('audioLevelObserver "silence" event');
+
+			// Notify all Peers.
+			for (const peer of this._getJoinedPeers())
+			{
+				peer.notify('activeSpeaker', { peerId: null })
+					.catch(() => {});
+			}
+		});
+	}
+
+	/**
+	 * Handle protoo requests from browsers.
+	 *
+	 * @async
+	 */
+	async _handleProtooRequest(peer, request, accept, reject)
+	{
+		if (!peer.data.rateLimiter.consume(request.method))
+		{
+			this._getRequestLogger(peer, request).warn(
+				'request rate limit exceeded [method:%s, peerId:%s]', request.method, peer.id);
+
+			reject(429, `too many "${request.method}" requests`);
+
+			return;
+		}
+
+		try
+		{
+			validation.validateRequest(request.method, request.data);
+		}
+		catch (error)
+		{
+			reject(400, error.message);
+
+			return;
+		}
+
+		if (!permissions.isAllowed(peer.data.role, request.method))
+		{
+			reject(403, `request "${request.method}" not allowed for role "${peer.data.role}"`);
+
+			return;
+		}
+
+		switch (request.method)
+		{
+			case 'getRouterRtpCapabilities':
+			{
+				accept(this._mediasoupRouter.rtpCapabilities);
+
+				break;
+			}
+
+			case 'join':
+			{
+				// Ensure the Peer is not already joined.
+				if (peer.data.joined)
+					throw new Error('Peer already joined');
+
+				// The Peer was just let in to resume a previous session.
+				if (peer.data.resumeOnly)
+				{
+					reject(403, 'room access denied');
+
+					break;
+				}
+
+				// A previous session of the Peer won't be resumed.
+				this._dropDisconnectedPeer(peer.id);
+
+				if (this._isPeersLimitReached())
+				{
+					reject(403, 'room is full');
+
+					break;
+				}
+
+				// If the Peer must wait in the lobby, keep its join data until a host
+				// admits it.
+				if (peer.data.lobby)
+				{
+					// Hosts were already told about it.
+					if (peer.data.lobbyJoinData)
+					{
+						reject(403, 'already waiting in the lobby');
 
 						break;
 					}
 
-					case 'bot':
+					const { displayName, device } = request.data;
+
+					peer.data.lobbyJoinData = request.data;
+					peer.data.displayName =
+						(peer.data.token && peer.data.token.displayName) || displayName;
+					peer.data.device = device;
+
+					accept({ lobby: true });
+
+					this._getRequestLogger(peer, request).info(
+						'Peer waiting in the lobby [peerId:%s, displayName:%s]',
+						peer.id, peer.data.displayName);
+
+					// Don't wait forever if no host admits it.
+					if (config.lobbyTimeout)
 					{
-						// Pass it to the bot.
-						this._bot.handlePeerDataProducer(
+						peer.data.lobbyTimer = setTimeout(() =>
+						{
+							peer.data.logger.info(
+								'Peer not admitted in time, denying it [peerId:%s]', peer.id);
+
+							this._denyLobbyPeer(peer, 'timeout');
+						}, config.lobbyTimeout);
+					}
+
+					for (const host of this._getHosts())
+					{
+						host.notify(
+							'lobbyPeerJoined',
 							{
-								dataProducerId : dataProducer.id,
-								peer
-							});
+								peerId      : peer.id,
+								displayName : peer.data.displayName,
+								device      : peer.data.device
+							})
+							.catch(() => {});
+					}
 
-						break;
+					break;
+				}
+
+				this._joinPeer({ peer, joinData: request.data, onJoined: accept });
+
+				break;
+			}
+
+			case 'resume':
+			{
+				// Ensure the Peer is not already joined.
+				if (peer.data.joined)
+					throw new Error('Peer already joined');
+
+				const { resumeToken } = request.data;
+				const disconnectedPeer = this._disconnectedPeers.get(peer.id);
+
+				// Compare hashes so both buffers have the same length.
+				if (
+					!disconnectedPeer ||
+					typeof resumeToken !== 'string' ||
+					!crypto.timingSafeEqual(
+						hashPassword(resumeToken),
+						hashPassword(disconnectedPeer.data.resumeToken))
+				)
+				{
+					reject(404, 'no session to resume');
+
+					break;
+				}
+
+				this._resumePeer({ peer, disconnectedPeer, onResumed: accept });
+
+				break;
+			}
+
+			case 'leave':
+			{
+				// The Peer is leaving on purpose, so don't keep its session when its
+				// WebSocket closes.
+				peer.data.leaving = true;
+
+				accept();
+
+				break;
+			}
+
+			case 'createWebRtcTransport':
+			{
+				// NOTE: Don't require that the Peer is joined here, so the client can
+				// initiate mediasoup Transports and be ready when he later joins.
+
+				// But a Peer waiting in the lobby must be admitted first.
+				if (peer.data.lobby)
+				{
+					reject(403, 'waiting in the lobby');
+
+					break;
+				}
+
+				const {
+					forceTcp,
+					producing,
+					consuming,
+					sctpCapabilities
+				} = request.data;
+
+				// A joined Peer creating a Transport replaces the one it has for the
+				// same direction (because it could not reconnect it). Closing it closes
+				// its Producers, Consumers, DataProducers and DataConsumers too.
+				if (peer.data.joined)
+				{
+					for (const oldTransport of peer.data.transports.values())
+					{
+						if (
+							Boolean(oldTransport.appData.producing) === Boolean(producing) &&
+							Boolean(oldTransport.appData.consuming) === Boolean(consuming)
+						)
+						{
+							oldTransport.close();
+							peer.data.transports.delete(oldTransport.id);
+						}
+					}
+				}
+
+				if (countOpen(peer.data.transports) >= config.peerLimits.maxTransports)
+				{
+					reject(403, 'too many transports');
+
+					break;
+				}
+
+				// Transports just for consuming go into the least loaded Router.
+				// The rest go into the main Router in which Producers live.
+				const routerInfo = consuming && !producing
+					? await this._getConsumingRouterInfo()
+					: this._routers.get(this._mediasoupRouter.id);
+
+				const webRtcTransportOptions =
+				{
+					...this._getWebRtcTransportOptions(routerInfo.worker),
+					enableSctp     : Boolean(sctpCapabilities),
+					numSctpStreams : (sctpCapabilities || {}).numStreams,
+					appData        : { producing, consuming, routerId: routerInfo.router.id }
+				};
+
+				if (forceTcp)
+				{
+					webRtcTransportOptions.enableUdp = false;
+					webRtcTransportOptions.enableTcp = true;
+				}
+
+				const transport = await routerInfo.router.createWebRtcTransport(
+					webRtcTransportOptions);
+
+				routerInfo.transports++;
+				transport.observer.once('close', () => routerInfo.transports--);
+
+				transport.on('sctpstatechange', (sctpState) =>
+				{
+					peer.data.logger.debug('WebRtcTransport "sctpstatechange" event [sctpState:%s]', sctpState);
+				});
+
+				transport.on('dtlsstatechange', (dtlsState) =>
+				{
+					if (dtlsState === 'failed' || dtlsState === 'closed')
+						peer.data.logger.warn('WebRtcTransport "dtlsstatechange" event [dtlsState:%s]', dtlsState);
+				});
+
+				// NOTE: For testing.
+				// await transport.enableTraceEvent([ 'probation', 'bwe' ]);
+				await transport.enableTraceEvent([ 'bwe' ]);
+
+				transport.on('trace', (trace) =>
+				{
+					peer.data.logger.debug(
+						'transport "trace" event [transportId:%s, trace.type:%s, trace:%o]',
+						transport.id, trace.type, trace);
+
+					if (trace.type === 'bwe' && trace.direction === 'out')
+					{
+						this._notifyPeer(
+							peer,
+							'downlinkBwe',
+							{
+								desiredBitrate          : trace.info.desiredBitrate,
+								effectiveDesiredBitrate : trace.info.effectiveDesiredBitrate,
+								availableBitrate        : trace.info.availableBitrate
+							})
+							.catch(() => {});
 					}
+				});
+
+				// Store the WebRtcTransport into the protoo Peer data Object.
+				peer.data.transports.set(transport.id, transport);
+
+				accept(
+					{
+						id             : transport.id,
+						iceParameters  : transport.iceParameters,
+						iceCandidates  : transport.iceCandidates,
+						dtlsParameters : transport.dtlsParameters,
+						sctpParameters : transport.sctpParameters,
+						iceServers     : iceServers.getIceServers({ user: peer.id })
+					});
+
+				// A joined Peer replacing its Transport for consuming gets again the
+				// Consumers it had in the old one.
+				if (peer.data.joined && consuming)
+					this._consumeMissing(peer);
+
+				const { maxIncomingBitrate } = config.mediasoup.webRtcTransportOptions;
+
+				// If set, apply max incoming bitrate limit.
+				if (maxIncomingBitrate)
+				{
+					try { await transport.setMaxIncomingBitrate(maxIncomingBitrate); }
+					catch (error) {}
 				}
 
 				break;
 			}
 
-			case 'changeDisplayName':
-			{
-				// Ensure the Peer is joined.
-				if (!peer.data.joined)
-					throw new Error('Peer not yet joined');
+			case 'connectWebRtcTransport':
+			{
+				const { transportId, dtlsParameters } = request.data;
+				const transport = peer.data.transports.get(transportId);
+
+				if (!transport)
+					throw new Error(`transport with id "${transportId}" not found`);
+
+				await transport.connect({ dtlsParameters });
+
+				accept();
+
+				break;
+			}
+
+			case 'restartIce':
+			{
+				const { transportId } = request.data;
+				const transport = peer.data.transports.get(transportId);
+
+				if (!transport)
+					throw new Error(`transport with id "${transportId}" not found`);
+
+				const iceParameters = await transport.restartIce();
+
+				accept(iceParameters);
+
+				break;
+			}
+
+			case 'produce':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { transportId, kind, rtpParameters } = request.data;
+				let { appData } = request.data;
+				const transport = peer.data.transports.get(transportId);
+
+				if (!transport)
+					throw new Error(`transport with id "${transportId}" not found`);
+
+				if (countOpen(peer.data.producers) >= config.peerLimits.maxProducers)
+				{
+					reject(403, 'too many producers');
+
+					break;
+				}
+
+				// Only some roles can share their screen.
+				if (
+					appData &&
+					appData.share &&
+					!permissions.isAllowed(peer.data.role, 'produceShare')
+				)
+				{
+					reject(403, `screen sharing not allowed for role "${peer.data.role}"`);
+
+					break;
+				}
+
+				if (kind === 'video' && this._isVideoProducersLimitReached())
+				{
+					reject(403, 'maximum number of video producers reached');
+
+					break;
+				}
+
+				// Add peerId into appData to later get the associated Peer during
+				// the 'loudest' event of the audioLevelObserver.
+				appData = { ...appData, peerId: peer.id };
+
+				const producer = await transport.produce(
+					{
+						kind,
+						rtpParameters,
+						appData
+						// keyFrameRequestDelay: 5000
+					});
+
+				// Store the Producer into the protoo Peer data Object.
+				peer.data.producers.set(producer.id, producer);
+
+				// Set Producer events.
+				producer.on('score', (score) =>
+				{
+					// logger.debug(
+					// 	'producer "score" event [producerId:%s, score:%o]',
+					// 	producer.id, score);
+
+					this._notifyPeer(
+						peer, 'producerScore', { producerId: producer.id, score })
+						.catch(() => {});
+				});
+
+				producer.on('videoorientationchange', (videoOrientation) =>
+				{
+					peer.data.logger.debug(
+						'producer "videoorientationchange" event [producerId:%s, videoOrientation:%o]',
+						producer.id, videoOrientation);
+				});
+
+				// NOTE: For testing.
+				// await producer.enableTraceEvent([ 'rtp', 'keyframe', 'nack', 'pli', 'fir' ]);
+				// await producer.enableTraceEvent([ 'pli', 'fir' ]);
+				// await producer.enableTraceEvent([ 'keyframe' ]);
+
+				producer.on('trace', (trace) =>
+				{
+					peer.data.logger.debug(
+						'producer "trace" event [producerId:%s, trace.type:%s, trace:%o]',
+						producer.id, trace.type, trace);
+				});
+
+				accept({ id: producer.id });
+
+				// Optimization: Create a server-side Consumer for each Peer.
+				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
+				{
+					this._createConsumer(
+						{
+							consumerPeer : otherPeer,
+							producerPeer : peer,
+							producer
+						});
+				}
+
+				// Add into the audioLevelObserver.
+				if (producer.kind === 'audio')
+				{
+					this._audioLevelObserver.addProducer({ producerId: producer.id })
+						.catch(() => {});
+				}
+
+				// Record it if the Room is being recorded.
+				this._recordProducer({ producer, peerId: peer.id });
+
+				this._sendProducerWebhooks({ producer, peerId: peer.id });
+
+				this._handleProducerActivity(producer);
+
+				// Emit 'newproducer' event.
+				this.emit('newproducer', { producer, peerId: peer.id });
+
+				// Let other server nodes consume it.
+				this._cascadeNotify(
+					{
+						method : 'producerCreated',
+						data   : { peerId: peer.id, producerId: producer.id }
+					});
+
+				break;
+			}
+
+			case 'closeProducer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { producerId } = request.data;
+				const producer = peer.data.producers.get(producerId);
+
+				if (!producer)
+					throw new Error(`producer with id "${producerId}" not found`);
+
+				producer.close();
+
+				// Remove from its map.
+				peer.data.producers.delete(producer.id);
+
+				accept();
+
+				break;
+			}
+
+			case 'pauseProducer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { producerId } = request.data;
+				const producer = peer.data.producers.get(producerId);
+
+				if (!producer)
+					throw new Error(`producer with id "${producerId}" not found`);
+
+				await producer.pause();
+
+				accept();
+
+				break;
+			}
+
+			case 'resumeProducer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { producerId } = request.data;
+				const producer = peer.data.producers.get(producerId);
+
+				if (!producer)
+					throw new Error(`producer with id "${producerId}" not found`);
+
+				await producer.resume();
+
+				accept();
+
+				break;
+			}
+
+			case 'pauseConsumer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { consumerId } = request.data;
+				const consumer = peer.data.consumers.get(consumerId);
+
+				if (!consumer)
+					throw new Error(`consumer with id "${consumerId}" not found`);
+
+				await consumer.pause();
+
+				accept();
+
+				break;
+			}
+
+			case 'resumeConsumer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { consumerId } = request.data;
+				const consumer = peer.data.consumers.get(consumerId);
+
+				if (!consumer)
+					throw new Error(`consumer with id "${consumerId}" not found`);
+
+				await consumer.resume();
+
+				accept();
+
+				break;
+			}
+
+			case 'setConsumerPreferredLayers':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { consumerId, spatialLayer, temporalLayer } = request.data;
+				const consumer = peer.data.consumers.get(consumerId);
+
+				if (!consumer)
+					throw new Error(`consumer with id "${consumerId}" not found`);
+
+				await consumer.setPreferredLayers({ spatialLayer, temporalLayer });
+
+				accept();
+
+				break;
+			}
+
+			case 'setConsumerPriority':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { consumerId, priority } = request.data;
+				const consumer = peer.data.consumers.get(consumerId);
+
+				if (!consumer)
+					throw new Error(`consumer with id "${consumerId}" not found`);
+
+				await consumer.setPriority(priority);
+
+				accept();
+
+				break;
+			}
+
+			case 'requestConsumerKeyFrame':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { consumerId } = request.data;
+				const consumer = peer.data.consumers.get(consumerId);
+
+				if (!consumer)
+					throw new Error(`consumer with id "${consumerId}" not found`);
+
+				await consumer.requestKeyFrame();
+
+				accept();
+
+				break;
+			}
+
+			case 'produceData':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const {
+					transportId,
+					sctpStreamParameters,
+					label,
+					protocol,
+					appData
+				} = request.data;
+
+				const transport = peer.data.transports.get(transportId);
+
+				if (!transport)
+					throw new Error(`transport with id "${transportId}" not found`);
+
+				if (
+					countOpen(peer.data.dataProducers) >=
+					config.peerLimits.maxDataProducers
+				)
+				{
+					reject(403, 'too many data producers');
+
+					break;
+				}
+
+				const dataProducer = await transport.produceData(
+					{
+						sctpStreamParameters,
+						label,
+						protocol,
+						appData
+					});
+
+				// Store the Producer into the protoo Peer data Object.
+				peer.data.dataProducers.set(dataProducer.id, dataProducer);
+
+				accept({ id: dataProducer.id });
+
+				switch (dataProducer.label)
+				{
+					case 'chat':
+					{
+						// Create a server-side DataConsumer for each Peer.
+						for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
+						{
+							this._createDataConsumer(
+								{
+									dataConsumerPeer : otherPeer,
+									dataProducerPeer : peer,
+									dataProducer
+								});
+						}
+
+						break;
+					}
+
+					case 'bot':
+					{
+						// Pass it to the bot.
+						this._bot.handlePeerDataProducer(
+							{
+								dataProducerId : dataProducer.id,
+								peer
+							});
+
+						break;
+					}
+				}
+
+				break;
+			}
+
+			case 'changeDisplayName':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { displayName } = request.data;
+				const oldDisplayName = peer.data.displayName;
+
+				// Store the display name into the custom data Object of the protoo
+				// Peer.
+				peer.data.displayName = displayName;
+
+				// Notify other joined Peers.
+				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
+				{
+					otherPeer.notify(
+						'peerDisplayNameChanged',
+						{
+							peerId : peer.id,
+							displayName,
+							oldDisplayName
+						})
+						.catch(() => {});
+				}
+
+				accept();
+
+				break;
+			}
+
+			case 'getTransportStats':
+			{
+				const { transportId } = request.data;
+				const transport = peer.data.transports.get(transportId);
+
+				if (!transport)
+					throw new Error(`transport with id "${transportId}" not found`);
+
+				const stats = await transport.getStats();
+
+				accept(stats);
+
+				break;
+			}
+
+			case 'getProducerStats':
+			{
+				const { producerId } = request.data;
+				const producer = peer.data.producers.get(producerId);
+
+				if (!producer)
+					throw new Error(`producer with id "${producerId}" not found`);
+
+				const stats = await producer.getStats();
+
+				accept(stats);
+
+				break;
+			}
+
+			case 'getConsumerStats':
+			{
+				const { consumerId } = request.data;
+				const consumer = peer.data.consumers.get(consumerId);
+
+				if (!consumer)
+					throw new Error(`consumer with id "${consumerId}" not found`);
+
+				const stats = await consumer.getStats();
+
+				accept(stats);
+
+				break;
+			}
+
+			case 'getDataProducerStats':
+			{
+				const { dataProducerId } = request.data;
+				const dataProducer = peer.data.dataProducers.get(dataProducerId);
+
+				if (!dataProducer)
+					throw new Error(`dataProducer with id "${dataProducerId}" not found`);
+
+				const stats = await dataProducer.getStats();
+
+				accept(stats);
+
+				break;
+			}
+
+			case 'getDataConsumerStats':
+			{
+				const { dataConsumerId } = request.data;
+				const dataConsumer = peer.data.dataConsumers.get(dataConsumerId);
+
+				if (!dataConsumer)
+					throw new Error(`dataConsumer with id "${dataConsumerId}" not found`);
+
+				const stats = await dataConsumer.getStats();
+
+				accept(stats);
+
+				break;
+			}
+
+			case 'startRecording':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				await this.startRecording();
+
+				accept();
+
+				break;
+			}
+
+			case 'stopRecording':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				this.stopRecording();
+
+				accept();
+
+				break;
+			}
+
+			case 'moderatorMutePeer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { peerId } = request.data;
+				const targetPeer = this._getModeratedPeer(peerId);
+
+				for (const producer of targetPeer.data.producers.values())
+				{
+					if (producer.kind === 'audio')
+						await this._moderatorPauseProducer({ peer: targetPeer, producer });
+				}
+
+				accept();
+
+				break;
+			}
+
+			case 'moderatorCloseProducer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { peerId, producerId } = request.data;
+				const targetPeer = this._getModeratedPeer(peerId);
+				const producer = targetPeer.data.producers.get(producerId);
+
+				if (!producer)
+					throw new Error(`producer with id "${producerId}" not found`);
+
+				producer.close();
+
+				// Remove from its map.
+				targetPeer.data.producers.delete(producer.id);
+
+				this._notifyPeer(targetPeer, 'producerClosedByModerator', { producerId })
+					.catch(() => {});
+
+				accept();
+
+				break;
+			}
+
+			case 'moderatorKickPeer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { peerId } = request.data;
+				const targetPeer = this._getModeratedPeer(peerId);
+
+				this._getRequestLogger(peer, request).info(
+					'moderatorKickPeer | kicking Peer [peerId:%s, moderatorPeerId:%s]',
+					targetPeer.id, peer.id);
+
+				accept();
+
+				// A disconnected Peer just loses its session.
+				if (this._disconnectedPeers.get(peerId) === targetPeer)
+				{
+					this._dropDisconnectedPeer(peerId);
+
+					break;
+				}
+
+				// Let the Peer know before closing it (this will notify others and
+				// close its mediasoup Transports).
+				await targetPeer.notify('peerKicked', {})
+					.catch(() => {});
+
+				targetPeer.data.leaving = true;
+				targetPeer.close();
+
+				break;
+			}
+
+			case 'admitPeer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { peerId } = request.data;
+				const lobbyPeer = this._getLobbyPeer(peerId);
+
+				if (this._isPeersLimitReached())
+				{
+					reject(403, 'room is full');
+
+					break;
+				}
+
+				this._getRequestLogger(peer, request).info(
+					'admitPeer | admitting Peer [peerId:%s, hostPeerId:%s]',
+					lobbyPeer.id, peer.id);
+
+				accept();
+
+				this._admitLobbyPeer(lobbyPeer);
+
+				break;
+			}
+
+			case 'denyPeer':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { peerId } = request.data;
+				const lobbyPeer = this._getLobbyPeer(peerId);
+
+				this._getRequestLogger(peer, request).info(
+					'denyPeer | denying Peer [peerId:%s, hostPeerId:%s]',
+					lobbyPeer.id, peer.id);
+
+				accept();
+
+				await this._denyLobbyPeer(lobbyPeer, 'host');
+
+				break;
+			}
+
+			case 'lockRoom':
+			case 'unlockRoom':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				this._locked = request.method === 'lockRoom';
+
+				this._getRequestLogger(peer, request).info(
+					'room %s [roomId:%s, peerId:%s]',
+					this._locked ? 'locked' : 'unlocked', this._roomId, peer.id);
+
+				accept();
+
+				this._notifyAccessState();
+
+				break;
+			}
+
+			case 'setRoomPassword':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const { password } = request.data;
+
+				if (password && typeof password !== 'string')
+					throw new TypeError('wrong password');
+
+				// An empty password removes it.
+				this._passwordHash = password ? hashPassword(password) : null;
+
+				this._getRequestLogger(peer, request).info(
+					'room password %s [roomId:%s, peerId:%s]',
+					password ? 'set' : 'removed', this._roomId, peer.id);
+
+				accept();
+
+				this._notifyAccessState();
+
+				break;
+			}
+
+			case 'moderatorMuteAll':
+			{
+				// Ensure the Peer is joined.
+				if (!peer.data.joined)
+					throw new Error('Peer not yet joined');
+
+				const targetPeers =
+				[
+					...this._getJoinedPeers({ excludePeer: peer }),
+					...this._disconnectedPeers.values()
+				];
+
+				for (const targetPeer of targetPeers)
+				{
+					for (const producer of targetPeer.data.producers.values())
+					{
+						if (producer.kind === 'audio')
+							await this._moderatorPauseProducer({ peer: targetPeer, producer });
+					}
+				}
+
+				accept();
+
+				break;
+			}
+
+			case 'applyNetworkThrottle':
+			{
+				const DefaultUplink = 1000000;
+				const DefaultDownlink = 1000000;
+				const DefaultRtt = 0;
+
+				const { uplink, downlink, rtt, secret } = request.data;
+
+				if (!secret || secret !== process.env.NETWORK_THROTTLE_SECRET)
+				{
+					reject(403, 'operation NOT allowed, modda fuckaa');
+
+					return;
+				}
+
+				try
+				{
+					await throttle.start(
+						{
+							up   : uplink || DefaultUplink,
+							down : downlink || DefaultDownlink,
+							rtt  : rtt || DefaultRtt
+						});
+
+					this._getRequestLogger(peer, request).warn(
+						'network throttle set [uplink:%s, downlink:%s, rtt:%s]',
+						uplink || DefaultUplink,
+						downlink || DefaultDownlink,
+						rtt || DefaultRtt);
+
+					accept();
+				}
+				catch (error)
+				{
+					this._getRequestLogger(peer, request).error('network throttle apply failed: %o', error);
+
+					reject(500, error.toString());
+				}
+
+				break;
+			}
+
+			case 'resetNetworkThrottle':
+			{
+				const { secret } = request.data;
+
+				if (!secret || secret !== process.env.NETWORK_THROTTLE_SECRET)
+				{
+					reject(403, 'operation NOT allowed, modda fuckaa');
+
+					return;
+				}
+
+				try
+				{
+					await throttle.stop({});
+
+					this._getRequestLogger(peer, request).warn('network throttle stopped');
+
+					accept();
+				}
+				catch (error)
+				{
+					this._getRequestLogger(peer, request).error('network throttle stop failed: %o', error);
+
+					reject(500, error.toString());
+				}
+
+				break;
+			}
+
+			default:
+			{
+				this._getRequestLogger(peer, request).error('unknown request.method "%s"', request.method);
+
+				reject(500, `unknown request.method "${request.method}"`);
+			}
+		}
+	}
+
+	/**
+	 * Get a logger whose entries carry the peerId and the method of the given
+	 * protoo request.
+	 */
+	_getRequestLogger(peer, request)
+	{
+		return peer.data.logger.child({ method: request.method });
+	}
+
+	/**
+	 * Get the role of a new Peer. It's taken from its access token (if any),
+	 * otherwise the first Peer in the Room becomes host and the rest get the
+	 * default role in the configuration file.
+	 */
+	_getInitialRole({ peer, token })
+	{
+		if (token && token.role === 'admin')
+			return 'host';
+		else if (token && permissions.isValidRole(token.role))
+			return token.role;
+
+		const otherPeers = this._protooRoom.peers
+			.filter((otherPeer) => otherPeer !== peer);
+
+		if (otherPeers.length === 0)
+			return 'host';
+
+		return permissions.isValidRole(config.defaultRole)
+			? config.defaultRole
+			: 'attendee';
+	}
+
+	/**
+	 * Get the role of a new Broadcaster. It's taken from the access token of the
+	 * request (if any), otherwise (or if the token has the 'admin' role) it's
+	 * presenter.
+	 */
+	_getBroadcasterRole(token)
+	{
+		if (!token || token.role === 'admin')
+			return 'presenter';
+		else if (permissions.isValidRole(token.role))
+			return token.role;
+
+		return permissions.isValidRole(config.defaultRole)
+			? config.defaultRole
+			: 'attendee';
+	}
+
+	/**
+	 * Make the given Peer join the Room (tell it about other Peers and create
+	 * Consumers for their Producers).
+	 *
+	 * @param {protoo.Peer} peer
+	 * @param {Object} joinData - Data of the protoo 'join' request.
+	 * @param {Function} onJoined - Called with the data to send back to the
+	 *   Peer before creating its Consumers.
+	 */
+	_joinPeer({ peer, joinData, onJoined })
+	{
+		const {
+			displayName,
+			device,
+			rtpCapabilities,
+			sctpCapabilities
+		} = joinData;
+
+		// Store client data into the protoo Peer data object. If the access
+		// token has a display name, it takes precedence.
+		peer.data.joined = true;
+		peer.data.resumeToken = crypto.randomBytes(16).toString('hex');
+		peer.data.displayName =
+			(peer.data.token && peer.data.token.displayName) || displayName;
+		peer.data.device = device;
+		peer.data.rtpCapabilities = rtpCapabilities;
+		peer.data.sctpCapabilities = sctpCapabilities;
+
+		// Tell the new Peer about already joined Peers.
+		// And also create Consumers for existing Producers.
+
+		const joinedPeers = this._getProducerPeers({ excludePeer: peer });
+
+		// Reply now the request with the list of joined peers (all but the new one).
+		onJoined(this._getJoinInfo(peer));
+
+		// Mark the new Peer as joined.
+		peer.data.joined = true;
+
+		for (const joinedPeer of joinedPeers)
+		{
+			// Create Consumers for existing Producers.
+			for (const producer of joinedPeer.data.producers.values())
+			{
+				this._createConsumer(
+					{
+						consumerPeer : peer,
+						producerPeer : joinedPeer,
+						producer
+					});
+			}
+
+			// Create DataConsumers for existing DataProducers.
+			for (const dataProducer of joinedPeer.data.dataProducers.values())
+			{
+				if (dataProducer.label === 'bot')
+					continue;
+
+				this._createDataConsumer(
+					{
+						dataConsumerPeer : peer,
+						dataProducerPeer : joinedPeer,
+						dataProducer
+					});
+			}
+		}
+
+		// Create DataConsumers for bot DataProducer.
+		this._createDataConsumer(
+			{
+				dataConsumerPeer : peer,
+				dataProducerPeer : null,
+				dataProducer     : this._bot.dataProducer
+			});
+
+		// Notify the new Peer to all other Peers.
+		for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
+		{
+			otherPeer.notify(
+				'newPeer',
+				{
+					id          : peer.id,
+					displayName : peer.data.displayName,
+					device      : peer.data.device,
+					role        : peer.data.role
+				})
+				.catch(() => {});
+		}
+
+		this._cascadeNotify(
+			{
+				method : 'peerJoined',
+				data   : { peer: this._getCascadePeerInfo(peer) }
+			});
+
+		webhooks.send(
+			'peer.joined',
+			{
+				roomId      : this._roomId,
+				peerId      : peer.id,
+				displayName : peer.data.displayName,
+				role        : peer.data.role
+			});
+	}
+
+	/**
+	 * Info about the Room sent to a Peer once it joins (or resumes its session).
+	 */
+	_getJoinInfo(peer)
+	{
+		const peerInfos = this._getProducerPeers({ excludePeer: peer })
+			.map((joinedPeer) => ({
+				id          : joinedPeer.id,
+				displayName : joinedPeer.data.displayName,
+				device      : joinedPeer.data.device,
+				role        : joinedPeer.data.role
+			}));
+
+		return {
+			peers       : peerInfos,
+			role        : peer.data.role,
+			recording   : Boolean(this._recorder),
+			locked      : this._locked,
+			hasPassword : Boolean(this._passwordHash),
+			lobbyPeers  : peer.data.role === 'host'
+				? this._getLobbyPeerInfos()
+				: [],
+			resumeToken : peer.data.resumeToken
+		};
+	}
+
+	/**
+	 * Close a Peer for good: notify others and close its mediasoup Transports.
+	 */
+	_closePeer(peer)
+	{
+		// If the Peer was joined, notify all Peers.
+		if (peer.data.joined)
+		{
+			for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
+			{
+				otherPeer.notify('peerClosed', { peerId: peer.id })
+					.catch(() => {});
+			}
+
+			this._cascadeNotify({ method: 'peerClosed', data: { peerId: peer.id } });
+
+			webhooks.send('peer.left', { roomId: this._roomId, peerId: peer.id });
+		}
+		// If it was waiting in the lobby, notify hosts.
+		else if (peer.data.lobby && peer.data.lobbyJoinData)
+		{
+			clearTimeout(peer.data.lobbyTimer);
+
+			this._notifyLobbyPeerLeft(peer);
+		}
+
+		// Iterate and close all mediasoup Transport associated to this Peer, so all
+		// its Producers and Consumers will also be closed.
+		for (const transport of peer.data.transports.values())
+		{
+			transport.close();
+		}
+
+		// If this is the latest Peer in the room, close the room (maybe after a
+		// while if so configured).
+		this._closeIfEmpty();
+	}
+
+	/**
+	 * Close the Room if there are no Peers (neither disconnected ones) nor
+	 * Broadcasters in it. If so configured, wait for a while in case someone
+	 * enters.
+	 */
+	_closeIfEmpty()
+	{
+		if (
+			this._closed ||
+			this._protooRoom.peers.length > 0 ||
+			this._disconnectedPeers.size > 0 ||
+			this._broadcasters.size > 0
+		)
+		{
+			return;
+		}
+
+		const { emptyTimeout } = this._policies;
+
+		if (!emptyTimeout || this._shuttingDown)
+		{
+			this._logger.info('room is empty, closing it [roomId:%s]', this._roomId);
+
+			this.close();
+
+			return;
+		}
+
+		this._logger.info(
+			'room is empty, closing it in %dms unless someone enters [roomId:%s]',
+			emptyTimeout, this._roomId);
+
+		clearTimeout(this._emptyTimer);
+		this._emptyTimer = setTimeout(() => this.close(), emptyTimeout);
+	}
+
+	/**
+	 * Keep the mediasoup Transports of a joined Peer whose WebSocket dropped
+	 * until it resumes its session or the resume timeout expires.
+	 */
+	_keepDisconnectedPeer(peer)
+	{
+		peer.data.logger.info(
+			'Peer disconnected, waiting for it to resume its session [peerId:%s]',
+			peer.id);
+
+		this._disconnectedPeers.set(peer.id, peer);
+
+		peer.data.resumeTimer = setTimeout(() =>
+		{
+			peer.data.logger.info('Peer did not resume its session [peerId:%s]', peer.id);
+
+			this._dropDisconnectedPeer(peer.id);
+		}, config.peerResumeTimeout);
+	}
+
+	/**
+	 * Close the disconnected Peer with the given id (if any).
+	 */
+	/**
+	 * Get the request RateLimiter of the given peerId, creating it if needed.
+	 * RateLimiters of gone Peers are dropped once all their buckets are full.
+	 *
+	 * @param {String} peerId
+	 *
+	 * @returns {RateLimiter}
+	 */
+	_getRateLimiter(peerId)
+	{
+		for (const [ id, rateLimiter ] of this._rateLimiters)
+		{
+			if (
+				id !== peerId &&
+				!this._protooRoom.hasPeer(id) &&
+				!this._disconnectedPeers.has(id) &&
+				rateLimiter.isIdle()
+			)
+			{
+				this._rateLimiters.delete(id);
+			}
+		}
+
+		let rateLimiter = this._rateLimiters.get(peerId);
+
+		if (!rateLimiter)
+		{
+			rateLimiter = new RateLimiter(config.peerLimits.requestRates);
+
+			this._rateLimiters.set(peerId, rateLimiter);
+		}
+
+		return rateLimiter;
+	}
+
+	_dropDisconnectedPeer(peerId)
+	{
+		const disconnectedPeer = this._disconnectedPeers.get(peerId);
+
+		if (!disconnectedPeer)
+			return;
+
+		clearTimeout(disconnectedPeer.data.resumeTimer);
+		this._disconnectedPeers.delete(peerId);
+
+		this._closePeer(disconnectedPeer);
+	}
+
+	/**
+	 * Attach the session of a disconnected Peer (its mediasoup Transports,
+	 * Producers and Consumers) to the new protoo Peer and tell it the current
+	 * state of the Room.
+	 *
+	 * @param {protoo.Peer} peer - The new protoo Peer.
+	 * @param {protoo.Peer} disconnectedPeer - The protoo Peer whose WebSocket
+	 *   dropped.
+	 * @param {Function} onResumed - Called with the data to send back to the
+	 *   Peer before creating its missing Consumers.
+	 */
+	_resumePeer({ peer, disconnectedPeer, onResumed })
+	{
+		peer.data.logger.info('Peer resumed its session [peerId:%s]', peer.id);
+
+		clearTimeout(disconnectedPeer.data.resumeTimer);
+		this._disconnectedPeers.delete(disconnectedPeer.id);
+
+		Object.assign(
+			peer.data,
+			disconnectedPeer.data,
+			{
+				token       : peer.data.token,
+				resumeOnly  : false,
+				resumeTimer : undefined
+			});
+
+		// Producers paused meanwhile (e.g. by a host) must be paused locally too.
+		const pausedProducerIds = Array.from(peer.data.producers.values())
+			.filter((producer) => producer.paused)
+			.map((producer) => producer.id);
+
+		onResumed(
+			{
+				...this._getJoinInfo(peer),
+				producerIds     : Array.from(peer.data.producers.keys()),
+				consumerIds     : Array.from(peer.data.consumers.keys()),
+				dataConsumerIds : Array.from(peer.data.dataConsumers.keys()),
+				pausedProducerIds
+			});
+
+		// Create Consumers for Producers created while the Peer was disconnected.
+		this._consumeMissing(peer);
+	}
+
+	/**
+	 * Create Consumers and DataConsumers for the Producers and DataProducers of
+	 * other Peers (and the bot) that the given Peer is not consuming yet.
+	 */
+	_consumeMissing(peer)
+	{
+		const consumedProducerIds = new Set(
+			Array.from(peer.data.consumers.values())
+				.map((consumer) => consumer.producerId));
+		const consumedDataProducerIds = new Set(
+			Array.from(peer.data.dataConsumers.values())
+				.map((dataConsumer) => dataConsumer.dataProducerId));
+
+		for (const joinedPeer of this._getProducerPeers({ excludePeer: peer }))
+		{
+			for (const producer of joinedPeer.data.producers.values())
+			{
+				if (consumedProducerIds.has(producer.id))
+					continue;
+
+				this._createConsumer(
+					{
+						consumerPeer : peer,
+						producerPeer : joinedPeer,
+						producer
+					});
+			}
+
+			for (const dataProducer of joinedPeer.data.dataProducers.values())
+			{
+				if (
+					dataProducer.label === 'bot' ||
+					consumedDataProducerIds.has(dataProducer.id)
+				)
+				{
+					continue;
+				}
+
+				this._createDataConsumer(
+					{
+						dataConsumerPeer : peer,
+						dataProducerPeer : joinedPeer,
+						dataProducer
+					});
+			}
+		}
+
+		if (!consumedDataProducerIds.has(this._bot.dataProducer.id))
+		{
+			this._createDataConsumer(
+				{
+					dataConsumerPeer : peer,
+					dataProducerPeer : null,
+					dataProducer     : this._bot.dataProducer
+				});
+		}
+	}
+
+	/**
+	 * Admit a Peer waiting in the lobby. It will then create its Transports and
+	 * send 'join' again.
+	 */
+	_admitLobbyPeer(peer)
+	{
+		clearTimeout(peer.data.lobbyTimer);
+
+		peer.data.lobby = false;
+		peer.data.lobbyJoinData = undefined;
+
+		this._notifyLobbyPeerLeft(peer);
+
+		peer.notify('lobbyAdmitted')
+			.catch(() => {});
+	}
+
+	/**
+	 * Deny a Peer waiting in the lobby and close it.
+	 *
+	 * @async
+	 *
+	 * @param {protoo.Peer} peer
+	 * @param {String} reason - 'host' (denied by a host) or 'timeout' (not
+	 *   admitted in time).
+	 */
+	async _denyLobbyPeer(peer, reason)
+	{
+		clearTimeout(peer.data.lobbyTimer);
+
+		await peer.notify('lobbyDenied', { reason })
+			.catch(() => {});
+
+		peer.close();
+	}
+
+	/**
+	 * Get info about the Peers waiting in the lobby.
+	 */
+	_getLobbyPeerInfos()
+	{
+		return this._protooRoom.peers
+			.filter((peer) => peer.data.lobby && peer.data.lobbyJoinData)
+			.map((peer) => (
+				{
+					peerId      : peer.id,
+					displayName : peer.data.displayName,
+					device      : peer.data.device
+				}));
+	}
+
+	/**
+	 * Get a Peer waiting in the lobby.
+	 */
+	_getLobbyPeer(peerId)
+	{
+		const lobbyPeer = this._protooRoom.getPeer(peerId);
+
+		if (!lobbyPeer || !lobbyPeer.data.lobby || !lobbyPeer.data.lobbyJoinData)
+			throw new Error(`peer with id "${peerId}" not in the lobby`);
+
+		return lobbyPeer;
+	}
+
+	_notifyLobbyPeerLeft(peer)
+	{
+		for (const host of this._getHosts())
+		{
+			host.notify('lobbyPeerLeft', { peerId: peer.id })
+				.catch(() => {});
+		}
+	}
+
+	/**
+	 * Helper to get the list of joined hosts.
+	 */
+	_getHosts()
+	{
+		return this._getJoinedPeers()
+			.filter((peer) => peer.data.role === 'host');
+	}
+
+	/**
+	 * Get the joined Peer targeted by a moderation request. It can also be a
+	 * disconnected Peer (so it does not escape moderation by resuming later).
+	 */
+	_getModeratedPeer(peerId)
+	{
+		const protooPeer = this._protooRoom.getPeer(peerId);
+		const targetPeer = protooPeer && protooPeer.data.joined
+			? protooPeer
+			: this._disconnectedPeers.get(peerId);
+
+		if (!targetPeer)
+			throw new Error(`peer with id "${peerId}" not found`);
+
+		return targetPeer;
+	}
+
+	/**
+	 * Get the protoo Peer currently attached to the session of the given one.
+	 * Event handlers of mediasoup entities reference the protoo Peer that
+	 * created them, but a Peer that resumed its session has a new one.
+	 *
+	 * @param {protoo.Peer} peer
+	 *
+	 * @returns {protoo.Peer|undefined} Nothing if the Peer is disconnected.
+	 */
+	_getSessionPeer(peer)
+	{
+		const sessionPeer = this._protooRoom.getPeer(peer.id);
+
+		// Same session if it has the same mediasoup Transports.
+		if (!sessionPeer || sessionPeer.data.transports !== peer.data.transports)
+			return undefined;
+
+		return sessionPeer;
+	}
+
+	/**
+	 * Send a notification to the session of the given Peer. If the Peer is
+	 * disconnected it's not sent (the Peer gets in sync when resuming).
+	 *
+	 * @async
+	 */
+	async _notifyPeer(peer, method, data)
+	{
+		const sessionPeer = this._getSessionPeer(peer);
+
+		if (!sessionPeer)
+			return;
+
+		await sessionPeer.notify(method, data);
+	}
+
+	/**
+	 * Send a request to the session of the given Peer.
+	 *
+	 * @async
+	 *
+	 * @returns {Object} Data in the response.
+	 */
+	async _requestPeer(peer, method, data)
+	{
+		const sessionPeer = this._getSessionPeer(peer);
+
+		if (!sessionPeer)
+			throw new Error(`Peer "${peer.id}" disconnected`);
+
+		return sessionPeer.request(method, data);
+	}
+
+	/**
+	 * Pause a Producer on behalf of a host and let its Peer know so it also
+	 * pauses it locally.
+	 *
+	 * @async
+	 */
+	async _moderatorPauseProducer({ peer, producer })
+	{
+		if (producer.paused)
+			return;
+
+		await producer.pause();
+
+		this._notifyPeer(peer, 'producerPausedByModerator', { producerId: producer.id })
+			.catch(() => {});
+	}
+
+	/**
+	 * Helper to get the list of joined protoo peers.
+	 */
+	_getJoinedPeers({ excludePeer = undefined } = {})
+	{
+		return this._protooRoom.peers
+			.filter((peer) => peer.data.joined && peer !== excludePeer);
+	}
+
+	/**
+	 * Helper to get everyone in the Room who may have Producers: joined and
+	 * disconnected Peers, Broadcasters and Peers in other server nodes.
+	 */
+	_getProducerPeers({ excludePeer = undefined } = {})
+	{
+		return [
+			...this._getJoinedPeers({ excludePeer }),
+			...this._disconnectedPeers.values(),
+			...this._broadcasters.values(),
+			...this._remotePeers.values()
+		];
+	}
+
+	/**
+	 * Helper to record a new Producer if the Room is being recorded.
+	 */
+	_recordProducer({ producer, peerId })
+	{
+		if (!this._recorder)
+			return;
+
+		this._recorder.addProducer({ producer, peerId })
+			.catch((error) =>
+			{
+				this._logger.error(
+					'_recordProducer() | failed [producerId:%s]: %o', producer.id, error);
+			});
+	}
+
+	/**
+	 * Helper to send webhook events when a Producer is created and closed.
+	 */
+	_sendProducerWebhooks({ producer, peerId })
+	{
+		const data =
+		{
+			roomId     : this._roomId,
+			peerId,
+			producerId : producer.id,
+			kind       : producer.kind
+		};
+
+		webhooks.send('producer.created', data);
+
+		producer.observer.once('close', () => webhooks.send('producer.closed', data));
+	}
+
+	/**
+	 * Helper to send a notification about this Room to another server node (or
+	 * to all of them if no nodeId is given).
+	 */
+	_cascadeNotify({ nodeId, method, data = {} })
+	{
+		if (!this._cascade)
+			return;
+
+		this._cascade.notify(
+			{
+				nodeId,
+				method,
+				data : { ...data, roomId: this._roomId }
+			});
+	}
+
+	/**
+	 * Info about a local Peer or Broadcaster sent to other server nodes.
+	 */
+	_getCascadePeerInfo(peer)
+	{
+		return {
+			id          : peer.id,
+			displayName : peer.data.displayName,
+			device      : peer.data.device,
+			role        : peer.data.role
+		};
+	}
+
+	/**
+	 * Get the Peers of this Room in the given server node and consume their
+	 * Producers.
+	 *
+	 * @async
+	 */
+	async _pullCascadeNode(nodeId)
+	{
+		let peers;
+
+		try
+		{
+			({ peers } = await this._cascade.request(
+				nodeId, 'getRoomState', { roomId: this._roomId }));
+		}
+		catch (error)
+		{
+			// The node does not host this Room.
+			this._logger.debug(
+				'_pullCascadeNode() | no Room state [nodeId:%s]: %s', nodeId, error.message);
+
+			return;
+		}
+
+		if (this._closed)
+			return;
+
+		for (const peerInfo of peers)
+		{
+			const remotePeer = this._addRemotePeer({ nodeId, peerInfo });
+
+			for (const producerId of peerInfo.producers)
+			{
+				this._consumeRemoteProducer({ remotePeer, producerId });
+			}
+		}
+	}
+
+	/**
+	 * Add a Peer (or Broadcaster) in another server node and notify local Peers.
+	 */
+	_addRemotePeer({ nodeId, peerInfo })
+	{
+		const { id, displayName, device, role } = peerInfo;
+		const existingRemotePeer = this._remotePeers.get(id);
+
+		if (existingRemotePeer)
+			this._removeRemotePeer(existingRemotePeer);
+
+		const remotePeer =
+		{
+			id,
+			nodeId,
+			data :
+			{
+				displayName,
+				device,
+				role,
+				producers     : new Map(),
+				dataProducers : new Map()
+			}
+		};
+
+		this._remotePeers.set(id, remotePeer);
+
+		for (const peer of this._getJoinedPeers())
+		{
+			peer.notify('newPeer', { id, displayName, device, role })
+				.catch(() => {});
+		}
+
+		return remotePeer;
+	}
+
+	/**
+	 * Remove a Peer (or Broadcaster) in another server node and notify local
+	 * Peers.
+	 */
+	_removeRemotePeer(remotePeer)
+	{
+		this._remotePeers.delete(remotePeer.id);
+
+		for (const producer of remotePeer.data.producers.values())
+		{
+			producer.close();
+		}
+
+		for (const peer of this._getJoinedPeers())
+		{
+			peer.notify('peerClosed', { peerId: remotePeer.id })
+				.catch(() => {});
+		}
+	}
+
+	/**
+	 * Get the PipeTransport receiving media from the given server node (create it
+	 * if it does not exist).
+	 *
+	 * @async
+	 *
+	 * @returns {mediasoup.PipeTransport}
+	 */
+	async _getCascadeRecvTransport(nodeId)
+	{
+		if (!this._cascadeRecvTransports.has(nodeId))
+		{
+			const promise = this._mediasoupRouter.createPipeTransport(
+				config.cascade.pipeTransportOptions)
+				.then(async (transport) =>
+				{
+					try
+					{
+						const { ip, port } = await this._cascade.request(
+							nodeId,
+							'createPipeTransport',
+							{
+								roomId : this._roomId,
+								ip     : transport.tuple.localIp,
+								port   : transport.tuple.localPort
+							});
+
+						await transport.connect({ ip, port });
+					}
+					catch (error)
+					{
+						transport.close();
+
+						throw error;
+					}
+
+					return transport;
+				});
+
+			this._cascadeRecvTransports.set(nodeId, promise);
+
+			promise
+				.then((transport) =>
+				{
+					transport.observer.once('close', () =>
+					{
+						if (this._cascadeRecvTransports.get(nodeId) === promise)
+							this._cascadeRecvTransports.delete(nodeId);
+					});
+				})
+				.catch(() =>
+				{
+					if (this._cascadeRecvTransports.get(nodeId) === promise)
+						this._cascadeRecvTransports.delete(nodeId);
+				});
+		}
+
+		return this._cascadeRecvTransports.get(nodeId);
+	}
 
-				const { displayName } = request.data;
-				const oldDisplayName = peer.data.displayName;
+	/**
+	 * Pipe a Producer of a Peer in another server node into this Room and create
+	 * Consumers of it for local Peers.
+	 *
+	 * @async
+	 */
+	async _consumeRemoteProducer({ remotePeer, producerId })
+	{
+		let producer;
 
-				// Store the display name into the custom data Object of the protoo
-				// Peer.
-				peer.data.displayName = displayName;
+		try
+		{
+			const transport = await this._getCascadeRecvTransport(remotePeer.nodeId);
+			const { kind, rtpParameters, paused, appData } = await this._cascade.request(
+				remotePeer.nodeId, 'consumePipe', { roomId: this._roomId, producerId });
 
-				// Notify other joined Peers.
-				for (const otherPeer of this._getJoinedPeers({ excludePeer: peer }))
+			producer = await transport.produce(
 				{
-					otherPeer.notify(
-						'peerDisplayNameChanged',
-						{
-							peerId : peer.id,
-							displayName,
-							oldDisplayName
-						})
-						.catch(() => {});
-				}
-
-				accept();
+					id      : producerId,
+					kind,
+					rtpParameters,
+					paused,
+					appData : { ...appData, peerId: remotePeer.id }
+				});
+		}
+		catch (error)
+		{
+			this._logger.warn('_consumeRemoteProducer() | failed:%o', error);
 
-				break;
-			}
+			return;
+		}
 
-			case 'getTransportStats':
-			{
-				const { transportId } = request.data;
-				const transport = peer.data.transports.get(transportId);
+		// The remote Peer may have left meanwhile.
+		if (this._remotePeers.get(remotePeer.id) !== remotePeer)
+		{
+			producer.close();
 
-				if (!transport)
-					throw new Error(`transport with id "${transportId}" not found`);
+			return;
+		}
 
-				const stats = await transport.getStats();
+		remotePeer.data.producers.set(producer.id, producer);
+		producer.observer.once('close', () => remotePeer.data.producers.delete(producer.id));
 
-				accept(stats);
+		for (const peer of this._getJoinedPeers())
+		{
+			this._createConsumer(
+				{
+					consumerPeer : peer,
+					producerPeer : remotePeer,
+					producer
+				});
+		}
 
-				break;
-			}
+		// Add into the audioLevelObserver.
+		if (producer.kind === 'audio')
+		{
+			this._audioLevelObserver.addProducer({ producerId: producer.id })
+				.catch(() => {});
+		}
 
-			case 'getProducerStats':
-			{
-				const { producerId } = request.data;
-				const producer = peer.data.producers.get(producerId);
+		// Record it if the Room is being recorded.
+		this._recordProducer({ producer, peerId: remotePeer.id });
 
-				if (!producer)
-					throw new Error(`producer with id "${producerId}" not found`);
+		this._handleProducerActivity(producer);
 
-				const stats = await producer.getStats();
+		// Emit 'newproducer' event.
+		this.emit('newproducer', { producer, peerId: remotePeer.id });
+	}
 
-				accept(stats);
+	/**
+	 * Get a Producer of a local Peer or Broadcaster.
+	 */
+	_getLocalProducer(producerId)
+	{
+		const peers =
+		[
+			...this._getJoinedPeers(),
+			...this._disconnectedPeers.values(),
+			...this._broadcasters.values()
+		];
+
+		for (const peer of peers)
+		{
+			const producer = peer.data.producers.get(producerId);
 
-				break;
-			}
+			if (producer)
+				return producer;
+		}
 
-			case 'getConsumerStats':
-			{
-				const { consumerId } = request.data;
-				const consumer = peer.data.consumers.get(consumerId);
+		return undefined;
+	}
 
-				if (!consumer)
-					throw new Error(`consumer with id "${consumerId}" not found`);
+	/**
+	 * Get a pipe Producer of a Peer in another server node.
+	 */
+	_getRemoteProducer(producerId)
+	{
+		for (const remotePeer of this._remotePeers.values())
+		{
+			const producer = remotePeer.data.producers.get(producerId);
 
-				const stats = await consumer.getStats();
+			if (producer)
+				return producer;
+		}
 
-				accept(stats);
+		return undefined;
+	}
 
-				break;
-			}
+	/**
+	 * Notify all Peers about the access state (locked and password) of the Room.
+	 */
+	_notifyAccessState()
+	{
+		for (const peer of this._getJoinedPeers())
+		{
+			peer.notify(
+				'roomAccessChanged',
+				{
+					locked      : this._locked,
+					hasPassword : Boolean(this._passwordHash)
+				})
+				.catch(() => {});
+		}
+	}
 
-			case 'getDataProducerStats':
-			{
-				const { dataProducerId } = request.data;
-				const dataProducer = peer.data.dataProducers.get(dataProducerId);
+	/**
+	 * Notify all Peers about the recording state of the Room.
+	 */
+	_notifyRecordingState()
+	{
+		for (const peer of this._getJoinedPeers())
+		{
+			peer.notify(
+				'recordingStateChanged', { recording: Boolean(this._recorder) })
+				.catch(() => {});
+		}
+	}
 
-				if (!dataProducer)
-					throw new Error(`dataProducer with id "${dataProducerId}" not found`);
+	/**
+	 * Get the least loaded Router for a new consuming Transport. If all of them
+	 * are full, create a new one in another mediasoup Worker (if any).
+	 *
+	 * @async
+	 *
+	 * @returns {Object} Item of this._routers.
+	 */
+	async _getConsumingRouterInfo()
+	{
+		const { maxConsumersPerRouter } = config.mediasoup;
+		const leastLoaded = Array.from(this._routers.values())
+			.reduce((a, b) => (b.consumers < a.consumers ? b : a));
 
-				const stats = await dataProducer.getStats();
+		if (!maxConsumersPerRouter || leastLoaded.consumers < maxConsumersPerRouter)
+			return leastLoaded;
 
-				accept(stats);
+		// Don't create several Routers at the same time.
+		if (!this._creatingRouter)
+		{
+			this._creatingRouter = this._createRouter()
+				.finally(() => (this._creatingRouter = null));
+		}
 
-				break;
-			}
+		try
+		{
+			return (await this._creatingRouter) || leastLoaded;
+		}
+		catch (error)
+		{
+			this._logger.error('_getConsumingRouterInfo() | failed to create Router:%o', error);
 
-			case 'getDataConsumerStats':
-			{
-				const { dataConsumerId } = request.data;
-				const dataConsumer = peer.data.dataConsumers.get(dataConsumerId);
+			return leastLoaded;
+		}
+	}
 
-				if (!dataConsumer)
-					throw new Error(`dataConsumer with id "${dataConsumerId}" not found`);
+	/**
+	 * Create an additional mediasoup Router in a Worker not yet used by the Room.
+	 *
+	 * @async
+	 *
+	 * @returns {Object} New item of this._routers or undefined if all Workers
+	 *   are already used.
+	 */
+	async _createRouter()
+	{
+		const usedWorkers = Array.from(this._routers.values())
+			.map(({ worker }) => worker);
+		let worker;
 
-				const stats = await dataConsumer.getStats();
+		for (let i = 0; i < config.mediasoup.numWorkers; ++i)
+		{
+			const candidate = this._getMediasoupWorker();
 
-				accept(stats);
+			if (!usedWorkers.includes(candidate))
+			{
+				worker = candidate;
 
 				break;
 			}
+		}
 
-			case 'applyNetworkThrottle':
-			{
-				const DefaultUplink = 1000000;
-				const DefaultDownlink = 1000000;
-				const DefaultRtt = 0;
+		if (!worker || this._closed)
+			return undefined;
 
-				const { uplink, downlink, rtt, secret } = request.data;
+		const { mediaCodecs } = config.mediasoup.routerOptions;
+		const router = await worker.createRouter({ mediaCodecs });
 
-				if (!secret || secret !== process.env.NETWORK_THROTTLE_SECRET)
-				{
-					reject(403, 'operation NOT allowed, modda fuckaa');
+		// Closed while awaiting.
+		if (this._closed)
+		{
+			router.close();
 
-					return;
-				}
+			return undefined;
+		}
 
-				try
-				{
-					await throttle.start(
-						{
-							up   : uplink || DefaultUplink,
-							down : downlink || DefaultDownlink,
-							rtt  : rtt || DefaultRtt
-						});
+		const routerInfo =
+		{
+			router,
+			worker,
+			pipes      : new Map(),
+			transports : 0,
+			consumers  : 0
+		};
 
-					logger.warn(
-						'network throttle set [uplink:%s, downlink:%s, rtt:%s]',
-						uplink || DefaultUplink,
-						downlink || DefaultDownlink,
-						rtt || DefaultRtt);
+		this._routers.set(router.id, routerInfo);
 
-					accept();
-				}
-				catch (error)
-				{
-					logger.error('network throttle apply failed: %o', error);
+		router.observer.once('close', () => this._routers.delete(router.id));
 
-					reject(500, error.toString());
-				}
+		// Consumers of Peers in this Router would be gone, so fail the whole Room.
+		router.on('workerclose', () => this._fail('mediasoup Worker died'));
 
-				break;
-			}
+		this._logger.info(
+			'_createRouter() | new Router [roomId:%s, routerId:%s, workerPid:%s]',
+			this._roomId, router.id, worker.pid);
 
-			case 'resetNetworkThrottle':
-			{
-				const { secret } = request.data;
+		return routerInfo;
+	}
 
-				if (!secret || secret !== process.env.NETWORK_THROTTLE_SECRET)
-				{
-					reject(403, 'operation NOT allowed, modda fuckaa');
+	/**
+	 * Pipe a Producer or DataProducer of the main Router into the given Router
+	 * (unless already done).
+	 *
+	 * @async
+	 */
+	async _pipeToRouter({ producerId, dataProducerId, routerInfo })
+	{
+		if (routerInfo.router === this._mediasoupRouter)
+			return;
 
-					return;
-				}
+		const id = producerId || dataProducerId;
 
-				try
+		if (!routerInfo.pipes.has(id))
+		{
+			const promise = this._mediasoupRouter.pipeToRouter(
 				{
-					await throttle.stop({});
+					producerId,
+					dataProducerId,
+					router : routerInfo.router
+				});
 
-					logger.warn('network throttle stopped');
+			routerInfo.pipes.set(id, promise);
 
-					accept();
-				}
-				catch (error)
+			promise
+				.then(({ pipeProducer, pipeDataProducer }) =>
 				{
-					logger.error('network throttle stop failed: %o', error);
-
-					reject(500, error.toString());
-				}
-
-				break;
-			}
-
-			default:
-			{
-				logger.error('unknown request.method "%s"', request.method);
+					const pipe = pipeProducer || pipeDataProducer;
 
-				reject(500, `unknown request.method "${request.method}"`);
-			}
+					pipe.observer.once('close', () => routerInfo.pipes.delete(id));
+				})
+				.catch(() => routerInfo.pipes.delete(id));
 		}
-	}
 
-	/**
-	 * Helper to get the list of joined protoo peers.
-	 */
-	_getJoinedPeers({ excludePeer = undefined } = {})
-	{
-		return this._protooRoom.peers
-			.filter((peer) => peer.data.joined && peer !== excludePeer);
+		await routerInfo.pipes.get(id);
 	}
 
 	/**
@@ -1560,21 +4713,26 @@ class Room extends EventEmitter
 
 		// Must take the Transport the remote Peer is using for consuming.
 		const transport = Array.from(consumerPeer.data.transports.values())
-			.find((t) => t.appData.consuming);
+			.find((t) => !t.closed && t.appData.consuming);
 
 		// This should not happen.
 		if (!transport)
 		{
-			logger.warn('_createConsumer() | Transport for consuming not found');
+			this._logger.warn('_createConsumer() | Transport for consuming not found');
 
 			return;
 		}
 
+		const routerInfo = this._routers.get(transport.appData.routerId);
+
 		// Create the Consumer in paused mode.
 		let consumer;
 
 		try
 		{
+			// If the Transport is in another Router, pipe the Producer into it.
+			await this._pipeToRouter({ producerId: producer.id, routerInfo });
+
 			consumer = await transport.consume(
 				{
 					producerId      : producer.id,
@@ -1584,7 +4742,7 @@ class Room extends EventEmitter
 		}
 		catch (error)
 		{
-			logger.warn('_createConsumer() | transport.consume():%o', error);
+			this._logger.warn('_createConsumer() | transport.consume():%o', error);
 
 			return;
 		}
@@ -1592,6 +4750,9 @@ class Room extends EventEmitter
 		// Store the Consumer into the protoo consumerPeer data Object.
 		consumerPeer.data.consumers.set(consumer.id, consumer);
 
+		routerInfo.consumers++;
+		consumer.observer.once('close', () => routerInfo.consumers--);
+
 		// Set Consumer events.
 		consumer.on('transportclose', () =>
 		{
@@ -1604,19 +4765,19 @@ class Room extends EventEmitter
 			// Remove from its map.
 			consumerPeer.data.consumers.delete(consumer.id);
 
-			consumerPeer.notify('consumerClosed', { consumerId: consumer.id })
+			this._notifyPeer(consumerPeer, 'consumerClosed', { consumerId: consumer.id })
 				.catch(() => {});
 		});
 
 		consumer.on('producerpause', () =>
 		{
-			consumerPeer.notify('consumerPaused', { consumerId: consumer.id })
+			this._notifyPeer(consumerPeer, 'consumerPaused', { consumerId: consumer.id })
 				.catch(() => {});
 		});
 
 		consumer.on('producerresume', () =>
 		{
-			consumerPeer.notify('consumerResumed', { consumerId: consumer.id })
+			this._notifyPeer(consumerPeer, 'consumerResumed', { consumerId: consumer.id })
 				.catch(() => {});
 		});
 
@@ -1626,13 +4787,15 @@ class Room extends EventEmitter
 			// 	'consumer "score" event [consumerId:%s, score:%o]',
 			// 	consumer.id, score);
 
-			consumerPeer.notify('consumerScore', { consumerId: consumer.id, score })
+			this._notifyPeer(
+				consumerPeer, 'consumerScore', { consumerId: consumer.id, score })
 				.catch(() => {});
 		});
 
 		consumer.on('layerschange', (layers) =>
 		{
-			consumerPeer.notify(
+			this._notifyPeer(
+				consumerPeer,
 				'consumerLayersChanged',
 				{
 					consumerId    : consumer.id,
@@ -1649,7 +4812,7 @@ class Room extends EventEmitter
 
 		consumer.on('trace', (trace) =>
 		{
-			logger.debug(
+			this._logger.debug(
 				'consumer "trace" event [producerId:%s, trace.type:%s, trace:%o]',
 				consumer.id, trace.type, trace);
 		});
@@ -1657,7 +4820,8 @@ class Room extends EventEmitter
 		// Send a protoo request to the remote Peer with Consumer parameters.
 		try
 		{
-			await consumerPeer.request(
+			await this._requestPeer(
+				consumerPeer,
 				'newConsumer',
 				{
 					peerId         : producerPeer.id,
@@ -1676,7 +4840,8 @@ class Room extends EventEmitter
 			// and associate it.
 			await consumer.resume();
 
-			consumerPeer.notify(
+			this._notifyPeer(
+				consumerPeer,
 				'consumerScore',
 				{
 					consumerId : consumer.id,
@@ -1686,7 +4851,7 @@ class Room extends EventEmitter
 		}
 		catch (error)
 		{
-			logger.warn('_createConsumer() | failed:%o', error);
+			this._logger.warn('_createConsumer() | failed:%o', error);
 		}
 	}
 
@@ -1708,21 +4873,26 @@ class Room extends EventEmitter
 
 		// Must take the Transport the remote Peer is using for consuming.
 		const transport = Array.from(dataConsumerPeer.data.transports.values())
-			.find((t) => t.appData.consuming);
+			.find((t) => !t.closed && t.appData.consuming);
 
 		// This should not happen.
 		if (!transport)
 		{
-			logger.warn('_createDataConsumer() | Transport for consuming not found');
+			this._logger.warn('_createDataConsumer() | Transport for consuming not found');
 
 			return;
 		}
 
+		const routerInfo = this._routers.get(transport.appData.routerId);
+
 		// Create the DataConsumer.
 		let dataConsumer;
 
 		try
 		{
+			// If the Transport is in another Router, pipe the DataProducer into it.
+			await this._pipeToRouter({ dataProducerId: dataProducer.id, routerInfo });
+
 			dataConsumer = await transport.consumeData(
 				{
 					dataProducerId : dataProducer.id
@@ -1730,7 +4900,7 @@ class Room extends EventEmitter
 		}
 		catch (error)
 		{
-			logger.warn('_createDataConsumer() | transport.consumeData():%o', error);
+			this._logger.warn('_createDataConsumer() | transport.consumeData():%o', error);
 
 			return;
 		}
@@ -1738,6 +4908,9 @@ class Room extends EventEmitter
 		// Store the DataConsumer into the protoo dataConsumerPeer data Object.
 		dataConsumerPeer.data.dataConsumers.set(dataConsumer.id, dataConsumer);
 
+		routerInfo.consumers++;
+		dataConsumer.observer.once('close', () => routerInfo.consumers--);
+
 		// Set DataConsumer events.
 		dataConsumer.on('transportclose', () =>
 		{
@@ -1750,15 +4923,16 @@ class Room extends EventEmitter
 			// Remove from its map.
 			dataConsumerPeer.data.dataConsumers.delete(dataConsumer.id);
 
-			dataConsumerPeer.notify(
-				'dataConsumerClosed', { dataConsumerId: dataConsumer.id })
+			this._notifyPeer(
+				dataConsumerPeer, 'dataConsumerClosed', { dataConsumerId: dataConsumer.id })
 				.catch(() => {});
 		});
 
 		// Send a protoo request to the remote Peer with Consumer parameters.
 		try
 		{
-			await dataConsumerPeer.request(
+			await this._requestPeer(
+				dataConsumerPeer,
 				'newDataConsumer',
 				{
 					// This is null for bot DataProducer.
@@ -1773,9 +4947,37 @@ class Room extends EventEmitter
 		}
 		catch (error)
 		{
-			logger.warn('_createDataConsumer() | failed:%o', error);
+			this._logger.warn('_createDataConsumer() | failed:%o', error);
 		}
 	}
 }
 
+function hashPassword(password)
+{
+	return crypto.createHash('sha256')
+		.update(password)
+		.digest();
+}
+
+/**
+ * Number of mediasoup entities (Transports, Producers, etc) in the given Map
+ * that are not closed.
+ */
+function countOpen(entities)
+{
+	return Array.from(entities.values())
+		.filter((entity) => !entity.closed)
+		.length;
+}
+
+function createAccessError(message, reason, status)
+{
+	const error = new Error(message);
+
+	error.status = status;
+	error.reason = reason;
+
+	return error;
+}
+
 module.exports = Room;
@@ -0,0 +1,397 @@
+const EventEmitter = require('events').EventEmitter;
+const crypto = require('crypto');
+const Logger = require('./Logger');
+const sdp = require('./sdp');
+
+const logger = new Logger('WhepSession');
+
+/**
+ * WhepSession class.
+ *
+ * WHEP (WebRTC-HTTP egress protocol) session that lets a plain player watch a
+ * Room. It's a consume-only Broadcaster with a WebRtcTransport in which each
+ * media section offered by the player is a slot that consumes a Producer of
+ * its kind (optionally just those of a given Peer or a given Producer). When
+ * the Consumer of a slot is closed (for instance because its Producer was
+ * closed) the slot takes another Producer (if any).
+ */
+class WhepSession extends EventEmitter
+{
+	/**
+	 * Factory function that creates and returns WhepSession instance.
+	 *
+	 * @async
+	 *
+	 * @param {Room} room
+	 * @param {String} [id] - Id of the Broadcaster (otherwise a random one).
+	 * @param {String} sdpOffer - SDP offer of the player.
+	 * @param {String} [displayName]
+	 * @param {String} [peerId] - Just consume Producers of this Peer.
+	 * @param {String} [producerId] - Just consume this Producer.
+	 * @param {Object} [token] - Verified access token of the request (if any).
+	 */
+	static async create(
+		{
+			room,
+			id = `whep-${crypto.randomBytes(8).toString('hex')}`,
+			sdpOffer,
+			displayName = 'WHEP',
+			peerId,
+			producerId,
+			token
+		})
+	{
+		const offer = sdp.parseOffer(sdpOffer);
+		const dtlsParameters = sdp.getDtlsParameters(offer);
+		const routerRtpCapabilities = room.getRouterRtpCapabilities();
+		const sections = new Map();
+		const rtpCapabilities = { codecs: [], headerExtensions: [] };
+
+		for (const media of offer.media)
+		{
+			if (media.type !== 'audio' && media.type !== 'video')
+				continue;
+
+			if (media.direction !== 'recvonly' && media.direction !== 'sendrecv')
+				continue;
+
+			const consumerRtpCapabilities = sdp.getConsumerRtpCapabilities(
+				{
+					media,
+					rtpCapabilities : routerRtpCapabilities
+				});
+
+			if (!consumerRtpCapabilities)
+				continue;
+
+			sections.set(
+				String(media.mid),
+				{
+					direction       : 'sendonly',
+					rtpCapabilities : consumerRtpCapabilities
+				});
+
+			// Capabilities of the Broadcaster are those of all its media sections.
+			for (const codec of consumerRtpCapabilities.codecs)
+			{
+				if (
+					!rtpCapabilities.codecs
+						.some((c) => c.preferredPayloadType === codec.preferredPayloadType)
+				)
+				{
+					rtpCapabilities.codecs.push(codec);
+				}
+			}
+
+			for (const ext of consumerRtpCapabilities.headerExtensions)
+			{
+				if (
+					!rtpCapabilities.headerExtensions
+						.some((e) => e.kind === ext.kind && e.uri === ext.uri)
+				)
+				{
+					rtpCapabilities.headerExtensions.push(ext);
+				}
+			}
+		}
+
+		if (sections.size === 0)
+			throw new TypeError('wrong SDP offer, no media can be sent');
+
+		await room.createBroadcaster(
+			{
+				id,
+				displayName,
+				device : { name: 'WHEP' },
+				rtpCapabilities,
+				token
+			});
+
+		try
+		{
+			const transport = await room.createBroadcasterTransport(
+				{
+					broadcasterId : id,
+					type          : 'webrtc'
+				});
+
+			await room.connectBroadcasterTransport(
+				{
+					broadcasterId : id,
+					transportId   : transport.id,
+					dtlsParameters
+				});
+
+			const answer = sdp.createAnswer(
+				{
+					offer,
+					iceParameters  : transport.iceParameters,
+					iceCandidates  : transport.iceCandidates,
+					dtlsParameters : transport.dtlsParameters,
+					remoteDtlsRole : dtlsParameters.role,
+					sections
+				});
+
+			const session = new WhepSession(
+				{
+					room,
+					id,
+					transportId : transport.id,
+					answer,
+					peerId,
+					producerId,
+					slots       : Array.from(sections.keys())
+						.map((mid) => (
+							{
+								mid,
+								kind : offer.media
+									.find((media) => String(media.mid) === mid).type
+							}))
+				});
+
+			await session._fillSlots();
+
+			return session;
+		}
+		catch (error)
+		{
+			room.deleteBroadcaster({ broadcasterId: id });
+
+			throw error;
+		}
+	}
+
+	constructor({ room, id, transportId, answer, peerId, producerId, slots })
+	{
+		super();
+
+		// Room instance.
+		// @type {Room}
+		this._room = room;
+
+		// Id of the session (and of its Broadcaster).
+		// @type {String}
+		this._id = id;
+
+		// Id of the WebRtcTransport of the Broadcaster.
+		// @type {String}
+		this._transportId = transportId;
+
+		// SDP answer.
+		// @type {String}
+		this._answer = answer;
+
+		// Peer whose Producers are consumed (if any).
+		// @type {String}
+		this._peerId = peerId;
+
+		// Producer consumed (if any).
+		// @type {String}
+		this._producerId = producerId;
+
+		// Slots (one per media section). Each Object has:
+		// - {String} mid
+		// - {String} kind
+		// - {String} [producerId] - Producer being consumed.
+		// - {String} [consumerId] - Consumer of the Producer.
+		// @type {Array<Object>}
+		this._slots = slots;
+
+		// Closed flag.
+		// @type {Boolean}
+		this._closed = false;
+
+		// Whether the Broadcaster was deleted by other means (so it must not be
+		// deleted when closing).
+		// @type {Boolean}
+		this._broadcasterDeleted = false;
+
+		// Logger whose entries carry the session id.
+		// @type {Logger}
+		this._logger = logger.child({ roomId: room.id, whepSessionId: id });
+
+		this._onRoomNewProducer = this._onRoomNewProducer.bind(this);
+		this._onRoomBroadcasterConsumerClosed =
+			this._onRoomBroadcasterConsumerClosed.bind(this);
+		this._onRoomBroadcasterDeleted = this._onRoomBroadcasterDeleted.bind(this);
+		this._onRoomClose = this.close.bind(this);
+
+		this._room.on('newproducer', this._onRoomNewProducer);
+		this._room.on('broadcasterconsumerclosed', this._onRoomBroadcasterConsumerClosed);
+		this._room.on('broadcasterdeleted', this._onRoomBroadcasterDeleted);
+		this._room.on('close', this._onRoomClose);
+	}
+
+	get id()
+	{
+		return this._id;
+	}
+
+	get answer()
+	{
+		return this._answer;
+	}
+
+	/**
+	 * Closes the session and deletes its Broadcaster.
+	 */
+	close()
+	{
+		if (this._closed)
+			return;
+
+		this._logger.debug('close()');
+
+		this._closed = true;
+
+		this._room.off('newproducer', this._onRoomNewProducer);
+		this._room.off('broadcasterconsumerclosed', this._onRoomBroadcasterConsumerClosed);
+		this._room.off('broadcasterdeleted', this._onRoomBroadcasterDeleted);
+		this._room.off('close', this._onRoomClose);
+
+		if (!this._room.closed && !this._broadcasterDeleted)
+			this._room.deleteBroadcaster({ broadcasterId: this._id });
+
+		// Emit 'close' event.
+		this.emit('close');
+	}
+
+	_onRoomBroadcasterDeleted({ broadcasterId })
+	{
+		if (broadcasterId !== this._id)
+			return;
+
+		this._logger.debug(
+			'_onRoomBroadcasterDeleted() | Broadcaster deleted by other means, closing');
+
+		this._broadcasterDeleted = true;
+
+		this.close();
+	}
+
+	_onRoomBroadcasterConsumerClosed({ broadcasterId, consumerId, producerId })
+	{
+		if (broadcasterId !== this._id)
+			return;
+
+		const slot = this._slots.find((s) => s.consumerId === consumerId);
+
+		if (!slot)
+			return;
+
+		this._logger.debug(
+			'Consumer closed, filling its slot [mid:%s, consumerId:%s]', slot.mid, consumerId);
+
+		slot.producerId = undefined;
+		slot.consumerId = undefined;
+
+		// If the Consumer was closed on purpose (its Producer is still open) take
+		// another Producer.
+		this._fillSlots({ excludedProducerId: producerId })
+			.catch(() => {});
+	}
+
+	_onRoomNewProducer({ producer, peerId })
+	{
+		if (!this._accepts({ producer, peerId }))
+			return;
+
+		const slot = this._slots
+			.find((s) => s.kind === producer.kind && !s.producerId);
+
+		if (!slot)
+			return;
+
+		this._consume({ slot, producer })
+			.catch((error) =>
+			{
+				this._logger.warn('_consume() failed: %o', error);
+			});
+	}
+
+	/**
+	 * Make every empty slot consume a Producer not consumed by other slot.
+	 *
+	 * @async
+	 *
+	 * @param {String} [excludedProducerId] - Producer not to consume.
+	 */
+	async _fillSlots({ excludedProducerId } = {})
+	{
+		for (const slot of this._slots)
+		{
+			if (slot.producerId)
+				continue;
+
+			const candidates = this._room.getProducers(
+				{
+					peerId     : this._peerId,
+					producerId : this._producerId
+				})
+				.filter(({ producer, peerId }) =>
+					producer.kind === slot.kind &&
+					producer.id !== excludedProducerId &&
+					this._accepts({ producer, peerId }));
+
+			for (const { producer } of candidates)
+			{
+				try
+				{
+					await this._consume({ slot, producer });
+
+					break;
+				}
+				catch (error)
+				{
+					this._logger.warn(
+						'_fillSlots() | cannot consume Producer [producerId:%s]: %o',
+						producer.id, error);
+				}
+			}
+		}
+	}
+
+	_accepts({ producer, peerId })
+	{
+		if (this._peerId && peerId !== this._peerId)
+			return false;
+
+		if (this._producerId && producer.id !== this._producerId)
+			return false;
+
+		// Don't consume the same Producer twice.
+		return !this._slots.some((s) => s.producerId === producer.id);
+	}
+
+	async _consume({ slot, producer })
+	{
+		// Take the slot while awaiting.
+		slot.producerId = producer.id;
+
+		let consumer;
+
+		try
+		{
+			consumer = await this._room.createBroadcasterConsumer(
+				{
+					broadcasterId : this._id,
+					transportId   : this._transportId,
+					producerId    : producer.id,
+					mid           : slot.mid
+				});
+		}
+		catch (error)
+		{
+			slot.producerId = undefined;
+
+			throw error;
+		}
+
+		this._logger.debug(
+			'consuming Producer [mid:%s, producerId:%s]', slot.mid, producer.id);
+
+		slot.consumerId = consumer.id;
+	}
+}
+
+module.exports = WhepSession;
@@ -0,0 +1,198 @@
+const EventEmitter = require('events').EventEmitter;
+const crypto = require('crypto');
+const Logger = require('./Logger');
+const sdp = require('./sdp');
+
+const logger = new Logger('WhipSession');
+
+/**
+ * WhipSession class.
+ *
+ * WHIP (WebRTC-HTTP ingestion protocol) session that lets a plain encoder
+ * (OBS, GStreamer, a browser...) publish into a Room. It's a Broadcaster with
+ * a WebRtcTransport in which each media section offered by the encoder is
+ * ingested as a Producer.
+ */
+class WhipSession extends EventEmitter
+{
+	/**
+	 * Factory function that creates and returns WhipSession instance.
+	 *
+	 * @async
+	 *
+	 * @param {Room} room
+	 * @param {String} [id] - Id of the Broadcaster (otherwise a random one).
+	 * @param {String} sdpOffer - SDP offer of the encoder.
+	 * @param {String} [displayName]
+	 * @param {Object} [token] - Verified access token of the request (if any).
+	 */
+	static async create(
+		{
+			room,
+			id = `whip-${crypto.randomBytes(8).toString('hex')}`,
+			sdpOffer,
+			displayName = 'WHIP',
+			token
+		})
+	{
+		const offer = sdp.parseOffer(sdpOffer);
+		const dtlsParameters = sdp.getDtlsParameters(offer);
+		const rtpCapabilities = room.getRouterRtpCapabilities();
+
+		await room.createBroadcaster(
+			{
+				id,
+				displayName,
+				device : { name: 'WHIP' },
+				token
+			});
+
+		try
+		{
+			const transport = await room.createBroadcasterTransport(
+				{
+					broadcasterId : id,
+					type          : 'webrtc'
+				});
+
+			await room.connectBroadcasterTransport(
+				{
+					broadcasterId : id,
+					transportId   : transport.id,
+					dtlsParameters
+				});
+
+			// Media sections indexed by mid.
+			const sections = new Map();
+
+			for (const media of offer.media)
+			{
+				if (media.type !== 'audio' && media.type !== 'video')
+					continue;
+
+				if (media.direction !== 'sendonly' && media.direction !== 'sendrecv')
+					continue;
+
+				const rtpParameters =
+					sdp.getProducerRtpParameters({ media, rtpCapabilities });
+
+				if (!rtpParameters)
+					continue;
+
+				await room.createBroadcasterProducer(
+					{
+						broadcasterId : id,
+						transportId   : transport.id,
+						kind          : media.type,
+						rtpParameters
+					});
+
+				sections.set(rtpParameters.mid, { direction: 'recvonly', rtpParameters });
+			}
+
+			if (sections.size === 0)
+				throw new TypeError('wrong SDP offer, no media can be ingested');
+
+			const answer = sdp.createAnswer(
+				{
+					offer,
+					iceParameters  : transport.iceParameters,
+					iceCandidates  : transport.iceCandidates,
+					dtlsParameters : transport.dtlsParameters,
+					remoteDtlsRole : dtlsParameters.role,
+					sections
+				});
+
+			return new WhipSession({ room, id, answer });
+		}
+		catch (error)
+		{
+			room.deleteBroadcaster({ broadcasterId: id });
+
+			throw error;
+		}
+	}
+
+	constructor({ room, id, answer })
+	{
+		super();
+
+		// Room instance.
+		// @type {Room}
+		this._room = room;
+
+		// Id of the session (and of its Broadcaster).
+		// @type {String}
+		this._id = id;
+
+		// SDP answer.
+		// @type {String}
+		this._answer = answer;
+
+		// Closed flag.
+		// @type {Boolean}
+		this._closed = false;
+
+		// Whether the Broadcaster was deleted by other means (so it must not be
+		// deleted when closing).
+		// @type {Boolean}
+		this._broadcasterDeleted = false;
+
+		// Logger whose entries carry the session id.
+		// @type {Logger}
+		this._logger = logger.child({ roomId: room.id, whipSessionId: id });
+
+		this._onRoomBroadcasterDeleted = this._onRoomBroadcasterDeleted.bind(this);
+		this._onRoomClose = this.close.bind(this);
+
+		this._room.on('broadcasterdeleted', this._onRoomBroadcasterDeleted);
+		this._room.on('close', this._onRoomClose);
+	}
+
+	get id()
+	{
+		return this._id;
+	}
+
+	get answer()
+	{
+		return this._answer;
+	}
+
+	/**
+	 * Closes the session and deletes its Broadcaster.
+	 */
+	close()
+	{
+		if (this._closed)
+			return;
+
+		this._logger.debug('close()');
+
+		this._closed = true;
+
+		this._room.off('broadcasterdeleted', this._onRoomBroadcasterDeleted);
+		this._room.off('close', this._onRoomClose);
+
+		if (!this._room.closed && !this._broadcasterDeleted)
+			this._room.deleteBroadcaster({ broadcasterId: this._id });
+
+		// Emit 'close' event.
+		this.emit('close');
+	}
+
+	_onRoomBroadcasterDeleted({ broadcasterId })
+	{
+		if (broadcasterId !== this._id)
+			return;
+
+		this._logger.debug(
+			'_onRoomBroadcasterDeleted() | Broadcaster deleted by other means, closing');
+
+		this._broadcasterDeleted = true;
+
+		this.close();
+	}
+}
+
+module.exports = WhipSession;
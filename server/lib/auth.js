@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Create a signed access token (a JWT using HMAC SHA-256 with the secret in
+ * the configuration file).
+ *
+ * @param {String} roomId - Room the token gives access to.
+ * @param {String} peerId - Peer (or Broadcaster) id the token is bound to.
+ * @param {String} [displayName]
+ * @param {String} [role]
+ * @param {Number} [expiresIn] - Validity in seconds.
+ *
+ * @returns {String}
+ */
+function createToken(
+	{
+		roomId,
+		peerId,
+		displayName,
+		role,
+		expiresIn = config.auth.tokenTtl
+	})
+{
+	const now = Math.floor(Date.now() / 1000);
+	const header = { alg: 'HS256', typ: 'JWT' };
+	const payload =
+	{
+		roomId,
+		peerId,
+		displayName,
+		role,
+		iat : now,
+		exp : now + expiresIn
+	};
+	const unsigned = [
+		base64UrlEncode(Buffer.from(JSON.stringify(header))),
+		base64UrlEncode(Buffer.from(JSON.stringify(payload)))
+	].join('.');
+
+	return `${unsigned}.${sign(unsigned)}`;
+}
+
+/**
+ * Verify the given access token and return its payload.
+ *
+ * @param {String} token
+ *
+ * @returns {Object} With roomId, peerId, displayName and role.
+ * @throws {Error} With status 401 if the token is missing, malformed,
+ *   wrongly signed, without expiration or expired.
+ */
+function verifyToken(token)
+{
+	if (typeof token !== 'string' || !token)
+		throw createError('missing access token');
+
+	const parts = token.split('.');
+
+	if (parts.length !== 3)
+		throw createError('malformed access token');
+
+	const [ encodedHeader, encodedPayload, signature ] = parts;
+	let header;
+	let payload;
+
+	try
+	{
+		header = JSON.parse(Buffer.from(encodedHeader, 'base64').toString('utf8'));
+		payload = JSON.parse(Buffer.from(encodedPayload, 'base64').toString('utf8'));
+	}
+	catch (error)
+	{
+		throw createError('malformed access token');
+	}
+
+	if (header.alg !== 'HS256')
+		throw createError('unsupported access token algorithm');
+
+	const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`));
+	const received = Buffer.from(signature);
+
+	if (
+		expected.length !== received.length ||
+		!crypto.timingSafeEqual(expected, received)
+	)
+	{
+		throw createError('invalid access token signature');
+	}
+
+	// Tokens without expiration are not accepted.
+	if (typeof payload.exp !== 'number')
+		throw createError('access token without expiration');
+
+	if (payload.exp * 1000 < Date.now())
+		throw createError('access token expired');
+
+	return payload;
+}
+
+function sign(data)
+{
+	return base64UrlEncode(
+		crypto.createHmac('sha256', config.auth.secret)
+			.update(data)
+			.digest());
+}
+
+function base64UrlEncode(buffer)
+{
+	return buffer.toString('base64')
+		.replace(/[=]+$/, '')
+		.replace(/\+/g, '-')
+		.replace(/\//g, '_');
+}
+
+function createError(message)
+{
+	const error = new Error(message);
+
+	error.status = 401;
+
+	return error;
+}
+
+module.exports =
+{
+	createToken,
+	verifyToken
+};
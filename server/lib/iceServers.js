@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const Logger = require('./Logger');
+const config = require('../config');
+
+const logger = new Logger('iceServers');
+
+// ICE servers in the configuration file that clients can use. TURN servers
+// without credentials would make RTCPeerConnection throw, so they are left out.
+// @type {Array<Object>}
+const usableIceServers = config.iceServers
+	.filter((iceServer) =>
+	{
+		if (
+			!isTurn(iceServer) ||
+			iceServer.secret ||
+			(iceServer.username && iceServer.credential)
+		)
+		{
+			return true;
+		}
+
+		logger.warn(
+			'ignoring TURN server without secret nor username and credential [urls:%o]',
+			iceServer.urls);
+
+		return false;
+	});
+
+/**
+ * Get the ICE servers in the configuration file as given to RTCPeerConnection.
+ * TURN servers with a shared secret get time-limited credentials as defined by
+ * the TURN REST API (username is "<expiry timestamp>:<user>" and credential is
+ * the base64 of its HMAC SHA-1 using the secret).
+ *
+ * @param {String} user - Id of the Peer (or Broadcaster) getting the
+ *   credentials.
+ *
+ * @returns {Array<RTCIceServer>}
+ */
+function getIceServers({ user })
+{
+	return usableIceServers
+		.map(({ urls, username, credential, secret, ttl = 86400 }) =>
+		{
+			if (!secret)
+				return { urls, username, credential };
+
+			const expiry = Math.floor(Date.now() / 1000) + ttl;
+			const turnUsername = `${expiry}:${user}`;
+
+			return {
+				urls,
+				username   : turnUsername,
+				credential : crypto.createHmac('sha1', secret)
+					.update(turnUsername)
+					.digest('base64')
+			};
+		});
+}
+
+function isTurn({ urls })
+{
+	return [].concat(urls)
+		.some((url) => /^turns?:/.test(url));
+}
+
+module.exports =
+{
+	getIceServers
+};
@@ -7,6 +7,7 @@ const fs = require('fs');
 const mediasoup = require('mediasoup');
 const colors = require('colors/safe');
 const pidusage = require('pidusage');
+const auth = require('./auth');
 // const heapdump = require('heapdump');
 
 const SOCKET_PATH_UNIX = '/tmp/mediasoup-demo.sock';
@@ -22,6 +23,10 @@ const consumers = new Map();
 const dataProducers = new Map();
 const dataConsumers = new Map();
 
+// Function to drain the server (given by server.js).
+// @type {Function}
+let drain;
+
 class Interactive
 {
 	constructor(socket)
@@ -89,6 +94,9 @@ class Interactive
 						this.log('- sc, statsConsumer [id]      : get stats for mediasoup Consumer with given id (or the latest created one)');
 						this.log('- sdp, statsDataProducer [id] : get stats for mediasoup DataProducer with given id (or the latest created one)');
 						this.log('- sdc, statsDataConsumer [id] : get stats for mediasoup DataConsumer with given id (or the latest created one)');
+						this.log('- tk, token roomId peerId [role] [displayName] : create an access token');
+						this.log('- kw, killWorker [pid]        : kill mediasoup Worker with given pid (or the latest created one) to simulate a crash');
+						this.log('- drain [timeout]             : stop accepting Peers and shut down once Rooms are empty (or after timeout ms)');
 						// this.log('- hs, heapsnapshot            : write a heapdump snapshot to file');
 						this.log('- t,  terminal                : open Node REPL Terminal');
 						this.log('');
@@ -479,6 +487,71 @@ class Interactive
 						break;
 					}
 
+					case 'tk':
+					case 'token':
+					{
+						const [ roomId, peerId, role, ...displayNameWords ] = params;
+
+						if (!roomId || !peerId)
+						{
+							this.error('usage: token roomId peerId [role] [displayName]');
+
+							break;
+						}
+
+						const token = auth.createToken(
+							{
+								roomId,
+								peerId,
+								role,
+								displayName : displayNameWords.join(' ') || undefined
+							});
+
+						this.log(token);
+
+						break;
+					}
+
+					case 'kw':
+					case 'killWorker':
+					{
+						const pid = Number(params[0]) || Array.from(workers.keys()).pop();
+						const worker = workers.get(pid);
+
+						if (!worker)
+						{
+							this.error('Worker not found');
+
+							break;
+						}
+
+						// The server should replace the Worker and just close its Rooms.
+						process.kill(worker.pid, 'SIGKILL');
+
+						this.log(`mediasoup-worker process killed [pid:${pid}]`);
+
+						break;
+					}
+
+					case 'drain':
+					{
+						if (!drain)
+						{
+							this.error('drain not available');
+
+							break;
+						}
+
+						const timeout = Number(params[0]) || undefined;
+
+						drain({ timeout })
+							.catch((error) => this.error(`drain failed: ${error}`));
+
+						this.log('draining the server...');
+
+						break;
+					}
+
 					case 'hs':
 					case 'heapsnapshot':
 					{
@@ -633,8 +706,13 @@ function runMediasoupObserver()
 	});
 }
 
-module.exports = async function()
+/**
+ * @param {Function} [drain] - Function to drain the server.
+ */
+module.exports = async function({ drain: drainServer } = {})
 {
+	drain = drainServer;
+
 	// Run the mediasoup observer API.
 	runMediasoupObserver();
 
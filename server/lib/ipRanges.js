@@ -0,0 +1,106 @@
+const net = require('net');
+
+/**
+ * Whether the given IP is in any of the given ranges.
+ *
+ * @param {String} ip - IPv4 or IPv6 address.
+ * @param {Array<String>} ranges - IPs or CIDR ranges ("10.0.0.0/8",
+ *   "fd00::/8", etc).
+ *
+ * @returns {Boolean}
+ */
+function isIpInRanges(ip, ranges)
+{
+	const bytes = parseIp(ip);
+
+	if (!bytes)
+		return false;
+
+	return ranges.some((range) => isIpInRange(bytes, range));
+}
+
+function isIpInRange(bytes, range)
+{
+	const [ rangeIp, prefixLength ] = range.split('/');
+	const rangeBytes = parseIp(rangeIp);
+
+	if (!rangeBytes)
+		return false;
+
+	// IPv4 addresses are handled as IPv4-mapped IPv6 ones.
+	let bits = 128;
+
+	if (prefixLength !== undefined)
+		bits = Number(prefixLength) + (net.isIPv4(rangeIp) ? 96 : 0);
+
+	if (!Number.isInteger(bits) || bits < 0 || bits > 128)
+		return false;
+
+	for (let i = 0; i < 16 && bits > 0; ++i, bits -= 8)
+	{
+		const mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff;
+
+		if ((bytes[i] & mask) !== (rangeBytes[i] & mask))
+			return false;
+	}
+
+	return true;
+}
+
+/**
+ * Get the 16 bytes of an IPv6 address (IPv4 addresses are converted into
+ * IPv4-mapped IPv6 ones).
+ *
+ * @returns {Array<Number>|undefined} Nothing if not a valid IP.
+ */
+function parseIp(ip)
+{
+	if (net.isIPv4(ip))
+		return [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, ...parseIpv4(ip) ];
+
+	if (!net.isIPv6(ip))
+		return undefined;
+
+	// Drop the zone index (if any).
+	let address = ip.split('%')[0];
+	let ipv4Bytes = [];
+
+	// Embedded IPv4 address (for instance "::ffff:10.0.0.1").
+	const lastColonIdx = address.lastIndexOf(':');
+
+	if (net.isIPv4(address.slice(lastColonIdx + 1)))
+	{
+		ipv4Bytes = parseIpv4(address.slice(lastColonIdx + 1));
+		address = `${address.slice(0, lastColonIdx)}:0:0`;
+	}
+
+	const [ head, tail ] = address.split('::');
+	const headGroups = head ? head.split(':') : [];
+	const tailGroups = tail ? tail.split(':') : [];
+	const zeroGroups = tail === undefined
+		? []
+		: new Array(8 - headGroups.length - tailGroups.length).fill('0');
+	const bytes = [];
+
+	for (const group of [ ...headGroups, ...zeroGroups, ...tailGroups ])
+	{
+		const value = parseInt(group, 16);
+
+		bytes.push(value >> 8, value & 0xff);
+	}
+
+	if (ipv4Bytes.length > 0)
+		bytes.splice(12, 4, ...ipv4Bytes);
+
+	return bytes;
+}
+
+function parseIpv4(ip)
+{
+	return ip.split('.').map(Number);
+}
+
+module.exports =
+{
+	isIpInRanges
+};
@@ -0,0 +1,219 @@
+// Upper bounds of the buckets of the Producer and Consumer score histograms
+// (mediasoup scores go from 0 to 10).
+const SCORE_BUCKETS = [ 0, 2, 4, 6, 8, 10 ];
+
+/**
+ * Collect metrics of the mediasoup Workers and the Rooms in Prometheus text
+ * exposition format.
+ *
+ * @async
+ *
+ * @param {Array<mediasoup.Worker>} workers
+ * @param {Array<Room>} rooms
+ *
+ * @returns {String}
+ */
+async function collectMetrics({ workers, rooms })
+{
+	const families = [];
+	const liveWorkers = workers.filter((worker) => !worker.closed);
+	const workerUsages = await Promise.all(
+		liveWorkers.map((worker) => worker.getResourceUsage().catch(() => null)));
+	const roomMetrics = await Promise.all(
+		rooms.map((room) => room.getMetrics()));
+	const producers = flatten(roomMetrics.map((metrics) => metrics.producers));
+	const consumers = flatten(roomMetrics.map((metrics) => metrics.consumers));
+
+	families.push(
+		{
+			name    : 'mediasoup_worker_cpu_user_seconds_total',
+			help    : 'User CPU time spent by the mediasoup Worker.',
+			type    : 'counter',
+			samples : liveWorkers
+				.map((worker, idx) => workerUsages[idx] && (
+					{
+						labels : { pid: worker.pid },
+						value  : workerUsages[idx].ru_utime / 1000
+					}))
+				.filter(Boolean)
+		},
+		{
+			name    : 'mediasoup_worker_cpu_system_seconds_total',
+			help    : 'System CPU time spent by the mediasoup Worker.',
+			type    : 'counter',
+			samples : liveWorkers
+				.map((worker, idx) => workerUsages[idx] && (
+					{
+						labels : { pid: worker.pid },
+						value  : workerUsages[idx].ru_stime / 1000
+					}))
+				.filter(Boolean)
+		},
+		{
+			name    : 'mediasoup_worker_max_rss_bytes',
+			help    : 'Maximum resident set size of the mediasoup Worker.',
+			type    : 'gauge',
+			samples : liveWorkers
+				.map((worker, idx) => workerUsages[idx] && (
+					{
+						labels : { pid: worker.pid },
+						value  : workerUsages[idx].ru_maxrss * 1024
+					}))
+				.filter(Boolean)
+		},
+		{
+			name    : 'mediasoup_rooms',
+			help    : 'Number of Rooms.',
+			type    : 'gauge',
+			samples : [ { value: rooms.length } ]
+		},
+		{
+			name    : 'mediasoup_peers',
+			help    : 'Number of Peers by state.',
+			type    : 'gauge',
+			samples : [ 'joined', 'disconnected', 'lobby', 'remote' ]
+				.map((state) => (
+					{
+						labels : { state },
+						value  : sum(roomMetrics.map((metrics) => metrics.peers[state]))
+					}))
+		},
+		{
+			name    : 'mediasoup_broadcasters',
+			help    : 'Number of Broadcasters.',
+			type    : 'gauge',
+			samples : [
+				{ value: sum(roomMetrics.map((metrics) => metrics.broadcasters)) }
+			]
+		},
+		{
+			name    : 'mediasoup_producers',
+			help    : 'Number of Producers by kind.',
+			type    : 'gauge',
+			samples : countByKind(producers)
+		},
+		{
+			name    : 'mediasoup_consumers',
+			help    : 'Number of Consumers by kind.',
+			type    : 'gauge',
+			samples : countByKind(consumers)
+		},
+		{
+			name    : 'mediasoup_transport_bitrate_bps',
+			help    : 'Bitrate of the Transports of each Room by direction.',
+			type    : 'gauge',
+			samples : flatten(rooms.map((room, idx) => (
+				[
+					{
+						labels : { room: room.id, direction: 'recv' },
+						value  : roomMetrics[idx].recvBitrate
+					},
+					{
+						labels : { room: room.id, direction: 'send' },
+						value  : roomMetrics[idx].sendBitrate
+					}
+				])))
+		},
+		{
+			name    : 'mediasoup_producer_score',
+			help    : 'Score of the Producers (lowest of their encodings).',
+			type    : 'histogram',
+			samples : histogram(
+				'mediasoup_producer_score', producers.map(({ score }) => score))
+		},
+		{
+			name    : 'mediasoup_consumer_score',
+			help    : 'Score of the Consumers.',
+			type    : 'histogram',
+			samples : histogram(
+				'mediasoup_consumer_score', consumers.map(({ score }) => score))
+		});
+
+	return families
+		.map((family) => formatFamily(family))
+		.join('');
+}
+
+function formatFamily({ name, help, type, samples })
+{
+	const lines =
+	[
+		`# HELP ${name} ${help}`,
+		`# TYPE ${name} ${type}`,
+		...samples.map((sample) =>
+			`${sample.name || name}${formatLabels(sample.labels)} ${sample.value}`)
+	];
+
+	return `${lines.join('\n')}\n`;
+}
+
+function formatLabels(labels)
+{
+	if (!labels)
+		return '';
+
+	const pairs = Object.keys(labels)
+		.map((key) =>
+		{
+			const value = String(labels[key])
+				.replace(/\\/g, '\\\\')
+				.replace(/\n/g, '\\n')
+				.replace(/"/g, '\\"');
+
+			return `${key}="${value}"`;
+		});
+
+	return `{${pairs.join(',')}}`;
+}
+
+function countByKind(entities)
+{
+	return [ 'audio', 'video' ]
+		.map((kind) => (
+			{
+				labels : { kind },
+				value  : entities.filter((entity) => entity.kind === kind).length
+			}));
+}
+
+function histogram(name, values)
+{
+	const scores = values.filter((value) => typeof value === 'number');
+
+	return [
+		...SCORE_BUCKETS.map((bucket) => (
+			{
+				name   : `${name}_bucket`,
+				labels : { le: bucket },
+				value  : scores.filter((score) => score <= bucket).length
+			})),
+		{
+			name   : `${name}_bucket`,
+			labels : { le: '+Inf' },
+			value  : scores.length
+		},
+		{
+			name  : `${name}_sum`,
+			value : sum(scores)
+		},
+		{
+			name  : `${name}_count`,
+			value : scores.length
+		}
+	];
+}
+
+function flatten(arrays)
+{
+	return arrays.reduce((items, array) => items.concat(array), []);
+}
+
+function sum(values)
+{
+	return values.reduce((total, value) => total + (value || 0), 0);
+}
+
+module.exports =
+{
+	collectMetrics
+};
@@ -0,0 +1,65 @@
+/**
+ * Roles a Peer can have in a Room, from more to less privileged.
+ */
+const ROLES = [ 'host', 'presenter', 'attendee', 'viewer' ];
+
+// Roles allowed to perform each protoo request (protoo methods not listed here
+// are allowed to every role). 'produceShare' is checked on top of 'produce'
+// when a Peer produces screen sharing media.
+// @type {Object<String, Array<String>>}
+const permissions =
+{
+	produce           : [ 'host', 'presenter', 'attendee' ],
+	produceShare      : [ 'host', 'presenter' ],
+	produceData       : [ 'host', 'presenter', 'attendee' ],
+	changeDisplayName : [ 'host', 'presenter', 'attendee' ],
+	startRecording    : [ 'host' ],
+	stopRecording     : [ 'host' ],
+
+	moderatorMutePeer      : [ 'host' ],
+	moderatorCloseProducer : [ 'host' ],
+	moderatorKickPeer      : [ 'host' ],
+	moderatorMuteAll       : [ 'host' ],
+	admitPeer              : [ 'host' ],
+	denyPeer               : [ 'host' ],
+	lockRoom               : [ 'host' ],
+	unlockRoom             : [ 'host' ],
+	setRoomPassword        : [ 'host' ]
+};
+
+/**
+ * Whether the given role exists.
+ *
+ * @param {String} role
+ *
+ * @returns {Boolean}
+ */
+function isValidRole(role)
+{
+	return ROLES.includes(role);
+}
+
+/**
+ * Whether the given role is allowed to perform the given action.
+ *
+ * @param {String} role
+ * @param {String} action - protoo method or 'produceShare'.
+ *
+ * @returns {Boolean}
+ */
+function isAllowed(role, action)
+{
+	const allowedRoles = permissions[action];
+
+	if (!allowedRoles)
+		return true;
+
+	return allowedRoles.includes(role);
+}
+
+module.exports =
+{
+	ROLES,
+	isValidRole,
+	isAllowed
+};
@@ -0,0 +1,639 @@
+const sdpTransform = require('sdp-transform');
+
+/**
+ * Create a plain RTP SDP describing the given mediasoup Consumers so a legacy
+ * RTP endpoint (FFmpeg, GStreamer, VLC...) can receive them.
+ *
+ * @param {String} ip - IP in which the remote endpoint receives RTP.
+ * @param {Array<Object>} streams - Each Object has:
+ *   - {String} kind - 'audio' or 'video'.
+ *   - {RTCRtpParameters} rtpParameters - RTP parameters of the Consumer.
+ *   - {Number} port - RTP port.
+ *   - {Number} [rtcpPort] - RTCP port (if not given RTCP mux is assumed).
+ *
+ * @returns {String}
+ */
+function createPlainRtpSdp({ ip, streams })
+{
+	const ipVersion = ip.includes(':') ? 'IP6' : 'IP4';
+	const lines =
+	[
+		'v=0',
+		`o=- 0 0 IN ${ipVersion} ${ip}`,
+		's=mediasoup-demo',
+		`c=IN ${ipVersion} ${ip}`,
+		't=0 0'
+	];
+
+	for (const { kind, rtpParameters, port, rtcpPort } of streams)
+	{
+		// Ignore RTX codecs since legacy endpoints don't use them.
+		const codecs = rtpParameters.codecs
+			.filter((codec) => !/\/rtx$/i.test(codec.mimeType));
+		const payloadTypes = codecs.map((codec) => codec.payloadType);
+
+		lines.push(`m=${kind} ${port} RTP/AVP ${payloadTypes.join(' ')}`);
+
+		if (rtcpPort)
+			lines.push(`a=rtcp:${rtcpPort}`);
+		else
+			lines.push('a=rtcp-mux');
+
+		for (const codec of codecs)
+		{
+			const [ , name ] = codec.mimeType.split('/');
+			let rtpmap = `a=rtpmap:${codec.payloadType} ${name}/${codec.clockRate}`;
+
+			if (codec.channels > 1)
+				rtpmap += `/${codec.channels}`;
+
+			lines.push(rtpmap);
+
+			const fmtp = Object.keys(codec.parameters || {})
+				.map((key) => `${key}=${codec.parameters[key]}`)
+				.join(';');
+
+			if (fmtp)
+				lines.push(`a=fmtp:${codec.payloadType} ${fmtp}`);
+		}
+
+		lines.push('a=recvonly');
+	}
+
+	return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse an SDP offer.
+ *
+ * @param {String} sdp
+ *
+ * @returns {Object} Parsed SDP as given by sdp-transform.
+ *
+ * @throws {TypeError} if it is not a valid offer.
+ */
+function parseOffer(sdp)
+{
+	if (typeof sdp !== 'string' || !sdp.startsWith('v=0'))
+		throw new TypeError('wrong SDP offer');
+
+	const offer = sdpTransform.parse(sdp);
+
+	if (!Array.isArray(offer.media) || offer.media.length === 0)
+		throw new TypeError('wrong SDP offer, it has no media sections');
+
+	for (const media of offer.media)
+	{
+		if (!media.fingerprint && !offer.fingerprint)
+			throw new TypeError('wrong SDP offer, it has no DTLS fingerprint');
+
+		if (media.mid === undefined)
+			throw new TypeError('wrong SDP offer, it has media sections without mid');
+	}
+
+	return offer;
+}
+
+/**
+ * Get the remote DTLS parameters of an SDP offer (to connect a mediasoup
+ * WebRtcTransport).
+ *
+ * @param {Object} offer - Parsed SDP offer.
+ *
+ * @returns {RTCDtlsParameters}
+ */
+function getDtlsParameters(offer)
+{
+	const media = offer.media[0];
+	const fingerprint = media.fingerprint || offer.fingerprint;
+	const setup = media.setup || offer.setup;
+
+	return {
+		// If the remote endpoint wants to be DTLS server, mediasoup is the
+		// client. Otherwise (actpass or active) mediasoup is the server.
+		role         : setup === 'passive' ? 'server' : 'client',
+		fingerprints :
+		[
+			{
+				algorithm : fingerprint.type.toLowerCase(),
+				value     : fingerprint.hash
+			}
+		]
+	};
+}
+
+/**
+ * Get the RTP parameters to create a mediasoup Producer for the given offered
+ * media section. The first offered codec supported by the router is chosen.
+ *
+ * @param {Object} media - Media section of the parsed SDP offer.
+ * @param {RTCRtpCapabilities} rtpCapabilities - Router RTP capabilities.
+ *
+ * @returns {RTCRtpParameters|null} null if no offered codec is supported.
+ */
+function getProducerRtpParameters({ media, rtpCapabilities })
+{
+	const offeredCodecs = getOfferedCodecs(media);
+	let codec;
+	let capCodec;
+
+	for (const offeredCodec of offeredCodecs)
+	{
+		if (isRtxCodec(offeredCodec))
+			continue;
+
+		capCodec = rtpCapabilities.codecs
+			.find((c) => c.kind === media.type && matchCodecs(offeredCodec, c));
+
+		if (capCodec)
+		{
+			codec = offeredCodec;
+
+			break;
+		}
+	}
+
+	if (!codec)
+		return null;
+
+	const rtpParameters =
+	{
+		mid              : String(media.mid),
+		codecs           : [],
+		headerExtensions : [],
+		encodings        : [],
+		rtcp             :
+		{
+			cname       : getCname(media),
+			reducedSize : true
+		}
+	};
+
+	rtpParameters.codecs.push(
+		{
+			mimeType     : codec.mimeType,
+			payloadType  : codec.payloadType,
+			clockRate    : codec.clockRate,
+			channels     : codec.channels,
+			parameters   : codec.parameters,
+			rtcpFeedback : codec.rtcpFeedback
+				.filter((fb) => (capCodec.rtcpFeedback || []).some((capFb) =>
+					capFb.type === fb.type && (capFb.parameter || '') === fb.parameter))
+		});
+
+	const rtxCodec = offeredCodecs
+		.find((c) => isRtxCodec(c) && Number(c.parameters.apt) === codec.payloadType);
+
+	if (rtxCodec)
+	{
+		rtpParameters.codecs.push(
+			{
+				mimeType     : rtxCodec.mimeType,
+				payloadType  : rtxCodec.payloadType,
+				clockRate    : rtxCodec.clockRate,
+				parameters   : { apt: codec.payloadType },
+				rtcpFeedback : []
+			});
+	}
+
+	for (const ext of media.ext || [])
+	{
+		const supported = rtpCapabilities.headerExtensions
+			.some((capExt) =>
+				capExt.kind === media.type &&
+				capExt.uri === ext.uri &&
+				capExt.direction !== 'sendonly' &&
+				capExt.direction !== 'inactive');
+
+		if (supported)
+			rtpParameters.headerExtensions.push({ uri: ext.uri, id: ext.value });
+	}
+
+	const sendRids = (media.rids || []).filter((rid) => rid.direction === 'send');
+
+	if (media.simulcast && sendRids.length > 0)
+	{
+		for (const rid of sendRids)
+		{
+			rtpParameters.encodings.push({ rid: rid.id });
+		}
+	}
+	else
+	{
+		for (const ssrc of getPrimarySsrcs(media))
+		{
+			const encoding = { ssrc };
+			const rtxSsrc = getRtxSsrc(media, ssrc);
+
+			if (rtxCodec && rtxSsrc)
+				encoding.rtx = { ssrc: rtxSsrc };
+
+			rtpParameters.encodings.push(encoding);
+		}
+	}
+
+	// mediasoup matches a single encoding without ssrc nor rid by mid.
+	if (rtpParameters.encodings.length === 0)
+		rtpParameters.encodings.push({});
+
+	return rtpParameters;
+}
+
+/**
+ * Get the RTP capabilities to create mediasoup Consumers that send into the
+ * given offered media section: router codecs (and their RTX) matching the
+ * offered ones and router header extensions offered by the remote endpoint.
+ *
+ * @param {Object} media - Media section of the parsed SDP offer.
+ * @param {RTCRtpCapabilities} rtpCapabilities - Router RTP capabilities.
+ *
+ * @returns {RTCRtpCapabilities|null} null if no offered codec is supported.
+ */
+function getConsumerRtpCapabilities({ media, rtpCapabilities })
+{
+	const offeredCodecs = getOfferedCodecs(media);
+	const offeredUris = new Set((media.ext || []).map((ext) => ext.uri));
+	const consumerRtpCapabilities =
+	{
+		codecs           : [],
+		headerExtensions : rtpCapabilities.headerExtensions
+			.filter((capExt) =>
+				capExt.kind === media.type &&
+				offeredUris.has(capExt.uri) &&
+				capExt.direction !== 'recvonly' &&
+				capExt.direction !== 'inactive')
+	};
+
+	for (const capCodec of rtpCapabilities.codecs)
+	{
+		if (capCodec.kind !== media.type || isRtxCodec(capCodec))
+			continue;
+
+		const codec = offeredCodecs
+			.find((c) => !isRtxCodec(c) && matchCodecs(c, capCodec));
+
+		if (!codec)
+			continue;
+
+		consumerRtpCapabilities.codecs.push(
+			{
+				...capCodec,
+				rtcpFeedback : (capCodec.rtcpFeedback || [])
+					.filter((capFb) => codec.rtcpFeedback.some((fb) =>
+						fb.type === capFb.type && fb.parameter === (capFb.parameter || '')))
+			});
+
+		const offeredRtx = offeredCodecs
+			.some((c) => isRtxCodec(c) && Number(c.parameters.apt) === codec.payloadType);
+		const capRtxCodec = rtpCapabilities.codecs
+			.find((c) =>
+				isRtxCodec(c) && c.parameters.apt === capCodec.preferredPayloadType);
+
+		if (offeredRtx && capRtxCodec)
+			consumerRtpCapabilities.codecs.push(capRtxCodec);
+	}
+
+	if (consumerRtpCapabilities.codecs.length === 0)
+		return null;
+
+	return consumerRtpCapabilities;
+}
+
+/**
+ * Create the SDP answer to an offer. mediasoup acts as ICE-Lite endpoint.
+ *
+ * @param {Object} offer - Parsed SDP offer.
+ * @param {RTCIceParameters} iceParameters - Of the mediasoup WebRtcTransport.
+ * @param {Array<RTCIceCandidate>} iceCandidates - Of the mediasoup
+ *   WebRtcTransport.
+ * @param {RTCDtlsParameters} dtlsParameters - Local ones of the mediasoup
+ *   WebRtcTransport.
+ * @param {RTCDtlsRole} remoteDtlsRole - Role given when connecting the
+ *   WebRtcTransport.
+ * @param {Map<String, Object>} sections - Accepted media sections indexed by
+ *   mid. Each Object has:
+ *   - {String} direction - 'recvonly' (Producer) or 'sendonly' (Consumers).
+ *   - {RTCRtpParameters} [rtpParameters] - Of the Producer.
+ *   - {RTCRtpCapabilities} [rtpCapabilities] - Of the Consumers.
+ *   Media sections not in the Map are rejected.
+ *
+ * @returns {String}
+ */
+function createAnswer(
+	{
+		offer,
+		iceParameters,
+		iceCandidates,
+		dtlsParameters,
+		remoteDtlsRole,
+		sections
+	})
+{
+	const fingerprint = dtlsParameters.fingerprints
+		.find((f) => f.algorithm === 'sha-256') || dtlsParameters.fingerprints[0];
+	const acceptedMids = offer.media
+		.map((media) => String(media.mid))
+		.filter((mid) => sections.has(mid));
+
+	const answer =
+	{
+		version : 0,
+		origin  :
+		{
+			username       : 'mediasoup',
+			sessionId      : Date.now(),
+			sessionVersion : 1,
+			netType        : 'IN',
+			ipVer          : 4,
+			address        : '0.0.0.0'
+		},
+		name        : '-',
+		timing      : { start: 0, stop: 0 },
+		icelite     : 'ice-lite',
+		fingerprint :
+		{
+			type : fingerprint.algorithm,
+			hash : fingerprint.value
+		},
+		msidSemantic : { semantic: 'WMS', token: '*' },
+		groups       : acceptedMids.length > 0
+			? [ { type: 'BUNDLE', mids: acceptedMids.join(' ') } ]
+			: [],
+		media : offer.media
+			.map((media) =>
+			{
+				const section = sections.get(String(media.mid));
+
+				if (!section)
+					return createRejectedMedia(media);
+
+				return createMedia(
+					{
+						media,
+						section,
+						iceParameters,
+						iceCandidates,
+						remoteDtlsRole
+					});
+			})
+	};
+
+	return sdpTransform.write(answer);
+}
+
+function createMedia({ media, section, iceParameters, iceCandidates, remoteDtlsRole })
+{
+	const { direction, rtpParameters, rtpCapabilities } = section;
+	// Codecs and header extensions with payload type and id.
+	const { codecs, headerExtensions } = rtpParameters ||
+	{
+		codecs : rtpCapabilities.codecs
+			.map((codec) => ({ ...codec, payloadType: codec.preferredPayloadType })),
+		headerExtensions : rtpCapabilities.headerExtensions
+			.map((ext) => ({ uri: ext.uri, id: ext.preferredId }))
+	};
+	const answerMedia =
+	{
+		type       : media.type,
+		port       : 7,
+		protocol   : 'UDP/TLS/RTP/SAVPF',
+		connection : { version: 4, ip: '127.0.0.1' },
+		mid        : String(media.mid),
+		direction,
+		iceUfrag   : iceParameters.usernameFragment,
+		icePwd     : iceParameters.password,
+		setup      : remoteDtlsRole === 'server' ? 'active' : 'passive',
+		candidates : iceCandidates
+			.map((candidate) => (
+				{
+					foundation : candidate.foundation,
+					component  : 1,
+					transport  : candidate.protocol,
+					priority   : candidate.priority,
+					ip         : candidate.ip || candidate.address,
+					port       : candidate.port,
+					type       : candidate.type,
+					tcptype    : candidate.tcpType,
+					generation : 0
+				})),
+		endOfCandidates : 'end-of-candidates',
+		rtcpMux         : 'rtcp-mux',
+		rtcpRsize       : 'rtcp-rsize',
+		payloads        : codecs.map((c) => c.payloadType).join(' '),
+		rtp             : [],
+		fmtp            : [],
+		rtcpFb          : [],
+		ext             : headerExtensions
+			.map((ext) => ({ value: ext.id, uri: ext.uri }))
+	};
+
+	for (const codec of codecs)
+	{
+		answerMedia.rtp.push(
+			{
+				payload  : codec.payloadType,
+				codec    : codec.mimeType.split('/')[1],
+				rate     : codec.clockRate,
+				encoding : codec.channels > 1 ? codec.channels : undefined
+			});
+
+		const parameters = Object.entries(codec.parameters || {})
+			.map(([ key, value ]) => `${key}=${value}`);
+
+		if (parameters.length > 0)
+			answerMedia.fmtp.push({ payload: codec.payloadType, config: parameters.join(';') });
+
+		for (const fb of codec.rtcpFeedback || [])
+		{
+			answerMedia.rtcpFb.push(
+				{
+					payload : codec.payloadType,
+					type    : fb.type,
+					subtype : fb.parameter || undefined
+				});
+		}
+	}
+
+	// Accept the simulcast streams of the Producer.
+	if (direction === 'recvonly' && rtpParameters.encodings.some((e) => e.rid))
+	{
+		answerMedia.rids = rtpParameters.encodings
+			.map((encoding) => ({ id: encoding.rid, direction: 'recv' }));
+		answerMedia.simulcast =
+		{
+			dir1  : 'recv',
+			list1 : rtpParameters.encodings.map((encoding) => encoding.rid).join(';')
+		};
+	}
+
+	// Streams sent by mediasoup are not announced by SSRC so the remote
+	// endpoint demuxes them by MID (and the Consumer sending into a media section
+	// can be replaced).
+	if (direction === 'sendonly')
+		answerMedia.msid = [ { id: 'mediasoup', appdata: answerMedia.mid } ];
+
+	return answerMedia;
+}
+
+function createRejectedMedia(media)
+{
+	return {
+		type       : media.type,
+		port       : 0,
+		protocol   : media.protocol,
+		payloads   : media.payloads,
+		connection : { version: 4, ip: '127.0.0.1' },
+		mid        : String(media.mid),
+		direction  : 'inactive'
+	};
+}
+
+/**
+ * Get the codecs of an offered media section in mediasoup format.
+ */
+function getOfferedCodecs(media)
+{
+	return (media.rtp || [])
+		.map((rtp) =>
+		{
+			const fmtp = (media.fmtp || []).find((f) => f.payload === rtp.payload);
+			const codec =
+			{
+				mimeType     : `${media.type}/${rtp.codec}`,
+				payloadType  : rtp.payload,
+				clockRate    : rtp.rate,
+				parameters   : fmtp ? sdpTransform.parseParams(fmtp.config) : {},
+				rtcpFeedback : (media.rtcpFb || [])
+					.filter((fb) => fb.payload === '*' || Number(fb.payload) === rtp.payload)
+					.map((fb) => ({ type: fb.type, parameter: fb.subtype || '' }))
+			};
+
+			if (media.type === 'audio')
+				codec.channels = rtp.encoding ? Number(rtp.encoding) : 1;
+
+			return codec;
+		});
+}
+
+function isRtxCodec(codec)
+{
+	return /\/rtx$/i.test(codec.mimeType);
+}
+
+/**
+ * Whether an offered codec matches a codec in the router RTP capabilities.
+ */
+function matchCodecs(codec, capCodec)
+{
+	if (codec.mimeType.toLowerCase() !== capCodec.mimeType.toLowerCase())
+		return false;
+
+	if (codec.clockRate !== capCodec.clockRate)
+		return false;
+
+	if (codec.channels !== capCodec.channels)
+		return false;
+
+	const params = codec.parameters;
+	const capParams = capCodec.parameters || {};
+
+	switch (codec.mimeType.toLowerCase())
+	{
+		case 'video/h264':
+		{
+			if (
+				Number(params['packetization-mode'] || 0) !==
+				Number(capParams['packetization-mode'] || 0)
+			)
+			{
+				return false;
+			}
+
+			if (
+				getH264Profile(params['profile-level-id']) !==
+				getH264Profile(capParams['profile-level-id'])
+			)
+			{
+				return false;
+			}
+
+			break;
+		}
+
+		case 'video/vp9':
+		{
+			if (Number(params['profile-id'] || 0) !== Number(capParams['profile-id'] || 0))
+				return false;
+
+			break;
+		}
+	}
+
+	return true;
+}
+
+/**
+ * Get the H264 profile of a profile-level-id (level is ignored).
+ */
+function getH264Profile(profileLevelId = '42e01f')
+{
+	const value = String(profileLevelId).toLowerCase();
+	const profileIdc = value.slice(0, 2);
+	const profileIop = parseInt(value.slice(2, 4), 16);
+
+	switch (profileIdc)
+	{
+		case '42':
+			return profileIop & 0x40 ? 'constrained-baseline' : 'baseline';
+		case '64':
+			return (profileIop & 0x0c) === 0x0c ? 'constrained-high' : 'high';
+		default:
+			return profileIdc;
+	}
+}
+
+function getCname(media)
+{
+	const cnameLine = (media.ssrcs || []).find((line) => line.attribute === 'cname');
+
+	return cnameLine ? cnameLine.value : undefined;
+}
+
+/**
+ * Get the media SSRCs (not the RTX ones) of an offered media section.
+ */
+function getPrimarySsrcs(media)
+{
+	const simGroup = (media.ssrcGroups || []).find((g) => g.semantics === 'SIM');
+
+	if (simGroup)
+		return simGroup.ssrcs.split(' ').map(Number);
+
+	const ssrcs = new Set((media.ssrcs || []).map((line) => line.id));
+
+	for (const { semantics, ssrcs: groupSsrcs } of media.ssrcGroups || [])
+	{
+		if (semantics === 'FID')
+			ssrcs.delete(Number(groupSsrcs.split(' ')[1]));
+	}
+
+	return [ ...ssrcs ].slice(0, 1).map(Number);
+}
+
+function getRtxSsrc(media, ssrc)
+{
+	const fidGroup = (media.ssrcGroups || [])
+		.find((g) => g.semantics === 'FID' && Number(g.ssrcs.split(' ')[0]) === ssrc);
+
+	return fidGroup ? Number(fidGroup.ssrcs.split(' ')[1]) : undefined;
+}
+
+module.exports =
+{
+	createPlainRtpSdp,
+	parseOffer,
+	getDtlsParameters,
+	getProducerRtpParameters,
+	getConsumerRtpCapabilities,
+	createAnswer
+};
@@ -0,0 +1,276 @@
+// Max size (in bytes of JSON) of arbitrary Objects sent by clients.
+const MAX_OBJECT_SIZE = 65536;
+
+// Max size (in bytes of JSON) of the appData of Producers and DataProducers.
+const MAX_APP_DATA_SIZE = 1024;
+
+// Max length of display names.
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+const id = { type: 'string', maxLength: 100 };
+const displayName = { type: 'string', maxLength: MAX_DISPLAY_NAME_LENGTH };
+const object = { type: 'object', maxSize: MAX_OBJECT_SIZE };
+const appData = { type: 'object', maxSize: MAX_APP_DATA_SIZE, optional: true };
+
+// Schema of the data of each protoo request (protoo methods not listed here
+// have no data). Each field has a type ('string', 'number', 'boolean' or
+// 'object') and optionally:
+// - {Boolean} optional - It may be undefined.
+// - {Boolean} nullable - It may be null.
+// - {Number} minLength/maxLength - For strings.
+// - {Number} min/max - For numbers.
+// - {Boolean} integer - For numbers.
+// - {Array} enum - Allowed values.
+// - {Number} maxSize - For objects, max size in bytes of their JSON.
+// Unknown fields are ignored.
+// @type {Object<String, Object>}
+const schemas =
+{
+	join :
+	{
+		displayName      : { ...displayName, optional: true },
+		device           : { ...object, optional: true },
+		rtpCapabilities  : { ...object, optional: true },
+		sctpCapabilities : { ...object, optional: true }
+	},
+	resume :
+	{
+		resumeToken : { type: 'string', maxLength: 100 }
+	},
+	createWebRtcTransport :
+	{
+		forceTcp         : { type: 'boolean', optional: true },
+		producing        : { type: 'boolean', optional: true },
+		consuming        : { type: 'boolean', optional: true },
+		sctpCapabilities : { ...object, optional: true }
+	},
+	connectWebRtcTransport :
+	{
+		transportId    : id,
+		dtlsParameters : object
+	},
+	restartIce :
+	{
+		transportId : id
+	},
+	produce :
+	{
+		transportId   : id,
+		kind          : { type: 'string', enum: [ 'audio', 'video' ] },
+		rtpParameters : object,
+		appData
+	},
+	closeProducer :
+	{
+		producerId : id
+	},
+	pauseProducer :
+	{
+		producerId : id
+	},
+	resumeProducer :
+	{
+		producerId : id
+	},
+	pauseConsumer :
+	{
+		consumerId : id
+	},
+	resumeConsumer :
+	{
+		consumerId : id
+	},
+	setConsumerPreferredLayers :
+	{
+		consumerId    : id,
+		spatialLayer  : { type: 'number', integer: true, min: 0 },
+		temporalLayer : { type: 'number', integer: true, min: 0, optional: true }
+	},
+	setConsumerPriority :
+	{
+		consumerId : id,
+		priority   : { type: 'number', integer: true, min: 1, max: 255 }
+	},
+	requestConsumerKeyFrame :
+	{
+		consumerId : id
+	},
+	produceData :
+	{
+		transportId          : id,
+		sctpStreamParameters : { ...object, optional: true },
+		label                : { type: 'string', maxLength: 100, optional: true },
+		protocol             : { type: 'string', maxLength: 100, optional: true },
+		appData
+	},
+	changeDisplayName :
+	{
+		displayName : { ...displayName, minLength: 1 }
+	},
+	getTransportStats :
+	{
+		transportId : id
+	},
+	getProducerStats :
+	{
+		producerId : id
+	},
+	getConsumerStats :
+	{
+		consumerId : id
+	},
+	getDataProducerStats :
+	{
+		dataProducerId : id
+	},
+	getDataConsumerStats :
+	{
+		dataConsumerId : id
+	},
+	moderatorMutePeer :
+	{
+		peerId : id
+	},
+	moderatorCloseProducer :
+	{
+		peerId     : id,
+		producerId : id
+	},
+	moderatorKickPeer :
+	{
+		peerId : id
+	},
+	admitPeer :
+	{
+		peerId : id
+	},
+	denyPeer :
+	{
+		peerId : id
+	},
+	setRoomPassword :
+	{
+		password : { type: 'string', maxLength: 100, optional: true, nullable: true }
+	},
+	applyNetworkThrottle :
+	{
+		uplink   : { type: 'number', min: 0, optional: true },
+		downlink : { type: 'number', min: 0, optional: true },
+		rtt      : { type: 'number', min: 0, optional: true },
+		secret   : { type: 'string', maxLength: 100, optional: true }
+	},
+	resetNetworkThrottle :
+	{
+		secret : { type: 'string', maxLength: 100, optional: true }
+	}
+};
+
+/**
+ * Validate the data of a protoo request.
+ *
+ * @param {String} method
+ * @param {Object} data
+ *
+ * @throws {TypeError} if not valid, with a message telling the wrong field.
+ */
+function validateRequest(method, data)
+{
+	const schema = schemas[method];
+
+	if (!schema)
+		return;
+
+	if (!isObject(data))
+		throw new TypeError('wrong request data, must be an object');
+
+	for (const key of Object.keys(schema))
+	{
+		const error = validateField(data[key], schema[key]);
+
+		if (error)
+			throw new TypeError(`wrong ${key}, ${error}`);
+	}
+}
+
+/**
+ * @returns {String|undefined} What is wrong with the value (if anything).
+ */
+function validateField(value, field)
+{
+	if (value === undefined)
+		return field.optional ? undefined : 'it is required';
+
+	if (value === null)
+		return field.nullable ? undefined : 'it cannot be null';
+
+	switch (field.type)
+	{
+		case 'string':
+		{
+			if (typeof value !== 'string')
+				return 'it must be a string';
+
+			if (field.minLength !== undefined && value.length < field.minLength)
+				return `it must have at least ${field.minLength} characters`;
+
+			if (field.maxLength !== undefined && value.length > field.maxLength)
+				return `it must have at most ${field.maxLength} characters`;
+
+			break;
+		}
+
+		case 'number':
+		{
+			if (typeof value !== 'number' || !Number.isFinite(value))
+				return 'it must be a number';
+
+			if (field.integer && !Number.isInteger(value))
+				return 'it must be an integer';
+
+			if (field.min !== undefined && value < field.min)
+				return `it must be at least ${field.min}`;
+
+			if (field.max !== undefined && value > field.max)
+				return `it must be at most ${field.max}`;
+
+			break;
+		}
+
+		case 'boolean':
+		{
+			if (typeof value !== 'boolean')
+				return 'it must be a boolean';
+
+			break;
+		}
+
+		case 'object':
+		{
+			if (!isObject(value))
+				return 'it must be an object';
+
+			if (
+				field.maxSize !== undefined &&
+				Buffer.byteLength(JSON.stringify(value)) > field.maxSize
+			)
+			{
+				return `it must take at most ${field.maxSize} bytes`;
+			}
+
+			break;
+		}
+	}
+
+	if (field.enum && !field.enum.includes(value))
+		return `it must be one of ${field.enum.join(', ')}`;
+}
+
+function isObject(value)
+{
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports =
+{
+	validateRequest
+};
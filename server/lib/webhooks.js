@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const Logger = require('./Logger');
+const config = require('../config');
+
+const logger = new Logger('webhooks');
+
+/**
+ * Send an event to every webhook URL in the configuration file (if any). The
+ * body is a JSON object with id, type, timestamp and data fields, signed with
+ * HMAC SHA-256 in the X-Webhook-Signature header (if a secret is set in the
+ * configuration file). Failed deliveries are retried with exponential backoff.
+ *
+ * @param {String} type - Event type ('room.created', 'peer.joined', etc).
+ * @param {Object} data - Event data.
+ */
+function send(type, data)
+{
+	const { urls, secret } = config.webhooks;
+
+	if (urls.length === 0)
+		return;
+
+	const body = JSON.stringify(
+		{
+			id        : crypto.randomBytes(8).toString('hex'),
+			type,
+			timestamp : Date.now(),
+			data
+		});
+	const signature = secret
+		? crypto.createHmac('sha256', secret)
+			.update(body)
+			.digest('hex')
+		: undefined;
+
+	for (const webhookUrl of urls)
+	{
+		deliver({ webhookUrl, type, body, signature, attempt: 0 });
+	}
+}
+
+function deliver({ webhookUrl, type, body, signature, attempt })
+{
+	const { maxRetries, retryDelay } = config.webhooks;
+
+	post({ webhookUrl, body, signature })
+		.then(() =>
+		{
+			logger.debug('event delivered [type:%s, url:%s]', type, webhookUrl);
+		})
+		.catch((error) =>
+		{
+			if (!error.retriable || attempt >= maxRetries)
+			{
+				logger.warn(
+					'event delivery failed [type:%s, url:%s, attempt:%d]: %s',
+					type, webhookUrl, attempt + 1, error.message);
+
+				return;
+			}
+
+			const delay = retryDelay * Math.pow(2, attempt);
+
+			logger.debug(
+				'event delivery failed, retrying in %dms [type:%s, url:%s]: %s',
+				delay, type, webhookUrl, error.message);
+
+			setTimeout(() =>
+			{
+				deliver({ webhookUrl, type, body, signature, attempt: attempt + 1 });
+			}, delay);
+		});
+}
+
+function post({ webhookUrl, body, signature })
+{
+	const headers =
+	{
+		'Content-Type'   : 'application/json',
+		'Content-Length' : Buffer.byteLength(body)
+	};
+
+	if (signature)
+		headers['X-Webhook-Signature'] = `sha256=${signature}`;
+
+	return new Promise((resolve, reject) =>
+	{
+		const { protocol } = url.parse(webhookUrl);
+		const request = (protocol === 'https:' ? https : http).request(
+			webhookUrl,
+			{
+				method  : 'POST',
+				timeout : config.webhooks.timeout,
+				headers
+			},
+			(response) =>
+			{
+				// Just drain the response.
+				response.resume();
+
+				if (response.statusCode >= 200 && response.statusCode < 300)
+				{
+					resolve();
+
+					return;
+				}
+
+				const error = new Error(`unexpected response status ${response.statusCode}`);
+
+				// Don't retry if the receiver rejected the event.
+				error.retriable =
+					response.statusCode >= 500 || response.statusCode === 429;
+
+				reject(error);
+			});
+
+		request.on('timeout', () => request.destroy(new Error('request timeout')));
+
+		request.on('error', (error) =>
+		{
+			error.retriable = true;
+
+			reject(error);
+		});
+
+		request.end(body);
+	});
+}
+
+module.exports =
+{
+	send
+};
@@ -13,6 +13,8 @@ console.log('config.js:\n%s', JSON.stringify(config, null, '  '));
 const fs = require('fs');
 const https = require('https');
 const url = require('url');
+const crypto = require('crypto');
+const net = require('net');
 const protoo = require('protoo-server');
 const mediasoup = require('mediasoup');
 const express = require('express');
@@ -20,6 +22,13 @@ const bodyParser = require('body-parser');
 const { AwaitQueue } = require('awaitqueue');
 const Logger = require('./lib/Logger');
 const Room = require('./lib/Room');
+const auth = require('./lib/auth');
+const metrics = require('./lib/metrics');
+const webhooks = require('./lib/webhooks');
+const Cascade = require('./lib/Cascade');
+const WhipSession = require('./lib/WhipSession');
+const WhepSession = require('./lib/WhepSession');
+const { isIpInRanges } = require('./lib/ipRanges');
 const interactiveServer = require('./lib/interactiveServer');
 const interactiveClient = require('./lib/interactiveClient');
 
@@ -33,6 +42,19 @@ const queue = new AwaitQueue();
 // @type {Map<Number, Room>}
 const rooms = new Map();
 
+// Map of WhipSession instances indexed by "<roomId>/<id>".
+// @type {Map<String, WhipSession>}
+const whipSessions = new Map();
+
+// Map of WhepSession instances indexed by "<roomId>/<id>".
+// @type {Map<String, WhepSession>}
+const whepSessions = new Map();
+
+// Reasons of the failure of Rooms indexed by "<roomId>/<peerId>" of the Peers
+// that were disconnected (and could still resume their session) meanwhile.
+// @type {Map<String, String>}
+const failedSessions = new Map();
+
 // HTTPS server.
 // @type {https.Server}
 let httpsServer;
@@ -53,12 +75,29 @@ const mediasoupWorkers = [];
 // @type {Number}
 let nextMediasoupWorkerIdx = 0;
 
+// Signaling with other server nodes (if cascading is enabled).
+// @type {Cascade}
+let cascade;
+
+// Whether the server is draining (no new Peers nor Broadcasters are accepted
+// and it will shut down once Rooms are empty).
+// @type {Boolean}
+let draining = false;
+
 run();
 
 async function run()
 {
+	// Tokens signed with a well-known secret could be forged by anyone.
+	if (config.auth.enabled && !config.auth.secret)
+	{
+		logger.error('auth is enabled but AUTH_SECRET is not set, exiting');
+
+		process.exit(1);
+	}
+
 	// Open the interactive server.
-	await interactiveServer();
+	await interactiveServer({ drain });
 
 	// Open the interactive client.
 	if (process.env.INTERACTIVE === 'true' || process.env.INTERACTIVE === '1')
@@ -67,6 +106,10 @@ async function run()
 	// Run a mediasoup Worker.
 	await runMediasoupWorkers();
 
+	// Connect to other server nodes.
+	if (config.cascade.enabled)
+		await runCascade();
+
 	// Create Express app.
 	await createExpressApp();
 
@@ -84,6 +127,83 @@ async function run()
 			room.logStatus();
 		}
 	}, 120000);
+
+	// Shut down gracefully on deploys.
+	process.on('SIGTERM', () =>
+	{
+		logger.info('SIGTERM received');
+
+		drain();
+	});
+}
+
+/**
+ * Stop accepting new Peers and Broadcasters, tell Peers that the server is
+ * shutting down, wait until Rooms are empty (or the timeout expires) and exit
+ * after closing Rooms and mediasoup Workers.
+ *
+ * @async
+ *
+ * @param {Number} [timeout] - Max time (in ms) to wait for Rooms to be empty.
+ */
+async function drain({ timeout = config.drainTimeout } = {})
+{
+	if (draining)
+		return;
+
+	draining = true;
+
+	logger.info('draining the server [rooms:%d, timeout:%d]', rooms.size, timeout);
+
+	const deadline = Date.now() + timeout;
+
+	for (const room of rooms.values())
+	{
+		room.notifyShutdown({ deadline });
+	}
+
+	await new Promise((resolve) =>
+	{
+		const timer = setTimeout(resolve, timeout);
+		const onRoomClose = () =>
+		{
+			if (rooms.size > 0)
+				return;
+
+			clearTimeout(timer);
+			resolve();
+		};
+
+		for (const room of rooms.values())
+		{
+			room.on('close', onRoomClose);
+		}
+
+		onRoomClose();
+	});
+
+	logger.info('shutting down the server [remaining rooms:%d]', rooms.size);
+
+	for (const room of rooms.values())
+	{
+		room.close();
+	}
+
+	if (cascade)
+		cascade.close();
+
+	if (protooWebSocketServer)
+		protooWebSocketServer.stop();
+
+	if (httpsServer)
+		httpsServer.close();
+
+	for (const worker of mediasoupWorkers)
+	{
+		worker.close();
+	}
+
+	process.exit(0);
 }
 
 /**
@@ -95,34 +215,143 @@ async function runMediasoupWorkers()
 
 	logger.info('running %d mediasoup Workers...', numWorkers);
 
-	for (let i = 0; i < numWorkers; ++i)
+	for (let idx = 0; idx < numWorkers; ++idx)
+	{
+		mediasoupWorkers.push(await createMediasoupWorker(idx));
+	}
+}
+
+/**
+ * Launch a mediasoup Worker. If it dies, Rooms using it are closed (see Room.js)
+ * and it's replaced by a new one.
+ *
+ * @param {Number} idx - Index of the Worker in mediasoupWorkers.
+ */
+async function createMediasoupWorker(idx)
+{
+	const worker = await mediasoup.createWorker(
+		{
+			logLevel   : config.mediasoup.workerSettings.logLevel,
+			logTags    : config.mediasoup.workerSettings.logTags,
+			rtcMinPort : Number(config.mediasoup.workerSettings.rtcMinPort),
+			rtcMaxPort : Number(config.mediasoup.workerSettings.rtcMaxPort)
+		});
+
+	// Create a WebRtcServer so WebRTC transports in this Worker share its ports
+	// (each Worker listens on the configured port plus its index).
+	if (config.mediasoup.useWebRtcServer)
 	{
-		const worker = await mediasoup.createWorker(
+		const { listenInfos } = config.mediasoup.webRtcServerOptions;
+		const webRtcServer = await worker.createWebRtcServer(
 			{
-				logLevel   : config.mediasoup.workerSettings.logLevel,
-				logTags    : config.mediasoup.workerSettings.logTags,
-				rtcMinPort : Number(config.mediasoup.workerSettings.rtcMinPort),
-				rtcMaxPort : Number(config.mediasoup.workerSettings.rtcMaxPort)
+				listenInfos : listenInfos.map((listenInfo) => (
+					{
+						...listenInfo,
+						port : listenInfo.port + idx
+					}))
 			});
 
-		worker.on('died', () =>
+		worker.appData.webRtcServer = webRtcServer;
+
+		logger.info(
+			'mediasoup WebRtcServer created [pid:%d, ports:%o]',
+			worker.pid, listenInfos.map(({ port }) => port + idx));
+	}
+
+	// Log worker resource usage every X seconds.
+	const usageInterval = setInterval(async () =>
+	{
+		const usage = await worker.getResourceUsage();
+
+		logger.info('mediasoup Worker resource usage [pid:%d]: %o', worker.pid, usage);
+	}, 120000);
+
+	worker.on('died', async () =>
+	{
+		logger.error('mediasoup Worker died, replacing it [pid:%d]', worker.pid);
+
+		clearInterval(usageInterval);
+
+		try
+		{
+			const newWorker = await createMediasoupWorker(idx);
+
+			mediasoupWorkers[idx] = newWorker;
+
+			logger.info(
+				'mediasoup Worker replaced [oldPid:%d, newPid:%d]', worker.pid, newWorker.pid);
+		}
+		catch (error)
 		{
 			logger.error(
-				'mediasoup Worker died, exiting  in 2 seconds... [pid:%d]', worker.pid);
+				'failed to replace mediasoup Worker, exiting in 2 seconds... [pid:%d]: %o',
+				worker.pid, error);
 
 			setTimeout(() => process.exit(1), 2000);
+		}
+	});
+
+	return worker;
+}
+
+/**
+ * Connect to other server nodes hosting the same Rooms and route their requests
+ * and notifications to the corresponding local Room.
+ */
+async function runCascade()
+{
+	logger.info('running Cascade...');
+
+	cascade = new Cascade(
+		{
+			nodeId     : config.cascade.nodeId,
+			listenIp   : config.cascade.listenIp,
+			listenPort : config.cascade.listenPort,
+			nodes      : config.cascade.nodes,
+			secret     : config.cascade.secret
 		});
 
-		mediasoupWorkers.push(worker);
+	cascade.on('request', (nodeId, method, data, accept, reject) =>
+	{
+		const room = rooms.get(data.roomId);
 
-		// Log worker resource usage every X seconds.
-		setInterval(async () =>
+		if (!room)
 		{
-			const usage = await worker.getResourceUsage();
+			reject(new Error(`room with id "${data.roomId}" not found`));
 
-			logger.info('mediasoup Worker resource usage [pid:%d]: %o', worker.pid, usage);
-		}, 120000);
-	}
+			return;
+		}
+
+		room.handleCascadeRequest({ nodeId, method, data })
+			.then(accept)
+			.catch(reject);
+	});
+
+	cascade.on('notification', (nodeId, method, data) =>
+	{
+		const room = rooms.get(data.roomId);
+
+		if (room)
+			room.handleCascadeNotification({ nodeId, method, data });
+	});
+
+	cascade.on('nodeconnected', (nodeId) =>
+	{
+		for (const room of rooms.values())
+		{
+			room.handleCascadeNodeConnected(nodeId);
+		}
+	});
+
+	cascade.on('nodedisconnected', (nodeId) =>
+	{
+		for (const room of rooms.values())
+		{
+			room.handleCascadeNodeClosed(nodeId);
+		}
+	});
+
+	await cascade.run();
 }
 
 /**
@@ -134,8 +363,49 @@ async function createExpressApp()
 
 	expressApp = express();
 
+	/**
+	 * Request-scoped logger (before any other middleware so the error handler
+	 * can always use it).
+	 */
+	expressApp.use(
+		(req, res, next) =>
+		{
+			req.logger = logger.child({ method: req.method, path: req.path });
+
+			next();
+		});
+
 	expressApp.use(bodyParser.json());
 
+	/**
+	 * If authentication is enabled, every API request must carry a valid access
+	 * token in the Authorization header ("Bearer <token>").
+	 */
+	expressApp.use(
+		[ '/rooms', '/metrics' ], (req, res, next) =>
+		{
+			if (!config.auth.enabled)
+			{
+				next();
+
+				return;
+			}
+
+			const [ scheme, token ] = (req.get('Authorization') || '').split(' ');
+
+			if (scheme !== 'Bearer')
+			{
+				const error = new Error('missing Bearer access token');
+
+				error.status = 401;
+				throw error;
+			}
+
+			req.token = auth.verifyToken(token);
+
+			next();
+		});
+
 	/**
 	 * For every API request, verify that the roomId in the path matches and
 	 * existing room.
@@ -143,6 +413,15 @@ async function createExpressApp()
 	expressApp.param(
 		'roomId', (req, res, next, roomId) =>
 		{
+			// The access token must be valid for this room.
+			if (req.token && req.token.role !== 'admin' && req.token.roomId !== roomId)
+			{
+				const error = new Error('access token not valid for this room');
+
+				error.status = 403;
+				throw error;
+			}
+
 			// The room must exist for all API requests.
 			if (!rooms.has(roomId))
 			{
@@ -153,10 +432,168 @@ async function createExpressApp()
 			}
 
 			req.room = rooms.get(roomId);
+			req.logger = req.logger.child({ roomId });
+
+			next();
+		});
+
+	/**
+	 * For every API request on a Broadcaster, verify that the access token was
+	 * issued for it.
+	 */
+	expressApp.param(
+		'broadcasterId', (req, res, next, broadcasterId) =>
+		{
+			if (req.token && req.token.role !== 'admin' && req.token.peerId !== broadcasterId)
+			{
+				const error = new Error('access token not valid for this broadcaster');
+
+				error.status = 403;
+				throw error;
+			}
+
+			next();
+		});
+
+	/**
+	 * While draining, don't create rooms nor broadcasters.
+	 */
+	expressApp.post(
+		[
+			'/rooms',
+			'/rooms/:roomId/broadcasters',
+			'/rooms/:roomId/whip',
+			'/rooms/:roomId/whep'
+		],
+		(req, res, next) =>
+		{
+			if (draining)
+			{
+				const error = new Error('server is shutting down');
+
+				error.status = 503;
+				throw error;
+			}
 
 			next();
 		});
 
+	/**
+	 * API GET resource that returns metrics of the mediasoup Workers and the
+	 * rooms in Prometheus text format.
+	 */
+	expressApp.get(
+		'/metrics', requireAdminToken, async (req, res, next) =>
+		{
+			try
+			{
+				const text = await metrics.collectMetrics(
+					{
+						workers : mediasoupWorkers,
+						rooms   : Array.from(rooms.values())
+					});
+
+				res.status(200)
+					.type('text/plain; version=0.0.4')
+					.send(text);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * API GET resource that returns the list of rooms.
+	 */
+	expressApp.get(
+		'/rooms', requireAdminToken, (req, res) =>
+		{
+			const data = Array.from(rooms.values())
+				.map((room) => room.getInfo());
+
+			res.status(200).json(data);
+		});
+
+	/**
+	 * POST API to create a room before any peer joins it. Body parameters may
+	 * include the desired roomId (otherwise a random one is generated), whether
+	 * new peers must wait in a lobby until a host admits them and policies
+	 * overriding the roomPolicies in the configuration file.
+	 */
+	expressApp.post(
+		'/rooms', requireAdminToken, async (req, res, next) =>
+		{
+			const {
+				roomId = crypto.randomBytes(4).toString('hex'),
+				lobby = config.lobby,
+				policies = {}
+			} = req.body;
+
+			try
+			{
+				if (typeof roomId !== 'string' || !roomId)
+					throw new TypeError('wrong body.roomId');
+				else if (typeof lobby !== 'boolean')
+					throw new TypeError('wrong body.lobby');
+				else if (typeof policies !== 'object' || !policies)
+					throw new TypeError('wrong body.policies');
+
+				for (const key of Object.keys(policies))
+				{
+					const value = policies[key];
+
+					if (!(key in config.roomPolicies))
+						throw new TypeError(`unknown policy "${key}"`);
+					else if (typeof value !== 'number' || !(value >= 0))
+						throw new TypeError(`wrong body.policies.${key}`);
+				}
+
+				const room = await queue.push(async () =>
+				{
+					if (rooms.has(roomId))
+					{
+						const error = new Error(`room with id "${roomId}" already exists`);
+
+						error.status = 409;
+						throw error;
+					}
+
+					return getOrCreateRoom({ roomId, lobby, policies });
+				});
+
+				res.status(201).json(room.getInfo());
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * DELETE API to close a room. All its peers and broadcasters are
+	 * disconnected.
+	 */
+	expressApp.delete(
+		'/rooms/:roomId', requireAdminToken, (req, res) =>
+		{
+			req.room.close();
+
+			res.status(200).send('room closed');
+		});
+
+	/**
+	 * API GET resource that returns the joined peers of the room with their
+	 * producers and consumers.
+	 */
+	expressApp.get(
+		'/rooms/:roomId/peers', requireAdminToken, (req, res) =>
+		{
+			const data = req.room.getPeerInfos();
+
+			res.status(200).json(data);
+		});
+
 	/**
 	 * API GET resource that returns the mediasoup Router RTP capabilities of
 	 * the room.
@@ -169,11 +606,23 @@ async function createExpressApp()
 			res.status(200).json(data);
 		});
 
+	/**
+	 * API GET resource that returns the Broadcasters of the room, with their
+	 * creation and last keepalive times.
+	 */
+	expressApp.get(
+		'/rooms/:roomId/broadcasters', (req, res) =>
+		{
+			const data = req.room.getBroadcasterInfos();
+
+			res.status(200).json(data);
+		});
+
 	/**
 	 * POST API to create a Broadcaster.
 	 */
 	expressApp.post(
-		'/rooms/:roomId/broadcasters', async (req, res, next) =>
+		'/rooms/:roomId/broadcasters', checkRoomAccess, async (req, res, next) =>
 		{
 			const {
 				id,
@@ -184,12 +633,21 @@ async function createExpressApp()
 
 			try
 			{
+				if (req.token && req.token.role !== 'admin' && req.token.peerId !== id)
+				{
+					const error = new Error('access token not valid for this broadcaster');
+
+					error.status = 403;
+					throw error;
+				}
+
 				const data = await req.room.createBroadcaster(
 					{
 						id,
 						displayName,
 						device,
-						rtpCapabilities
+						rtpCapabilities,
+						token : req.token
 					});
 
 				res.status(200).json(data);
@@ -213,6 +671,19 @@ async function createExpressApp()
 			res.status(200).send('broadcaster deleted');
 		});
 
+	/**
+	 * POST API to keep a Broadcaster alive. Once a Broadcaster sends a keepalive
+	 * it must send them periodically or it's deleted.
+	 */
+	expressApp.post(
+		'/rooms/:roomId/broadcasters/:broadcasterId/keepalive', (req, res) =>
+		{
+			const { broadcasterId } = req.params;
+			const data = req.room.keepAliveBroadcaster({ broadcasterId });
+
+			res.status(200).json(data);
+		});
+
 	/**
 	 * POST API to create a mediasoup Transport associated to a Broadcaster.
 	 * It can be a PlainTransport or a WebRtcTransport depending on the
@@ -335,35 +806,73 @@ async function createExpressApp()
 		});
 
 	/**
-	 * POST API to create a mediasoup DataConsumer associated to a Broadcaster.
-	 * The exact Transport in which the DataConsumer must be created is signaled in
-	 * the URL path. Query body must include the desired producerId to
-	 * consume.
+	 * POST API to send a Producer (or all the Producers of a Peer) as plain RTP
+	 * to the ip and port given in the body, by creating PlainTransports and
+	 * Consumers associated to a Broadcaster. Responds with an SDP file usable by
+	 * FFmpeg, GStreamer or VLC (or, if JSON is requested, with an object with the
+	 * SDP and the Consumers).
 	 */
 	expressApp.post(
-		'/rooms/:roomId/broadcasters/:broadcasterId/transports/:transportId/consume/data',
+		'/rooms/:roomId/broadcasters/:broadcasterId/consume/rtp',
+		checkPlainRtpDestination,
 		async (req, res, next) =>
 		{
-			const { broadcasterId, transportId } = req.params;
-			const { dataProducerId } = req.body;
+			const { broadcasterId } = req.params;
+			const { producerId, peerId, ip, port } = req.body;
 
 			try
 			{
-				const data = await req.room.createBroadcasterDataConsumer(
+				const data = await req.room.createBroadcasterPlainConsumers(
 					{
 						broadcasterId,
-						transportId,
-						dataProducerId
+						producerId,
+						peerId,
+						ip,
+						port
 					});
 
-				res.status(200).json(data);
+				res.status(200).format(
+					{
+						'application/sdp'  : () => res.send(data.sdp),
+						'application/json' : () => res.json(data)
+					});
 			}
 			catch (error)
 			{
 				next(error);
 			}
 		});
-	
+
+	/**
+	 * POST API to create a mediasoup DataConsumer associated to a Broadcaster.
+	 * The exact Transport in which the DataConsumer must be created is signaled in
+	 * the URL path. Query body must include the desired producerId to
+	 * consume.
+	 */
+	expressApp.post(
+		'/rooms/:roomId/broadcasters/:broadcasterId/transports/:transportId/consume/data',
+		async (req, res, next) =>
+		{
+			const { broadcasterId, transportId } = req.params;
+			const { dataProducerId } = req.body;
+
+			try
+			{
+				const data = await req.room.createBroadcasterDataConsumer(
+					{
+						broadcasterId,
+						transportId,
+						dataProducerId
+					});
+
+				res.status(200).json(data);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+	
 	/**
 	 * POST API to create a mediasoup DataProducer associated to a Broadcaster.
 	 * The exact Transport in which the DataProducer must be created is signaled in
@@ -395,6 +904,333 @@ async function createExpressApp()
 			}
 		});
 
+	/**
+	 * PUT API to pause a Producer of a Broadcaster.
+	 */
+	expressApp.put(
+		'/rooms/:roomId/broadcasters/:broadcasterId/producers/:producerId/pause',
+		async (req, res, next) =>
+		{
+			const { broadcasterId, producerId } = req.params;
+
+			try
+			{
+				await req.room.pauseBroadcasterProducer({ broadcasterId, producerId });
+
+				res.status(200).send('producer paused');
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * PUT API to resume a Producer of a Broadcaster.
+	 */
+	expressApp.put(
+		'/rooms/:roomId/broadcasters/:broadcasterId/producers/:producerId/resume',
+		async (req, res, next) =>
+		{
+			const { broadcasterId, producerId } = req.params;
+
+			try
+			{
+				await req.room.resumeBroadcasterProducer({ broadcasterId, producerId });
+
+				res.status(200).send('producer resumed');
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * DELETE API to close a Producer of a Broadcaster.
+	 */
+	expressApp.delete(
+		'/rooms/:roomId/broadcasters/:broadcasterId/producers/:producerId', (req, res) =>
+		{
+			const { broadcasterId, producerId } = req.params;
+
+			req.room.closeBroadcasterProducer({ broadcasterId, producerId });
+
+			res.status(200).send('producer closed');
+		});
+
+	/**
+	 * API GET resource that returns the stats of a Producer of a Broadcaster.
+	 */
+	expressApp.get(
+		'/rooms/:roomId/broadcasters/:broadcasterId/producers/:producerId/stats',
+		async (req, res, next) =>
+		{
+			const { broadcasterId, producerId } = req.params;
+
+			try
+			{
+				const stats = await req.room.getBroadcasterProducerStats(
+					{ broadcasterId, producerId });
+
+				res.status(200).json(stats);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * PUT API to pause a Consumer of a Broadcaster.
+	 */
+	expressApp.put(
+		'/rooms/:roomId/broadcasters/:broadcasterId/consumers/:consumerId/pause',
+		async (req, res, next) =>
+		{
+			const { broadcasterId, consumerId } = req.params;
+
+			try
+			{
+				await req.room.pauseBroadcasterConsumer({ broadcasterId, consumerId });
+
+				res.status(200).send('consumer paused');
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * PUT API to resume a Consumer of a Broadcaster.
+	 */
+	expressApp.put(
+		'/rooms/:roomId/broadcasters/:broadcasterId/consumers/:consumerId/resume',
+		async (req, res, next) =>
+		{
+			const { broadcasterId, consumerId } = req.params;
+
+			try
+			{
+				await req.room.resumeBroadcasterConsumer({ broadcasterId, consumerId });
+
+				res.status(200).send('consumer resumed');
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * DELETE API to close a Consumer of a Broadcaster.
+	 */
+	expressApp.delete(
+		'/rooms/:roomId/broadcasters/:broadcasterId/consumers/:consumerId', (req, res) =>
+		{
+			const { broadcasterId, consumerId } = req.params;
+
+			req.room.closeBroadcasterConsumer({ broadcasterId, consumerId });
+
+			res.status(200).send('consumer closed');
+		});
+
+	/**
+	 * API GET resource that returns the stats of a Consumer of a Broadcaster.
+	 */
+	expressApp.get(
+		'/rooms/:roomId/broadcasters/:broadcasterId/consumers/:consumerId/stats',
+		async (req, res, next) =>
+		{
+			const { broadcasterId, consumerId } = req.params;
+
+			try
+			{
+				const stats = await req.room.getBroadcasterConsumerStats(
+					{ broadcasterId, consumerId });
+
+				res.status(200).json(stats);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * DELETE API to close a DataProducer of a Broadcaster.
+	 */
+	expressApp.delete(
+		'/rooms/:roomId/broadcasters/:broadcasterId/data-producers/:dataProducerId', (req, res) =>
+		{
+			const { broadcasterId, dataProducerId } = req.params;
+
+			req.room.closeBroadcasterDataProducer({ broadcasterId, dataProducerId });
+
+			res.status(200).send('dataProducer closed');
+		});
+
+	/**
+	 * API GET resource that returns the stats of a DataProducer of a Broadcaster.
+	 */
+	expressApp.get(
+		'/rooms/:roomId/broadcasters/:broadcasterId/data-producers/:dataProducerId/stats',
+		async (req, res, next) =>
+		{
+			const { broadcasterId, dataProducerId } = req.params;
+
+			try
+			{
+				const stats = await req.room.getBroadcasterDataProducerStats(
+					{ broadcasterId, dataProducerId });
+
+				res.status(200).json(stats);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * WHIP (WebRTC-HTTP ingestion protocol) endpoint. The body is an SDP offer
+	 * whose media sections are ingested as Producers of a new Broadcaster (with
+	 * a single WebRtcTransport). Responds with the SDP answer and, in the
+	 * Location header, the URL of the WHIP resource (to delete it).
+	 */
+	expressApp.post(
+		'/rooms/:roomId/whip',
+		checkRoomAccess,
+		bodyParser.text({ type: 'application/sdp' }),
+		async (req, res, next) =>
+		{
+			const id = req.token && req.token.role !== 'admin'
+				? req.token.peerId
+				: undefined;
+
+			try
+			{
+				const whipSession = await WhipSession.create(
+					{
+						room        : req.room,
+						id,
+						sdpOffer    : req.body,
+						displayName : req.query.displayName,
+						token       : req.token
+					});
+
+				const key = `${req.room.id}/${whipSession.id}`;
+
+				whipSessions.set(key, whipSession);
+				whipSession.on('close', () => whipSessions.delete(key));
+
+				req.logger.info('WHIP session created [broadcasterId:%s]', whipSession.id);
+
+				res.status(201)
+					.type('application/sdp')
+					.location(`/rooms/${req.room.id}/whip/${whipSession.id}`)
+					.send(whipSession.answer);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * DELETE API to terminate a WHIP session (it deletes its Broadcaster).
+	 */
+	expressApp.delete(
+		'/rooms/:roomId/whip/:broadcasterId', (req, res) =>
+		{
+			const { broadcasterId } = req.params;
+			const whipSession = whipSessions.get(`${req.room.id}/${broadcasterId}`);
+
+			if (!whipSession)
+			{
+				const error = new Error(`WHIP session with id "${broadcasterId}" not found`);
+
+				error.status = 404;
+				throw error;
+			}
+
+			whipSession.close();
+
+			res.status(200).send('WHIP session deleted');
+		});
+
+	/**
+	 * WHEP (WebRTC-HTTP egress protocol) endpoint. The body is an SDP offer of a
+	 * player that wants to watch the room. Producers of the room (or just those
+	 * of the peerId or the producerId given in the query) are sent into its media
+	 * sections. Responds with the SDP answer and, in the Location header, the URL
+	 * of the WHEP resource (to delete it).
+	 */
+	expressApp.post(
+		'/rooms/:roomId/whep',
+		checkRoomAccess,
+		bodyParser.text({ type: 'application/sdp' }),
+		async (req, res, next) =>
+		{
+			const { peerId, producerId, displayName } = req.query;
+			const id = req.token && req.token.role !== 'admin'
+				? req.token.peerId
+				: undefined;
+
+			try
+			{
+				const whepSession = await WhepSession.create(
+					{
+						room     : req.room,
+						id,
+						sdpOffer : req.body,
+						displayName,
+						peerId,
+						producerId,
+						token    : req.token
+					});
+
+				const key = `${req.room.id}/${whepSession.id}`;
+
+				whepSessions.set(key, whepSession);
+				whepSession.on('close', () => whepSessions.delete(key));
+
+				req.logger.info('WHEP session created [broadcasterId:%s]', whepSession.id);
+
+				res.status(201)
+					.type('application/sdp')
+					.location(`/rooms/${req.room.id}/whep/${whepSession.id}`)
+					.send(whepSession.answer);
+			}
+			catch (error)
+			{
+				next(error);
+			}
+		});
+
+	/**
+	 * DELETE API to terminate a WHEP session.
+	 */
+	expressApp.delete(
+		'/rooms/:roomId/whep/:broadcasterId', (req, res) =>
+		{
+			const { broadcasterId } = req.params;
+			const whepSession = whepSessions.get(`${req.room.id}/${broadcasterId}`);
+
+			if (!whepSession)
+			{
+				const error = new Error(`WHEP session with id "${broadcasterId}" not found`);
+
+				error.status = 404;
+				throw error;
+			}
+
+			whepSession.close();
+
+			res.status(200).send('WHEP session deleted');
+		});
+
 	/**
 	 * Error handler.
 	 */
@@ -403,7 +1239,7 @@ async function createExpressApp()
 		{
 			if (error)
 			{
-				logger.warn('Express app %s', String(error));
+				req.logger.warn('Express app %s', String(error));
 
 				error.status = error.status || (error.name === 'TypeError' ? 400 : 500);
 
@@ -464,6 +1300,7 @@ async function runProtooWebSocketServer()
 		const u = url.parse(info.request.url, true);
 		const roomId = u.query['roomId'];
 		const peerId = u.query['peerId'];
+		let token;
 
 		if (!roomId || !peerId)
 		{
@@ -472,62 +1309,278 @@ async function runProtooWebSocketServer()
 			return;
 		}
 
-		logger.info(
+		// While draining, just Peers whose WebSocket dropped can reconnect (to
+		// resume their session).
+		if (draining && !isPeerDisconnected({ roomId, peerId }))
+		{
+			reject(503, 'server is shutting down');
+
+			return;
+		}
+
+		const connectionLogger = logger.child({ roomId, peerId });
+
+		// If authentication is enabled, the client must provide a valid access
+		// token for this roomId and peerId.
+		if (config.auth.enabled)
+		{
+			try
+			{
+				token = auth.verifyToken(u.query['token']);
+			}
+			catch (error)
+			{
+				connectionLogger.warn(
+					'protoo connection request rejected [roomId:%s, peerId:%s]: %s',
+					roomId, peerId, error.message);
+
+				reject(error.status, error.message);
+
+				return;
+			}
+
+			if (token.roomId !== roomId || token.peerId !== peerId)
+			{
+				reject(403, 'access token not valid for this roomId and/or peerId');
+
+				return;
+			}
+		}
+
+		connectionLogger.info(
 			'protoo connection request [roomId:%s, peerId:%s, address:%s, origin:%s]',
 			roomId, peerId, info.socket.remoteAddress, info.origin);
 
+		// If the Room failed while the Peer was disconnected, tell it so it joins
+		// again instead of trying to resume its session.
+		const failedSessionKey = `${roomId}/${peerId}`;
+
+		if (failedSessions.has(failedSessionKey))
+		{
+			const reason = failedSessions.get(failedSessionKey);
+
+			failedSessions.delete(failedSessionKey);
+
+			notifyProtooConnection(
+				{ peerId, accept, method: 'roomFailed', data: { reason } });
+
+			return;
+		}
+
 		// Serialize this code into the queue to avoid that two peers connecting at
 		// the same time with the same roomId create two separate rooms with same
 		// roomId.
 		queue.push(async () =>
 		{
+			// The Peer may no longer be able to resume its session meanwhile.
+			if (draining && !isPeerDisconnected({ roomId, peerId }))
+			{
+				reject(503, 'server is shutting down');
+
+				return;
+			}
+
 			const room = await getOrCreateRoom({ roomId });
+			// While draining Peers can't join again.
+			let resumeOnly = draining;
+
+			try
+			{
+				room.checkAccess({ password: u.query['password'], token });
+			}
+			catch (error)
+			{
+				// A Peer whose WebSocket dropped can reconnect to resume its session
+				// (it must provide its resume token) but not to join again.
+				if (room.isPeerDisconnected(peerId))
+				{
+					resumeOnly = true;
+				}
+				else
+				{
+					connectionLogger.warn(
+						'protoo connection request denied [roomId:%s, peerId:%s]: %s',
+						roomId, peerId, error.message);
+
+					denyProtooConnection({ peerId, accept, error });
+
+					return;
+				}
+			}
 
 			// Accept the protoo WebSocket connection.
 			const protooWebSocketTransport = accept();
 
-			room.handleProtooConnection({ peerId, protooWebSocketTransport });
+			room.handleProtooConnection(
+				{ peerId, token, resumeOnly, protooWebSocketTransport });
 		})
 			.catch((error) =>
 			{
-				logger.error('room creation or room joining failed:%o', error);
+				connectionLogger.error('room creation or room joining failed:%o', error);
 
 				reject(error);
 			});
 	});
 }
 
+/**
+ * Whether the Peer with the given id is disconnected from the given Room and
+ * can still resume its session.
+ */
+function isPeerDisconnected({ roomId, peerId })
+{
+	const room = rooms.get(roomId);
+
+	return Boolean(room) && room.isPeerDisconnected(peerId);
+}
+
+/**
+ * Browsers can't read the reason of a rejected WebSocket connection, so accept
+ * it, tell the client why it can't enter the room (so it can ask for a password
+ * if needed) and close it.
+ */
+function denyProtooConnection({ peerId, accept, error })
+{
+	notifyProtooConnection(
+		{
+			peerId,
+			accept,
+			method : 'roomAccessDenied',
+			data   :
+			{
+				reason  : error.reason,
+				message : error.message
+			}
+		});
+}
+
+/**
+ * Accept a protoo WebSocket connection just to send a notification to the
+ * client and close it.
+ */
+function notifyProtooConnection({ peerId, accept, method, data })
+{
+	const protooRoom = new protoo.Room();
+	const peer = protooRoom.createPeer(peerId, accept());
+
+	peer.notify(method, data)
+		.catch(() => {})
+		.then(() => protooRoom.close());
+}
+
+/**
+ * Express middleware that, if authentication is enabled, just allows requests
+ * with an access token having the 'admin' role.
+ */
+function requireAdminToken(req, res, next)
+{
+	if (req.token && req.token.role !== 'admin')
+	{
+		const error = new Error('access token without admin role');
+
+		error.status = 403;
+		throw error;
+	}
+
+	next();
+}
+
+/**
+ * Express middleware for requests that send plain RTP to the ip given in the
+ * body. Unless the access token has the 'admin' role, the ip must be in the
+ * configured allowed destinations (so the server cannot be used to flood
+ * arbitrary hosts).
+ */
+function checkPlainRtpDestination(req, res, next)
+{
+	const { ip } = req.body;
+
+	// Wrong ips are rejected by the Room.
+	if (
+		net.isIP(ip) &&
+		!(req.token && req.token.role === 'admin') &&
+		!isIpInRanges(ip, config.plainRtpEgress.allowedDestinations)
+	)
+	{
+		const error = new Error(`plain RTP destination not allowed [ip:${ip}]`);
+
+		error.status = 403;
+		throw error;
+	}
+
+	next();
+}
+
+/**
+ * Express middleware for requests that create a Broadcaster. If the room is
+ * locked or has a password (that must be given in the X-Room-Password header)
+ * just hosts and admins are allowed.
+ */
+function checkRoomAccess(req, res, next)
+{
+	req.room.checkAccess(
+		{
+			password : req.get('X-Room-Password'),
+			token    : req.token
+		});
+
+	next();
+}
+
 /**
  * Get next mediasoup Worker.
  */
 function getMediasoupWorker()
 {
-	const worker = mediasoupWorkers[nextMediasoupWorkerIdx];
+	// Skip Workers that died and are still being replaced.
+	for (let i = 0; i < mediasoupWorkers.length; ++i)
+	{
+		const worker = mediasoupWorkers[nextMediasoupWorkerIdx];
 
-	if (++nextMediasoupWorkerIdx === mediasoupWorkers.length)
-		nextMediasoupWorkerIdx = 0;
+		if (++nextMediasoupWorkerIdx === mediasoupWorkers.length)
+			nextMediasoupWorkerIdx = 0;
 
-	return worker;
+		if (!worker.closed)
+			return worker;
+	}
+
+	throw new Error('no mediasoup Worker available');
 }
 
 /**
  * Get a Room instance (or create one if it does not exist).
  */
-async function getOrCreateRoom({ roomId })
+async function getOrCreateRoom({ roomId, lobby = config.lobby, policies })
 {
 	let room = rooms.get(roomId);
 
 	// If the Room does not exist create a new one.
 	if (!room)
 	{
-		logger.info('creating a new Room [roomId:%s]', roomId);
+		logger.child({ roomId }).info('creating a new Room [roomId:%s]', roomId);
 
 		const mediasoupWorker = getMediasoupWorker();
 
-		room = await Room.create({ mediasoupWorker, roomId });
+		room = await Room.create(
+			{ mediasoupWorker, getMediasoupWorker, roomId, lobby, policies, cascade });
 
 		rooms.set(roomId, room);
 		room.on('close', () => rooms.delete(roomId));
+
+		room.on('failed', ({ reason, disconnectedPeerIds }) =>
+		{
+			for (const peerId of disconnectedPeerIds)
+			{
+				const failedSessionKey = `${roomId}/${peerId}`;
+
+				failedSessions.set(failedSessionKey, reason);
+
+				setTimeout(
+					() => failedSessions.delete(failedSessionKey), config.peerResumeTimeout);
+			}
+		});
+
+		webhooks.send('room.created', { roomId });
 	}
 
 	return room;
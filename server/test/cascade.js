@@ -0,0 +1,174 @@
+/**
+ * Check the signaling between two server nodes running in separate processes.
+ *
+ * The parent process runs a Cascade node and spawns child processes running
+ * another node that connects to it: one with the shared secret (so requests
+ * and notifications flow between both nodes) and another one with a wrong
+ * secret (that must be rejected).
+ *
+ * Usage: node test/cascade.js
+ */
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const net = require('net');
+const Cascade = require('../lib/Cascade');
+
+const SECRET = 'test-secret';
+
+// Time waiting for a node that must not connect (in ms).
+const REJECT_WAIT = 2000;
+
+if (process.argv[2] === 'child')
+	runChild({ port: Number(process.argv[3]), secret: process.argv[4] });
+else
+	run();
+
+async function run()
+{
+	const port = await getFreePort();
+	const cascade = new Cascade(
+		{
+			nodeId     : 'node-a',
+			listenIp   : '127.0.0.1',
+			listenPort : port,
+			nodes      : [],
+			secret     : SECRET
+		});
+
+	await cascade.run();
+
+	try
+	{
+		await checkGoodSecret({ cascade, port });
+		await checkWrongSecret({ cascade, port });
+
+		// eslint-disable-next-line no-console
+		console.log('cascade test passed');
+	}
+	catch (error)
+	{
+		// eslint-disable-next-line no-console
+		console.error('cascade test failed:', error);
+
+		process.exitCode = 1;
+	}
+	finally
+	{
+		cascade.close();
+	}
+}
+
+async function checkGoodSecret({ cascade, port })
+{
+	const child = spawnChild({ port, secret: SECRET });
+
+	try
+	{
+		const [ nodeId ] = await once(cascade, 'nodeconnected');
+
+		assert.strictEqual(nodeId, 'node-b');
+
+		// The child node notifies once connected.
+		const [ , method, data ] = await once(cascade, 'notification');
+
+		assert.strictEqual(method, 'hello');
+		assert.deepStrictEqual(data, { from: 'node-b' });
+
+		const response = await cascade.request('node-b', 'echo', { foo: 'bar' });
+
+		assert.deepStrictEqual(response, { foo: 'bar', nodeId: 'node-b' });
+
+		await assert.rejects(
+			cascade.request('node-b', 'unknown'), /unknown method "unknown"/);
+
+		child.kill();
+
+		const [ disconnectedNodeId ] = await once(cascade, 'nodedisconnected');
+
+		assert.strictEqual(disconnectedNodeId, 'node-b');
+	}
+	finally
+	{
+		child.kill();
+	}
+}
+
+async function checkWrongSecret({ cascade, port })
+{
+	const child = spawnChild({ port, secret: 'wrong-secret' });
+	const connectedNodeIds = [];
+	const onNodeConnected = (nodeId) => connectedNodeIds.push(nodeId);
+
+	cascade.on('nodeconnected', onNodeConnected);
+
+	try
+	{
+		await new Promise((resolve) => setTimeout(resolve, REJECT_WAIT));
+
+		assert.deepStrictEqual(connectedNodeIds, []);
+		assert.deepStrictEqual(cascade.connectedNodeIds, []);
+	}
+	finally
+	{
+		cascade.removeListener('nodeconnected', onNodeConnected);
+		child.kill();
+	}
+}
+
+async function runChild({ port, secret })
+{
+	const cascade = new Cascade(
+		{
+			nodeId     : 'node-b',
+			listenIp   : '127.0.0.1',
+			listenPort : await getFreePort(),
+			nodes      : [ `127.0.0.1:${port}` ],
+			secret
+		});
+
+	cascade.on('nodeconnected', (nodeId) =>
+	{
+		cascade.notify({ nodeId, method: 'hello', data: { from: 'node-b' } });
+	});
+
+	cascade.on('request', (nodeId, method, data, accept, reject) =>
+	{
+		if (method === 'echo')
+			accept({ ...data, nodeId: cascade.nodeId });
+		else
+			reject(new Error(`unknown method "${method}"`));
+	});
+
+	await cascade.run();
+}
+
+function spawnChild({ port, secret })
+{
+	return childProcess.fork(
+		__filename, [ 'child', String(port), secret ], { stdio: 'inherit' });
+}
+
+function getFreePort()
+{
+	return new Promise((resolve, reject) =>
+	{
+		const server = net.createServer();
+
+		server.once('error', reject);
+		server.listen(0, '127.0.0.1', () =>
+		{
+			const { port } = server.address();
+
+			server.close(() => resolve(port));
+		});
+	});
+}
+
+function once(emitter, event)
+{
+	return new Promise((resolve) =>
+	{
+		emitter.once(event, (...args) => resolve(args));
+	});
+}
@@ -0,0 +1,116 @@
+/**
+ * Check the RateLimiter token buckets: bursts, refill over time, the default
+ * rate, unlimited keys and idleness.
+ *
+ * Usage: node test/rateLimiter.js
+ */
+
+const assert = require('assert');
+const RateLimiter = require('../lib/RateLimiter');
+
+const rates =
+{
+	default : { rate: 10, burst: 3 },
+	join    : { rate: 0.5, burst: 2 }
+};
+
+// Fake clock (in ms) used instead of Date.now().
+let now = 1000000;
+
+run();
+
+function run()
+{
+	const dateNow = Date.now;
+
+	Date.now = () => now;
+
+	try
+	{
+		checkBurstAndRefill();
+		checkDefaultRate();
+		checkUnlimitedKeys();
+		checkIdle();
+
+		// eslint-disable-next-line no-console
+		console.log('rateLimiter test passed');
+	}
+	catch (error)
+	{
+		// eslint-disable-next-line no-console
+		console.error('rateLimiter test failed:', error);
+
+		process.exitCode = 1;
+	}
+	finally
+	{
+		Date.now = dateNow;
+	}
+}
+
+function checkBurstAndRefill()
+{
+	const rateLimiter = new RateLimiter(rates);
+
+	assert.strictEqual(rateLimiter.consume('join'), true);
+	assert.strictEqual(rateLimiter.consume('join'), true);
+	assert.strictEqual(rateLimiter.consume('join'), false, 'burst exceeded');
+
+	// Half a token is not enough.
+	now += 1000;
+	assert.strictEqual(rateLimiter.consume('join'), false);
+
+	now += 1000;
+	assert.strictEqual(rateLimiter.consume('join'), true, 'refilled token');
+	assert.strictEqual(rateLimiter.consume('join'), false);
+
+	// Refill never exceeds the burst.
+	now += 60000;
+	assert.strictEqual(rateLimiter.consume('join'), true);
+	assert.strictEqual(rateLimiter.consume('join'), true);
+	assert.strictEqual(rateLimiter.consume('join'), false);
+}
+
+function checkDefaultRate()
+{
+	const rateLimiter = new RateLimiter(rates);
+
+	for (let i = 0; i < 3; ++i)
+	{
+		assert.strictEqual(rateLimiter.consume('produce'), true);
+	}
+
+	assert.strictEqual(rateLimiter.consume('produce'), false);
+
+	// Each key has its own bucket.
+	assert.strictEqual(rateLimiter.consume('consume'), true);
+
+	now += 100;
+	assert.strictEqual(rateLimiter.consume('produce'), true);
+}
+
+function checkUnlimitedKeys()
+{
+	const rateLimiter = new RateLimiter({ join: rates.join });
+
+	for (let i = 0; i < 100; ++i)
+	{
+		assert.strictEqual(rateLimiter.consume('produce'), true);
+	}
+}
+
+function checkIdle()
+{
+	const rateLimiter = new RateLimiter(rates);
+
+	assert.strictEqual(rateLimiter.isIdle(), true, 'new RateLimiter is idle');
+
+	rateLimiter.consume('join');
+	assert.strictEqual(rateLimiter.isIdle(), false);
+
+	now += 1000;
+	assert.strictEqual(rateLimiter.isIdle(), false);
+
+	now += 1000;
+	assert.strictEqual(rateLimiter.isIdle(), true, 'refilled RateLimiter is idle');
+}
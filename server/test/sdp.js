@@ -0,0 +1,716 @@
+/**
+ * Check the SDP helpers used by WHIP and WHEP with offers as sent by Chrome,
+ * OBS and GStreamer: parsing, DTLS role mapping, codec matching (including
+ * H264 profiles), simulcast RIDs and SSRCs, Consumer RTP capabilities and
+ * answer generation. The results are checked against the mediasoup ORTC
+ * functions used by the router when producing and consuming.
+ *
+ * Usage: node test/sdp.js
+ */
+
+const assert = require('assert');
+const sdpTransform = require('sdp-transform');
+const ortc = require('mediasoup/node/lib/ortc');
+const config = require('../config');
+const sdp = require('../lib/sdp');
+
+const FINGERPRINT =
+	'DA:7B:57:DC:28:CE:04:4F:31:79:85:C4:31:67:EB:27:58:29:ED:77:2A:0D:24:AE:ED:AD:30:BC:BD:F1:9C:02';
+
+const TRANSPORT_CC = 'http://www.ietf.org/id/draft-holmer-rmcat-transport-wide-cc-extensions-01';
+
+// Offer of Chrome publishing audio and simulcast video (WHIP).
+const CHROME_WHIP_OFFER = toSdp(
+	[
+		'v=0',
+		'o=- 4215775240449105457 2 IN IP4 127.0.0.1',
+		's=-',
+		't=0 0',
+		'a=group:BUNDLE 0 1',
+		'a=extmap-allow-mixed',
+		'a=msid-semantic: WMS stream',
+		'm=audio 9 UDP/TLS/RTP/SAVPF 111 63 9 0 8 13 110 126',
+		'c=IN IP4 0.0.0.0',
+		'a=rtcp:9 IN IP4 0.0.0.0',
+		'a=ice-ufrag:EsAw',
+		'a=ice-pwd:bP+XJMM09aR8AiX1jdukzR6Y',
+		'a=ice-options:trickle',
+		`a=fingerprint:sha-256 ${FINGERPRINT}`,
+		'a=setup:actpass',
+		'a=mid:0',
+		'a=extmap:1 urn:ietf:params:rtp-hdrext:ssrc-audio-level',
+		'a=extmap:2 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time',
+		`a=extmap:3 ${TRANSPORT_CC}`,
+		'a=extmap:4 urn:ietf:params:rtp-hdrext:sdes:mid',
+		'a=sendonly',
+		'a=msid:stream audio-track',
+		'a=rtcp-mux',
+		'a=rtpmap:111 opus/48000/2',
+		'a=rtcp-fb:111 transport-cc',
+		'a=fmtp:111 minptime=10;useinbandfec=1',
+		'a=rtpmap:63 red/48000/2',
+		'a=fmtp:63 111/111',
+		'a=rtpmap:9 G722/8000',
+		'a=rtpmap:0 PCMU/8000',
+		'a=rtpmap:8 PCMA/8000',
+		'a=rtpmap:13 CN/8000',
+		'a=rtpmap:110 telephone-event/48000',
+		'a=rtpmap:126 telephone-event/8000',
+		'a=ssrc:3570614608 cname:4TOk42mSjXCkVIa6',
+		'a=ssrc:3570614608 msid:stream audio-track',
+		'm=video 9 UDP/TLS/RTP/SAVPF 98 99 102 103 127 121 96 97',
+		'c=IN IP4 0.0.0.0',
+		'a=rtcp:9 IN IP4 0.0.0.0',
+		'a=ice-ufrag:EsAw',
+		'a=ice-pwd:bP+XJMM09aR8AiX1jdukzR6Y',
+		'a=ice-options:trickle',
+		`a=fingerprint:sha-256 ${FINGERPRINT}`,
+		'a=setup:actpass',
+		'a=mid:1',
+		'a=extmap:14 urn:ietf:params:rtp-hdrext:toffset',
+		'a=extmap:2 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time',
+		'a=extmap:13 urn:3gpp:video-orientation',
+		`a=extmap:3 ${TRANSPORT_CC}`,
+		'a=extmap:4 urn:ietf:params:rtp-hdrext:sdes:mid',
+		'a=extmap:10 urn:ietf:params:rtp-hdrext:sdes:rtp-stream-id',
+		'a=extmap:11 urn:ietf:params:rtp-hdrext:sdes:repaired-rtp-stream-id',
+		'a=sendonly',
+		'a=msid:stream video-track',
+		'a=rtcp-mux',
+		'a=rtcp-rsize',
+		// VP9 profile 0 (the router has profile 2).
+		'a=rtpmap:98 VP9/90000',
+		'a=rtcp-fb:98 nack',
+		'a=fmtp:98 profile-id=0',
+		'a=rtpmap:99 rtx/90000',
+		'a=fmtp:99 apt=98',
+		// H264 baseline (the router has constrained baseline).
+		'a=rtpmap:102 H264/90000',
+		'a=rtcp-fb:102 nack',
+		'a=fmtp:102 level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42001f',
+		'a=rtpmap:103 rtx/90000',
+		'a=fmtp:103 apt=102',
+		// H264 constrained baseline with another packetization mode.
+		'a=rtpmap:127 H264/90000',
+		'a=rtcp-fb:127 nack',
+		'a=fmtp:127 level-asymmetry-allowed=1;packetization-mode=0;profile-level-id=42e01f',
+		'a=rtpmap:121 rtx/90000',
+		'a=fmtp:121 apt=127',
+		'a=rtpmap:96 VP8/90000',
+		'a=rtcp-fb:96 goog-remb',
+		'a=rtcp-fb:96 transport-cc',
+		'a=rtcp-fb:96 ccm fir',
+		'a=rtcp-fb:96 nack',
+		'a=rtcp-fb:96 nack pli',
+		'a=rtpmap:97 rtx/90000',
+		'a=fmtp:97 apt=96',
+		'a=rid:q send',
+		'a=rid:h send',
+		'a=rid:f send',
+		'a=simulcast:send q;h;f'
+	]);
+
+// Offer of OBS publishing audio and H264 video (WHIP). DTLS and ICE attributes
+// are at session level.
+const OBS_WHIP_OFFER = toSdp(
+	[
+		'v=0',
+		'o=rtc 3015334512 0 IN IP4 127.0.0.1',
+		's=-',
+		't=0 0',
+		'a=group:BUNDLE 0 1',
+		'a=group:LS 0 1',
+		'a=msid-semantic:WMS *',
+		'a=setup:actpass',
+		'a=ice-ufrag:Tt1C',
+		'a=ice-pwd:IcQ3HjyvQ5+7uiYm3HPXNk',
+		'a=ice-options:ice2,trickle',
+		`a=fingerprint:sha-256 ${FINGERPRINT}`,
+		'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+		'c=IN IP4 0.0.0.0',
+		'a=mid:0',
+		'a=sendonly',
+		'a=ssrc:1452447343 cname:6JbErz1vC4oxQ8ni',
+		'a=ssrc:1452447343 msid:obs-stream obs-stream-audio',
+		'a=msid:obs-stream obs-stream-audio',
+		'a=rtcp-mux',
+		'a=rtpmap:111 opus/48000/2',
+		'a=fmtp:111 minptime=10;maxaveragebitrate=96000;stereo=1;sprop-stereo=1;useinbandfec=1',
+		'm=video 9 UDP/TLS/RTP/SAVPF 96',
+		'c=IN IP4 0.0.0.0',
+		'a=mid:1',
+		'a=sendonly',
+		'a=ssrc:1452447344 cname:6JbErz1vC4oxQ8ni',
+		'a=ssrc:1452447344 msid:obs-stream obs-stream-video',
+		'a=msid:obs-stream obs-stream-video',
+		'a=rtcp-mux',
+		'a=rtpmap:96 H264/90000',
+		'a=rtcp-fb:96 nack',
+		'a=rtcp-fb:96 nack pli',
+		'a=rtcp-fb:96 goog-remb',
+		'a=fmtp:96 profile-level-id=42e01f;packetization-mode=1;level-asymmetry-allowed=1'
+	]);
+
+// Offer of GStreamer webrtcbin publishing H264 video with RTX and audio (WHIP).
+const GSTREAMER_WHIP_OFFER = toSdp(
+	[
+		'v=0',
+		'o=- 1914532385562522469 0 IN IP4 0.0.0.0',
+		's=-',
+		't=0 0',
+		'a=ice-options:trickle',
+		'a=group:BUNDLE video0 audio1',
+		'm=video 9 UDP/TLS/RTP/SAVPF 96 97',
+		'c=IN IP4 0.0.0.0',
+		'a=setup:passive',
+		'a=ice-ufrag:aXQnGfeXO8iqpPhvFfjKoKTiBEHJhkG8',
+		'a=ice-pwd:cPm6qqRjD9vUgnwjOBFYoFzVRXfBP3EW',
+		'a=rtcp-mux',
+		'a=rtcp-rsize',
+		'a=sendonly',
+		'a=rtpmap:96 H264/90000',
+		'a=rtcp-fb:96 nack',
+		'a=rtcp-fb:96 nack pli',
+		'a=rtcp-fb:96 ccm fir',
+		'a=fmtp:96 packetization-mode=1;profile-level-id=42c01f;level-asymmetry-allowed=1',
+		'a=rtpmap:97 rtx/90000',
+		'a=fmtp:97 apt=96',
+		'a=ssrc-group:FID 2867301395 1360537478',
+		'a=ssrc:2867301395 msid:user1016101178@host-c8fba8a3 webrtctransceiver0',
+		'a=ssrc:2867301395 cname:user1016101178@host-c8fba8a3',
+		'a=ssrc:1360537478 msid:user1016101178@host-c8fba8a3 webrtctransceiver0',
+		'a=ssrc:1360537478 cname:user1016101178@host-c8fba8a3',
+		'a=mid:video0',
+		`a=fingerprint:sha-256 ${FINGERPRINT}`,
+		'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+		'c=IN IP4 0.0.0.0',
+		'a=setup:passive',
+		'a=ice-ufrag:aXQnGfeXO8iqpPhvFfjKoKTiBEHJhkG8',
+		'a=ice-pwd:cPm6qqRjD9vUgnwjOBFYoFzVRXfBP3EW',
+		'a=rtcp-mux',
+		'a=rtcp-rsize',
+		'a=sendonly',
+		'a=rtpmap:111 OPUS/48000/2',
+		'a=rtcp-fb:111 transport-cc',
+		'a=fmtp:111 sprop-stereo=1',
+		'a=ssrc:3004126476 msid:user1016101178@host-c8fba8a3 webrtctransceiver1',
+		'a=ssrc:3004126476 cname:user1016101178@host-c8fba8a3',
+		'a=mid:audio1',
+		`a=fingerprint:sha-256 ${FINGERPRINT}`
+	]);
+
+// Offer of Chrome receiving audio and video (WHEP).
+const CHROME_WHEP_OFFER = toSdp(
+	[
+		'v=0',
+		'o=- 6217328452734872201 2 IN IP4 127.0.0.1',
+		's=-',
+		't=0 0',
+		'a=group:BUNDLE 0 1',
+		'a=extmap-allow-mixed',
+		'a=msid-semantic: WMS',
+		'm=audio 9 UDP/TLS/RTP/SAVPF 111 63 9 0 8',
+		'c=IN IP4 0.0.0.0',
+		'a=rtcp:9 IN IP4 0.0.0.0',
+		'a=ice-ufrag:+4vH',
+		'a=ice-pwd:G0DFpK6Yb8XTh6eTUrTmSdaE',
+		'a=ice-options:trickle',
+		`a=fingerprint:sha-256 ${FINGERPRINT}`,
+		'a=setup:active',
+		'a=mid:0',
+		'a=extmap:1 urn:ietf:params:rtp-hdrext:ssrc-audio-level',
+		`a=extmap:3 ${TRANSPORT_CC}`,
+		'a=extmap:4 urn:ietf:params:rtp-hdrext:sdes:mid',
+		'a=recvonly',
+		'a=rtcp-mux',
+		'a=rtpmap:111 opus/48000/2',
+		'a=rtcp-fb:111 transport-cc',
+		'a=fmtp:111 minptime=10;useinbandfec=1',
+		'a=rtpmap:63 red/48000/2',
+		'a=fmtp:63 111/111',
+		'a=rtpmap:9 G722/8000',
+		'a=rtpmap:0 PCMU/8000',
+		'a=rtpmap:8 PCMA/8000',
+		'm=video 9 UDP/TLS/RTP/SAVPF 96 97 102 103 98 99',
+		'c=IN IP4 0.0.0.0',
+		'a=rtcp:9 IN IP4 0.0.0.0',
+		'a=ice-ufrag:+4vH',
+		'a=ice-pwd:G0DFpK6Yb8XTh6eTUrTmSdaE',
+		'a=ice-options:trickle',
+		`a=fingerprint:sha-256 ${FINGERPRINT}`,
+		'a=setup:active',
+		'a=mid:1',
+		'a=extmap:14 urn:ietf:params:rtp-hdrext:toffset',
+		'a=extmap:13 urn:3gpp:video-orientation',
+		`a=extmap:3 ${TRANSPORT_CC}`,
+		'a=extmap:4 urn:ietf:params:rtp-hdrext:sdes:mid',
+		'a=extmap:10 urn:ietf:params:rtp-hdrext:sdes:rtp-stream-id',
+		'a=recvonly',
+		'a=rtcp-mux',
+		'a=rtcp-rsize',
+		'a=rtpmap:96 VP8/90000',
+		'a=rtcp-fb:96 goog-remb',
+		'a=rtcp-fb:96 transport-cc',
+		'a=rtcp-fb:96 ccm fir',
+		'a=rtcp-fb:96 nack',
+		'a=rtcp-fb:96 nack pli',
+		'a=rtpmap:97 rtx/90000',
+		'a=fmtp:97 apt=96',
+		'a=rtpmap:102 H264/90000',
+		'a=rtcp-fb:102 nack',
+		'a=rtcp-fb:102 nack pli',
+		'a=fmtp:102 level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42e01f',
+		'a=rtpmap:98 VP9/90000',
+		'a=rtcp-fb:98 nack',
+		'a=fmtp:98 profile-id=0',
+		'a=rtpmap:99 rtx/90000',
+		'a=fmtp:99 apt=98'
+	]);
+
+// Parameters of a mediasoup WebRtcTransport.
+const ICE_PARAMETERS =
+{
+	usernameFragment : 'abcdefgh12345678',
+	password         : 'abcdefghijklmnopqrstuvwxyz123456',
+	iceLite          : true
+};
+const ICE_CANDIDATES =
+[
+	{
+		foundation : 'udpcandidate',
+		priority   : 1076302079,
+		ip         : '1.2.3.4',
+		protocol   : 'udp',
+		port       : 44444,
+		type       : 'host'
+	},
+	{
+		foundation : 'tcpcandidate',
+		priority   : 1076276479,
+		ip         : '1.2.3.4',
+		protocol   : 'tcp',
+		port       : 44444,
+		type       : 'host',
+		tcpType    : 'passive'
+	}
+];
+const DTLS_PARAMETERS =
+{
+	role         : 'auto',
+	fingerprints :
+	[
+		{ algorithm: 'sha-1', value: '6B:8D:9F:34:FE:61:0E:C9:01:7C:E5:13:E0:F3:D9:C4:6C:D2:48:87' },
+		{ algorithm: 'sha-256', value: FINGERPRINT }
+	]
+};
+
+const routerRtpCapabilities = ortc.generateRouterRtpCapabilities(
+	config.mediasoup.routerOptions.mediaCodecs);
+
+run();
+
+function run()
+{
+	try
+	{
+		checkParseOffer();
+		checkDtlsParameters();
+		checkChromeProducers();
+		checkObsProducers();
+		checkGstreamerProducers();
+		checkUnsupportedCodecs();
+		checkConsumerRtpCapabilities();
+		checkProducerAnswer();
+		checkConsumerAnswer();
+
+		// eslint-disable-next-line no-console
+		console.log('sdp test passed');
+	}
+	catch (error)
+	{
+		// eslint-disable-next-line no-console
+		console.error('sdp test failed:', error);
+
+		process.exitCode = 1;
+	}
+}
+
+function checkParseOffer()
+{
+	for (const offer of [ CHROME_WHIP_OFFER, OBS_WHIP_OFFER, GSTREAMER_WHIP_OFFER ])
+	{
+		assert.strictEqual(sdp.parseOffer(offer).media.length, 2);
+	}
+
+	for (const wrongOffer of [ undefined, 42, '', 'foo' ])
+	{
+		assert.throws(
+			() => sdp.parseOffer(wrongOffer), { name: 'TypeError', message: 'wrong SDP offer' });
+	}
+
+	assert.throws(
+		() => sdp.parseOffer(toSdp([ 'v=0', 'o=- 0 0 IN IP4 127.0.0.1', 's=-', 't=0 0' ])),
+		/no media sections/);
+
+	assert.throws(
+		() => sdp.parseOffer(
+			CHROME_WHIP_OFFER.replace(/a=fingerprint:.*\r\n/g, '')),
+		/no DTLS fingerprint/);
+
+	assert.throws(
+		() => sdp.parseOffer(CHROME_WHIP_OFFER.replace(/a=mid:.*\r\n/g, '')),
+		/without mid/);
+}
+
+function checkDtlsParameters()
+{
+	// actpass or active: the remote endpoint is DTLS client.
+	for (const offer of [ CHROME_WHIP_OFFER, OBS_WHIP_OFFER, CHROME_WHEP_OFFER ])
+	{
+		assert.deepStrictEqual(
+			sdp.getDtlsParameters(sdp.parseOffer(offer)),
+			{
+				role         : 'client',
+				fingerprints : [ { algorithm: 'sha-256', value: FINGERPRINT } ]
+			});
+	}
+
+	// passive: the remote endpoint is DTLS server.
+	assert.strictEqual(
+		sdp.getDtlsParameters(sdp.parseOffer(GSTREAMER_WHIP_OFFER)).role, 'server');
+}
+
+function checkChromeProducers()
+{
+	const offer = sdp.parseOffer(CHROME_WHIP_OFFER);
+	const audio = getProducerRtpParameters(offer.media[0]);
+
+	assert.strictEqual(audio.mid, '0');
+	assert.deepStrictEqual(
+		audio.codecs,
+		[
+			{
+				mimeType     : 'audio/opus',
+				payloadType  : 111,
+				clockRate    : 48000,
+				channels     : 2,
+				parameters   : { minptime: 10, useinbandfec: 1 },
+				rtcpFeedback : [ { type: 'transport-cc', parameter: '' } ]
+			}
+		]);
+	assert.deepStrictEqual(
+		audio.headerExtensions.map((ext) => ext.id), [ 1, 2, 3, 4 ]);
+	assert.deepStrictEqual(audio.encodings, [ { ssrc: 3570614608 } ]);
+	assert.strictEqual(audio.rtcp.cname, '4TOk42mSjXCkVIa6');
+
+	const video = getProducerRtpParameters(offer.media[1]);
+
+	// VP9 and H264 are offered first but do not match the router ones.
+	assert.deepStrictEqual(
+		video.codecs.map((codec) => [ codec.mimeType, codec.payloadType ]),
+		[ [ 'video/VP8', 96 ], [ 'video/rtx', 97 ] ]);
+	assert.deepStrictEqual(video.codecs[1].parameters, { apt: 96 });
+	assert.deepStrictEqual(
+		video.codecs[0].rtcpFeedback.map((fb) => `${fb.type} ${fb.parameter}`.trim()),
+		[ 'goog-remb', 'transport-cc', 'ccm fir', 'nack', 'nack pli' ]);
+
+	// Simulcast streams are identified by RID.
+	assert.deepStrictEqual(
+		video.encodings, [ { rid: 'q' }, { rid: 'h' }, { rid: 'f' } ]);
+	assert.ok(
+		video.headerExtensions.some((ext) =>
+			ext.uri === 'urn:ietf:params:rtp-hdrext:sdes:rtp-stream-id' && ext.id === 10));
+}
+
+function checkObsProducers()
+{
+	const offer = sdp.parseOffer(OBS_WHIP_OFFER);
+	const audio = getProducerRtpParameters(offer.media[0]);
+
+	assert.deepStrictEqual(audio.codecs.map((codec) => codec.mimeType), [ 'audio/opus' ]);
+	assert.deepStrictEqual(audio.encodings, [ { ssrc: 1452447343 } ]);
+	assert.deepStrictEqual(audio.headerExtensions, []);
+
+	const video = getProducerRtpParameters(offer.media[1]);
+
+	assert.deepStrictEqual(
+		video.codecs.map((codec) => [ codec.mimeType, codec.payloadType ]),
+		[ [ 'video/H264', 96 ] ]);
+	assert.deepStrictEqual(
+		video.codecs[0].rtcpFeedback.map((fb) => `${fb.type} ${fb.parameter}`.trim()),
+		[ 'nack', 'nack pli', 'goog-remb' ]);
+	assert.deepStrictEqual(video.encodings, [ { ssrc: 1452447344 } ]);
+	assert.strictEqual(video.rtcp.cname, '6JbErz1vC4oxQ8ni');
+}
+
+function checkGstreamerProducers()
+{
+	const offer = sdp.parseOffer(GSTREAMER_WHIP_OFFER);
+	const video = getProducerRtpParameters(offer.media[0]);
+
+	// Constrained baseline 42c01f matches the router 42e01f (level is ignored).
+	assert.strictEqual(video.mid, 'video0');
+	assert.deepStrictEqual(
+		video.codecs.map((codec) => [ codec.mimeType, codec.payloadType ]),
+		[ [ 'video/H264', 96 ], [ 'video/rtx', 97 ] ]);
+	assert.deepStrictEqual(
+		video.encodings, [ { ssrc: 2867301395, rtx: { ssrc: 1360537478 } } ]);
+
+	// Codec names are matched case-insensitively.
+	const audio = getProducerRtpParameters(offer.media[1]);
+
+	assert.deepStrictEqual(
+		audio.codecs.map((codec) => [ codec.mimeType, codec.channels ]),
+		[ [ 'audio/OPUS', 2 ] ]);
+	assert.deepStrictEqual(audio.encodings, [ { ssrc: 3004126476 } ]);
+}
+
+function checkUnsupportedCodecs()
+{
+	const offer = sdp.parseOffer(
+		CHROME_WHIP_OFFER
+			// Just H264 baseline and H264 with packetization-mode 0.
+			.replace(/ 98 99 102 103 127 121 96 97\r\n/, ' 102 103 127 121\r\n')
+			.replace(/a=(rtpmap|rtcp-fb|fmtp):(98|99|96|97) .*\r\n/g, ''));
+
+	assert.strictEqual(
+		sdp.getProducerRtpParameters(
+			{ media: offer.media[1], rtpCapabilities: routerRtpCapabilities }),
+		null);
+
+	// Main profile matches the router 4d0032 (level is ignored).
+	const mainOffer = sdp.parseOffer(
+		OBS_WHIP_OFFER.replace('profile-level-id=42e01f', 'profile-level-id=4d001f'));
+	const video = getProducerRtpParameters(mainOffer.media[1]);
+
+	assert.strictEqual(video.codecs[0].parameters['profile-level-id'], '4d001f');
+}
+
+function checkConsumerRtpCapabilities()
+{
+	const offer = sdp.parseOffer(CHROME_WHEP_OFFER);
+	const audioCaps = sdp.getConsumerRtpCapabilities(
+		{ media: offer.media[0], rtpCapabilities: routerRtpCapabilities });
+
+	assert.deepStrictEqual(audioCaps.codecs.map((codec) => codec.mimeType), [ 'audio/opus' ]);
+	// The router receives transport-cc in audio but does not send it.
+	assert.deepStrictEqual(
+		audioCaps.headerExtensions.map((ext) => ext.uri).sort(),
+		[
+			'urn:ietf:params:rtp-hdrext:sdes:mid',
+			'urn:ietf:params:rtp-hdrext:ssrc-audio-level'
+		]);
+
+	const videoCaps = sdp.getConsumerRtpCapabilities(
+		{ media: offer.media[1], rtpCapabilities: routerRtpCapabilities });
+
+	// VP9 profile 0 does not match the router profile 2 and H264 RTX was not
+	// offered.
+	assert.deepStrictEqual(
+		videoCaps.codecs.map((codec) => [ codec.mimeType, codec.preferredPayloadType ]),
+		[ [ 'video/VP8', 101 ], [ 'video/rtx', 102 ], [ 'video/H264', 107 ] ]);
+	assert.deepStrictEqual(
+		videoCaps.codecs[2].rtcpFeedback.map((fb) => `${fb.type} ${fb.parameter}`.trim()),
+		[ 'nack', 'nack pli' ]);
+	// RID extensions are never sent by the router.
+	assert.deepStrictEqual(
+		videoCaps.headerExtensions.map((ext) => ext.uri).sort(),
+		[
+			TRANSPORT_CC,
+			'urn:3gpp:video-orientation',
+			'urn:ietf:params:rtp-hdrext:sdes:mid',
+			'urn:ietf:params:rtp-hdrext:toffset'
+		]);
+
+	// The router can create Consumers with them for the Producers of Chrome.
+	const whipOffer = sdp.parseOffer(CHROME_WHIP_OFFER);
+
+	for (const [ index, caps ] of [ [ 0, audioCaps ], [ 1, videoCaps ] ])
+	{
+		const rtpParameters = getProducerRtpParameters(whipOffer.media[index]);
+		const rtpMapping = ortc.getProducerRtpParametersMapping(
+			rtpParameters, routerRtpCapabilities);
+		const consumableRtpParameters = ortc.getConsumableRtpParameters(
+			whipOffer.media[index].type, rtpParameters, routerRtpCapabilities, rtpMapping);
+
+		ortc.validateRtpCapabilities(caps);
+
+		assert.ok(ortc.canConsume(consumableRtpParameters, caps));
+
+		const consumerRtpParameters =
+			ortc.getConsumerRtpParameters(consumableRtpParameters, caps, false);
+
+		assert.strictEqual(consumerRtpParameters.codecs[0].mimeType, caps.codecs[0].mimeType);
+	}
+
+	// Nothing in common.
+	const g722Offer = sdp.parseOffer(
+		CHROME_WHEP_OFFER
+			.replace(/ 111 63 9 0 8\r\n/, ' 9\r\n')
+			.replace(/a=(rtpmap|rtcp-fb|fmtp):(111|63|0|8) .*\r\n/g, ''));
+
+	assert.strictEqual(
+		sdp.getConsumerRtpCapabilities(
+			{ media: g722Offer.media[0], rtpCapabilities: routerRtpCapabilities }),
+		null);
+}
+
+function checkProducerAnswer()
+{
+	const offer = sdp.parseOffer(CHROME_WHIP_OFFER);
+	const audioRtpParameters = getProducerRtpParameters(offer.media[0]);
+	const videoRtpParameters = getProducerRtpParameters(offer.media[1]);
+	const remoteDtlsRole = sdp.getDtlsParameters(offer).role;
+	const answer = sdpTransform.parse(sdp.createAnswer(
+		{
+			offer,
+			iceParameters  : ICE_PARAMETERS,
+			iceCandidates  : ICE_CANDIDATES,
+			dtlsParameters : DTLS_PARAMETERS,
+			remoteDtlsRole,
+			sections       : new Map(
+				[
+					[ '0', { direction: 'recvonly', rtpParameters: audioRtpParameters } ],
+					[ '1', { direction: 'recvonly', rtpParameters: videoRtpParameters } ]
+				])
+		}));
+
+	assert.strictEqual(answer.icelite, 'ice-lite');
+	assert.deepStrictEqual(answer.fingerprint, { type: 'sha-256', hash: FINGERPRINT });
+	assert.deepStrictEqual(answer.groups, [ { type: 'BUNDLE', mids: '0 1' } ]);
+	assert.strictEqual(answer.media.length, 2);
+
+	for (const media of answer.media)
+	{
+		assert.strictEqual(media.direction, 'recvonly');
+		// The remote endpoint is DTLS client.
+		assert.strictEqual(media.setup, 'passive');
+		assert.strictEqual(media.iceUfrag, ICE_PARAMETERS.usernameFragment);
+		assert.strictEqual(media.icePwd, ICE_PARAMETERS.password);
+		assert.deepStrictEqual(
+			media.candidates.map((c) => [ c.transport, c.ip, c.port, c.tcptype ]),
+			[ [ 'udp', '1.2.3.4', 44444, undefined ], [ 'tcp', '1.2.3.4', 44444, 'passive' ] ]);
+		assert.strictEqual(media.rtcpMux, 'rtcp-mux');
+	}
+
+	const [ audio, video ] = answer.media;
+
+	assert.strictEqual(String(audio.payloads), '111');
+	assert.deepStrictEqual(
+		audio.rtp, [ { payload: 111, codec: 'opus', rate: 48000, encoding: 2 } ]);
+	assert.deepStrictEqual(
+		audio.fmtp, [ { payload: 111, config: 'minptime=10;useinbandfec=1' } ]);
+
+	assert.strictEqual(video.payloads, '96 97');
+	assert.deepStrictEqual(video.fmtp, [ { payload: 97, config: 'apt=96' } ]);
+	assert.deepStrictEqual(
+		video.rids,
+		[
+			{ id: 'q', direction: 'recv' },
+			{ id: 'h', direction: 'recv' },
+			{ id: 'f', direction: 'recv' }
+		]);
+	assert.deepStrictEqual(video.simulcast, { dir1: 'recv', list1: 'q;h;f' });
+	assert.deepStrictEqual(
+		video.ext.map((ext) => ext.value),
+		videoRtpParameters.headerExtensions.map((ext) => ext.id));
+
+	// A rejected media section and a remote endpoint being DTLS server.
+	const gstOffer = sdp.parseOffer(GSTREAMER_WHIP_OFFER);
+	const gstAnswer = sdpTransform.parse(sdp.createAnswer(
+		{
+			offer          : gstOffer,
+			iceParameters  : ICE_PARAMETERS,
+			iceCandidates  : ICE_CANDIDATES,
+			dtlsParameters : DTLS_PARAMETERS,
+			remoteDtlsRole : sdp.getDtlsParameters(gstOffer).role,
+			sections       : new Map(
+				[
+					[
+						'video0',
+						{
+							direction     : 'recvonly',
+							rtpParameters : getProducerRtpParameters(gstOffer.media[0])
+						}
+					]
+				])
+		}));
+
+	assert.deepStrictEqual(gstAnswer.groups, [ { type: 'BUNDLE', mids: 'video0' } ]);
+	assert.strictEqual(gstAnswer.media[0].setup, 'active');
+	assert.strictEqual(gstAnswer.media[0].rids, undefined);
+	assert.strictEqual(gstAnswer.media[1].mid, 'audio1');
+	assert.strictEqual(gstAnswer.media[1].port, 0);
+	assert.strictEqual(gstAnswer.media[1].direction, 'inactive');
+}
+
+function checkConsumerAnswer()
+{
+	const offer = sdp.parseOffer(CHROME_WHEP_OFFER);
+	const sections = new Map();
+
+	for (const media of offer.media)
+	{
+		sections.set(
+			String(media.mid),
+			{
+				direction       : 'sendonly',
+				rtpCapabilities : sdp.getConsumerRtpCapabilities(
+					{ media, rtpCapabilities: routerRtpCapabilities })
+			});
+	}
+
+	const answer = sdpTransform.parse(sdp.createAnswer(
+		{
+			offer,
+			iceParameters  : ICE_PARAMETERS,
+			iceCandidates  : ICE_CANDIDATES,
+			dtlsParameters : DTLS_PARAMETERS,
+			remoteDtlsRole : sdp.getDtlsParameters(offer).role,
+			sections
+		}));
+	const [ audio, video ] = answer.media;
+
+	assert.strictEqual(audio.direction, 'sendonly');
+	assert.strictEqual(audio.setup, 'passive');
+	assert.deepStrictEqual(
+		audio.msid.map((msid) => `${msid.id} ${msid.appdata}`), [ 'mediasoup 0' ]);
+	assert.strictEqual(String(audio.payloads), '100');
+
+	// Router payload types and header extension ids are used.
+	assert.strictEqual(video.payloads, '101 102 107');
+	assert.deepStrictEqual(
+		video.rtp.map((rtp) => rtp.codec), [ 'VP8', 'rtx', 'H264' ]);
+	assert.ok(
+		video.fmtp.some((fmtp) =>
+			fmtp.payload === 107 && fmtp.config.includes('profile-level-id=42e01f')));
+	assert.ok(
+		video.rtcpFb.some((fb) => fb.payload === 101 && fb.type === 'nack' && fb.subtype === 'pli'));
+	assert.deepStrictEqual(
+		video.ext.map((ext) => ext.value).sort((a, b) => a - b), [ 1, 5, 11, 12 ]);
+	assert.strictEqual(video.simulcast, undefined);
+	assert.strictEqual(video.ssrcs, undefined);
+}
+
+/**
+ * Get the Producer RTP parameters of an offered media section and check that
+ * mediasoup accepts them.
+ */
+function getProducerRtpParameters(media)
+{
+	const rtpParameters = sdp.getProducerRtpParameters(
+		{ media, rtpCapabilities: routerRtpCapabilities });
+
+	assert.ok(rtpParameters, `no RTP parameters for mid ${media.mid}`);
+
+	// Validate a copy since it fills default values.
+	ortc.validateRtpParameters(JSON.parse(JSON.stringify(rtpParameters)));
+	ortc.getProducerRtpParametersMapping(rtpParameters, routerRtpCapabilities);
+
+	return rtpParameters;
+}
+
+function toSdp(lines)
+{
+	return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,136 @@
+/**
+ * Check the validation of protoo request data: accepted requests, wrong
+ * types, lengths, ranges, enums and sizes, and methods without schema.
+ *
+ * Usage: node test/validation.js
+ */
+
+const assert = require('assert');
+const { validateRequest } = require('../lib/validation');
+
+run();
+
+function run()
+{
+	try
+	{
+		checkValidRequests();
+		checkWrongData();
+		checkWrongFields();
+		checkMethodsWithoutSchema();
+
+		// eslint-disable-next-line no-console
+		console.log('validation test passed');
+	}
+	catch (error)
+	{
+		// eslint-disable-next-line no-console
+		console.error('validation test failed:', error);
+
+		process.exitCode = 1;
+	}
+}
+
+function checkValidRequests()
+{
+	validateRequest('join', {});
+	validateRequest(
+		'join',
+		{
+			displayName      : 'Alice',
+			device           : { flag: 'chrome' },
+			rtpCapabilities  : { codecs: [] },
+			sctpCapabilities : { numStreams: { OS: 1024, MIS: 1024 } }
+		});
+	validateRequest(
+		'produce',
+		{
+			transportId   : 'transport1',
+			kind          : 'video',
+			rtpParameters : { codecs: [] },
+			appData       : { share: true }
+		});
+	validateRequest(
+		'setConsumerPreferredLayers', { consumerId: 'consumer1', spatialLayer: 0 });
+	validateRequest('setConsumerPriority', { consumerId: 'consumer1', priority: 255 });
+	validateRequest('setRoomPassword', { password: null });
+	validateRequest('setRoomPassword', {});
+
+	// Unknown fields are ignored.
+	validateRequest('restartIce', { transportId: 'transport1', foo: 'bar' });
+}
+
+function checkWrongData()
+{
+	for (const data of [ undefined, null, 'foo', 1, [] ])
+	{
+		assert.throws(
+			() => validateRequest('restartIce', data),
+			{ name: 'TypeError', message: 'wrong request data, must be an object' });
+	}
+}
+
+function checkWrongFields()
+{
+	const cases =
+	[
+		// Missing mandatory field.
+		[ 'restartIce', {}, 'wrong transportId' ],
+		// Wrong types.
+		[ 'restartIce', { transportId: 1 }, 'wrong transportId' ],
+		[ 'createWebRtcTransport', { forceTcp: 'yes' }, 'wrong forceTcp' ],
+		[
+			'connectWebRtcTransport',
+			{ transportId: 't', dtlsParameters: 'x' },
+			'wrong dtlsParameters'
+		],
+		[
+			'connectWebRtcTransport',
+			{ transportId: 't', dtlsParameters: [] },
+			'wrong dtlsParameters'
+		],
+		[ 'setRoomPassword', { password: 1 }, 'wrong password' ],
+		// Null not allowed.
+		[ 'join', { displayName: null }, 'wrong displayName' ],
+		// String lengths.
+		[ 'restartIce', { transportId: 'x'.repeat(101) }, 'wrong transportId' ],
+		[ 'changeDisplayName', { displayName: '' }, 'wrong displayName' ],
+		// Enums.
+		[ 'produce', { transportId: 't', kind: 'data', rtpParameters: {} }, 'wrong kind' ],
+		// Number ranges and integers.
+		[ 'setConsumerPriority', { consumerId: 'c', priority: 0 }, 'wrong priority' ],
+		[ 'setConsumerPriority', { consumerId: 'c', priority: 256 }, 'wrong priority' ],
+		[ 'setConsumerPriority', { consumerId: 'c', priority: 1.5 }, 'wrong priority' ],
+		[ 'setConsumerPriority', { consumerId: 'c', priority: NaN }, 'wrong priority' ],
+		[
+			'setConsumerPreferredLayers',
+			{ consumerId: 'c', spatialLayer: -1 },
+			'wrong spatialLayer'
+		],
+		// Object sizes.
+		[
+			'produce',
+			{
+				transportId   : 't',
+				kind          : 'audio',
+				rtpParameters : {},
+				appData       : { foo: 'x'.repeat(1024) }
+			},
+			'wrong appData'
+		]
+	];
+
+	for (const [ method, data, message ] of cases)
+	{
+		assert.throws(
+			() => validateRequest(method, data),
+			(error) => error instanceof TypeError && error.message.startsWith(`${message},`),
+			`${method} ${JSON.stringify(data)} should fail with "${message}"`);
+	}
+}
+
+function checkMethodsWithoutSchema()
+{
+	validateRequest('getRouterRtpCapabilities', undefined);
+	validateRequest('leave', 'whatever');
+}
@@ -0,0 +1,174 @@
+/**
+ * Check the delivery of webhook events to a local HTTP receiver: body, HMAC
+ * signature, retries of failed deliveries and unsigned events when no secret
+ * is configured.
+ *
+ * Usage: node test/webhooks.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const config = require('../config');
+const webhooks = require('../lib/webhooks');
+
+const SECRET = 'test-secret';
+
+// Time waiting for events that must not be delivered (in ms).
+const NO_EVENT_WAIT = 500;
+
+run();
+
+async function run()
+{
+	const receiver = await createReceiver();
+
+	Object.assign(
+		config.webhooks,
+		{
+			urls       : [ `http://127.0.0.1:${receiver.port}/webhook` ],
+			secret     : SECRET,
+			maxRetries : 2,
+			retryDelay : 10
+		});
+
+	try
+	{
+		await checkSignedEvent(receiver);
+		await checkRetries(receiver);
+		await checkRejectedEvent(receiver);
+		await checkUnsignedEvent(receiver);
+
+		// eslint-disable-next-line no-console
+		console.log('webhooks test passed');
+	}
+	catch (error)
+	{
+		// eslint-disable-next-line no-console
+		console.error('webhooks test failed:', error);
+
+		process.exitCode = 1;
+	}
+	finally
+	{
+		receiver.close();
+	}
+}
+
+async function checkSignedEvent(receiver)
+{
+	webhooks.send('peer.left', { roomId: 'room1', peerId: 'peer1' });
+
+	const { headers, body } = await receiver.nextRequest(200);
+	const event = JSON.parse(body);
+	const signature = crypto.createHmac('sha256', SECRET)
+		.update(body)
+		.digest('hex');
+
+	assert.strictEqual(headers['content-type'], 'application/json');
+	assert.strictEqual(headers['x-webhook-signature'], `sha256=${signature}`);
+	assert.strictEqual(event.type, 'peer.left');
+	assert.strictEqual(typeof event.id, 'string');
+	assert.strictEqual(typeof event.timestamp, 'number');
+	assert.deepStrictEqual(event.data, { roomId: 'room1', peerId: 'peer1' });
+}
+
+async function checkRetries(receiver)
+{
+	webhooks.send('room.closed', { roomId: 'room1' });
+
+	const first = await receiver.nextRequest(503);
+	const second = await receiver.nextRequest(500);
+	const third = await receiver.nextRequest(200);
+
+	// The same event is delivered again.
+	assert.strictEqual(second.body, first.body);
+	assert.strictEqual(third.body, first.body);
+
+	await receiver.assertNoRequest();
+}
+
+async function checkRejectedEvent(receiver)
+{
+	webhooks.send('room.closed', { roomId: 'room2' });
+
+	await receiver.nextRequest(400);
+
+	// Events rejected by the receiver are not retried.
+	await receiver.assertNoRequest();
+}
+
+async function checkUnsignedEvent(receiver)
+{
+	config.webhooks.secret = undefined;
+
+	webhooks.send('broadcaster.deleted', { roomId: 'room1', broadcasterId: 'b1' });
+
+	const { headers, body } = await receiver.nextRequest(200);
+
+	assert.strictEqual(headers['x-webhook-signature'], undefined);
+	assert.strictEqual(JSON.parse(body).type, 'broadcaster.deleted');
+}
+
+/**
+ * HTTP server that answers each request with the status given by the test
+ * that waits for it.
+ */
+function createReceiver()
+{
+	// Received requests not yet taken by the test.
+	const requests = [];
+	// Test waiting for a request.
+	let waiter;
+
+	const server = http.createServer((req, res) =>
+	{
+		let body = '';
+
+		req.setEncoding('utf8');
+		req.on('data', (chunk) => { body += chunk; });
+		req.on('end', () =>
+		{
+			requests.push({ headers: req.headers, body, res });
+
+			if (waiter)
+				waiter();
+		});
+	});
+
+	const receiver =
+	{
+		nextRequest : async (status) =>
+		{
+			if (requests.length === 0)
+				await new Promise((resolve) => { waiter = resolve; });
+
+			waiter = undefined;
+
+			const request = requests.shift();
+
+			request.res.writeHead(status);
+			request.res.end();
+
+			return request;
+		},
+		assertNoRequest : async () =>
+		{
+			await new Promise((resolve) => setTimeout(resolve, NO_EVENT_WAIT));
+
+			assert.strictEqual(requests.length, 0, 'unexpected webhook request');
+		},
+		close : () => server.close()
+	};
+
+	return new Promise((resolve, reject) =>
+	{
+		server.once('error', reject);
+		server.listen(0, '127.0.0.1', () =>
+		{
+			receiver.port = server.address().port;
+
+			resolve(receiver);
+		});
+	});
+}